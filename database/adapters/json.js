@@ -0,0 +1,399 @@
+const fs = require('fs');
+const { createMemoryIndex } = require('./memory-index');
+
+// Cada cuanto se reescribe el archivo completo (los cambios intermedios van al journal)
+const FLUSH_DELAY_MS = parseInt(process.env.DB_FLUSH_DELAY_MS || '1000');
+
+// Aplicar una operacion del journal sobre los datos en memoria.
+// Devuelve el registro resultante (o el eliminado) para mantener los indices.
+function applyEntry(data, entry) {
+  const { op, table, id } = entry;
+
+  if (op === 'insert') {
+    data[table] = data[table] || [];
+    data[table].push(entry.record);
+    return entry.record;
+  }
+  if (op === 'update') {
+    const index = data[table]?.findIndex(item => item.id === id) ?? -1;
+    if (index === -1) return null;
+    data[table][index] = { ...data[table][index], ...entry.changes };
+    return data[table][index];
+  }
+  if (op === 'remove') {
+    const index = data[table]?.findIndex(item => item.id === id) ?? -1;
+    if (index === -1) return null;
+    return data[table].splice(index, 1)[0];
+  }
+  if (op === 'replace') {
+    data[table] = entry.records.slice();
+    return null;
+  }
+  if (op === 'batch') {
+    entry.ops.forEach(child => applyEntry(data, child));
+    return null;
+  }
+  throw new Error(`Operacion de journal desconocida: ${op}`);
+}
+
+// Leer un snapshot. Devuelve null si no existe y lanza error si esta corrupto.
+function readSnapshot(file) {
+  if (!fs.existsSync(file)) return null;
+  const { _meta, ...data } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { data, seq: _meta?.seq || 0 };
+}
+
+// Leer el journal. Una ultima linea incompleta (escritura cortada) se descarta;
+// una linea corrupta en medio significa que no se puede reconstruir el estado.
+function readJournal(file) {
+  if (!fs.existsSync(file)) return [];
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+  const entries = [];
+
+  lines.forEach((line, index) => {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      if (index !== lines.length - 1) {
+        throw new Error(`Journal corrupto en la linea ${index + 1} de ${file}`);
+      }
+      console.warn(`Descartando ultima linea incompleta del journal ${file}`);
+    }
+  });
+
+  return entries;
+}
+
+// Escribir un archivo de forma atomica: archivo temporal + fsync + rename
+function writeAtomic(file, contents) {
+  const tmp = `${file}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+// Intentar leer un snapshot sin lanzar error
+function tryReadSnapshot(file) {
+  try {
+    return { snapshot: readSnapshot(file), corrupt: false };
+  } catch (error) {
+    console.error(`El archivo ${file} esta corrupto: ${error.message}`);
+    return { snapshot: null, corrupt: true };
+  }
+}
+
+// Adaptador de almacenamiento sobre un archivo JSON.
+// La base vive en memoria; cada cambio se agrega a un journal (append-only) y el
+// archivo completo se reescribe de forma atomica como maximo una vez por FLUSH_DELAY_MS.
+// Al arrancar se carga el ultimo snapshot valido (o su respaldo .bak) y se reaplica
+// el journal. Si no hay forma de reconstruir los datos, el servidor no arranca.
+// Las consultas por igualdad (where) usan los indices declarados en `indexes`.
+function createJsonAdapter({ file, initialData, indexes }) {
+  const backupFile = `${file}.bak`;
+  const journalFile = `${file}.journal`;
+
+  let data;
+  // Ultima operacion aplicada en memoria
+  let seq = 0;
+  // Operacion incluida en el archivo principal (null si no existe o no es confiable)
+  let snapshotSeq = null;
+  // Operacion incluida en el respaldo: el journal conserva todo lo posterior
+  let backupSeq = 0;
+  let journal = [];
+  let journalFd = null;
+  let flushTimer = null;
+  let dirty = false;
+  // Transacciones abiertas: cada nivel guarda una copia de las tablas que se
+  // modificaron desde que empezo, para restaurarlas si falla
+  const transactions = [];
+  // Operaciones de la transaccion en curso, se escriben juntas al confirmar
+  let staged = [];
+  const memoryIndex = createMemoryIndex(indexes);
+  // Mayor id por tabla, para no recorrer la tabla en cada insert (se calcula al primer uso)
+  const maxIds = new Map();
+
+  function maxId(table) {
+    if (!maxIds.has(table)) {
+      maxIds.set(table, (data[table] || []).reduce((max, item) => Math.max(max, item.id || 0), 0));
+    }
+    return maxIds.get(table);
+  }
+
+  // Cargar el ultimo estado valido: snapshot (o su respaldo) + journal
+  function load() {
+    const main = tryReadSnapshot(file);
+    const entries = readJournal(journalFile);
+    let base;
+
+    if (main.snapshot) {
+      base = main.snapshot;
+      snapshotSeq = base.seq;
+      backupSeq = 0;
+    } else {
+      const backup = tryReadSnapshot(backupFile);
+
+      if (backup.snapshot) {
+        console.warn(`Restaurando desde el respaldo ${backupFile} y el journal`);
+        base = backup.snapshot;
+        backupSeq = base.seq;
+      } else if (main.corrupt || backup.corrupt || entries.length > 0) {
+        throw new Error(
+          `No se puede cargar la base de datos: ${file} falta o esta corrupto y no hay un ` +
+          'respaldo valido para reaplicar el journal. Revisa los archivos manualmente antes de arrancar el servidor.'
+        );
+      } else {
+        // Base nueva: los datos semilla tambien quedan como respaldo inicial
+        console.log('Creando nueva base de datos...');
+        base = { data: JSON.parse(JSON.stringify(initialData)), seq: 0 };
+        writeAtomic(backupFile, JSON.stringify({ ...base.data, _meta: { seq: 0 } }, null, 2));
+      }
+
+      // Conservar el archivo danado para revisarlo despues
+      if (main.corrupt) {
+        fs.renameSync(file, `${file}.corrupt-${Date.now()}`);
+      }
+      snapshotSeq = null;
+    }
+
+    // Reaplicar las operaciones que el snapshot todavia no contiene
+    const pending = entries.filter(entry => entry.seq > base.seq);
+    pending.forEach((entry, index) => {
+      if (entry.seq !== base.seq + index + 1) {
+        throw new Error(
+          `Falta la operacion ${base.seq + index + 1} en el journal ${journalFile}. ` +
+          'Revisa los archivos manualmente antes de arrancar el servidor.'
+        );
+      }
+      applyEntry(base.data, entry);
+    });
+
+    if (pending.length > 0) {
+      console.log(`Journal reaplicado: ${pending.length} operaciones`);
+    }
+
+    data = base.data;
+    memoryIndex.build(data);
+    maxIds.clear();
+    seq = base.seq + pending.length;
+    journal = entries.filter(entry => entry.seq <= seq);
+    dirty = pending.length > 0 || snapshotSeq === null;
+  }
+
+  function openJournal() {
+    journalFd = fs.openSync(journalFile, 'a');
+  }
+
+  function closeJournal() {
+    if (journalFd !== null) {
+      fs.closeSync(journalFd);
+      journalFd = null;
+    }
+  }
+
+  // Agregar una operacion al journal
+  function appendJournal(entry) {
+    const stamped = { seq: seq + 1, ...entry };
+    fs.writeSync(journalFd, JSON.stringify(stamped) + '\n');
+    seq = stamped.seq;
+    journal.push(stamped);
+    dirty = true;
+    scheduleFlush();
+  }
+
+  // Copiar una tabla la primera vez que se modifica dentro de cada transaccion abierta.
+  // Solo se copia el arreglo: los cambios reemplazan objetos, no los modifican.
+  function saveTable(table) {
+    let copy = null;
+    transactions.forEach(savepoint => {
+      if (savepoint.tables.has(table)) return;
+      if (!copy) copy = data[table] ? data[table].slice() : undefined;
+      savepoint.tables.set(table, copy);
+    });
+  }
+
+  // Volver las tablas modificadas al estado guardado en el savepoint
+  function restoreTables(savepoint) {
+    savepoint.tables.forEach((rows, table) => {
+      if (rows) {
+        // Copia: un savepoint exterior puede compartir el mismo arreglo
+        data[table] = rows.slice();
+      } else {
+        delete data[table];
+      }
+      memoryIndex.replace(table, data[table] || []);
+      maxIds.delete(table);
+    });
+  }
+
+  // Registrar una operacion en el journal y despues aplicarla en memoria:
+  // si la escritura falla, el cambio no se aplica.
+  // Dentro de una transaccion solo se aplica en memoria y queda pendiente.
+  function commit(entry) {
+    if (transactions.length > 0) {
+      saveTable(entry.table);
+      staged.push(entry);
+    } else {
+      appendJournal(entry);
+    }
+
+    if (entry.op === 'replace') {
+      applyEntry(data, entry);
+      memoryIndex.replace(entry.table, data[entry.table]);
+      maxIds.delete(entry.table);
+      return null;
+    }
+
+    const previous = entry.op === 'insert' ? null : memoryIndex.get(entry.table, entry.id);
+    if (previous) memoryIndex.remove(entry.table, previous);
+    const result = applyEntry(data, entry);
+    if (result && entry.op !== 'remove') memoryIndex.add(entry.table, result);
+    return result;
+  }
+
+  // Agrupar rafagas de cambios en una sola escritura del archivo
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+    flushTimer.unref();
+  }
+
+  // Escribir el snapshot completo y compactar el journal
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (!dirty) return;
+
+    // El snapshot actual (si es confiable) pasa a ser el respaldo
+    if (snapshotSeq !== null && fs.existsSync(file)) {
+      fs.copyFileSync(file, backupFile);
+      backupSeq = snapshotSeq;
+    }
+
+    writeAtomic(file, JSON.stringify({ ...data, _meta: { seq } }, null, 2));
+    snapshotSeq = seq;
+
+    // El journal solo necesita lo posterior al respaldo
+    journal = journal.filter(entry => entry.seq > backupSeq);
+    closeJournal();
+    writeAtomic(journalFile, journal.map(entry => JSON.stringify(entry) + '\n').join(''));
+    openJournal();
+
+    dirty = false;
+  }
+
+  load();
+  openJournal();
+  flush();
+
+  // Guardar lo pendiente al terminar el proceso de forma ordenada
+  process.on('exit', () => {
+    try {
+      flush();
+    } catch (error) {
+      console.error('Error guardando la base de datos al salir:', error);
+    }
+  });
+
+  return {
+    driver: 'json',
+
+    tables() {
+      return Object.keys(data);
+    },
+
+    all(table) {
+      return data[table] || [];
+    },
+
+    get(table, id) {
+      return memoryIndex.get(table, id);
+    },
+
+    // Buscar registros por igualdad de campos
+    where(table, criteria) {
+      return memoryIndex.where(table, criteria, data[table] || []);
+    },
+
+    insert(table, record) {
+      const newItem = { id: maxId(table) + 1, ...record };
+      commit({ op: 'insert', table, id: newItem.id, record: newItem });
+      maxIds.set(table, Math.max(maxId(table), newItem.id || 0));
+      return newItem;
+    },
+
+    update(table, id, changes) {
+      if (!memoryIndex.get(table, id)) return null;
+      return commit({ op: 'update', table, id, changes });
+    },
+
+    remove(table, id) {
+      if (!memoryIndex.get(table, id)) return false;
+      commit({ op: 'remove', table, id });
+      return true;
+    },
+
+    // Reemplazar todos los registros de una tabla en una sola operacion (usado al
+    // restaurar una copia): los registros conservan sus ids
+    replaceTable(table, records) {
+      commit({ op: 'replace', table, records });
+    },
+
+    // Agregar un campo a los registros que no lo tienen (usado por las migraciones)
+    addField(table, field, defaultValue = null) {
+      (data[table] || [])
+        .filter(item => !(field in item))
+        .forEach(item => commit({ op: 'update', table, id: item.id, changes: { [field]: defaultValue } }));
+    },
+
+    // Ejecutar varias operaciones como una sola: se escriben juntas en el journal
+    // (una sola linea, que se aplica completa o no se aplica) o se deshacen todas
+    // si fn lanza un error. Una transaccion anidada se deshace sola, como un savepoint.
+    transaction(fn) {
+      // Las tablas se copian al modificarlas por primera vez (saveTable)
+      transactions.push({ tables: new Map(), stagedLength: staged.length });
+
+      try {
+        const result = fn();
+        if (result && typeof result.then === 'function') {
+          throw new TypeError('db.transaction() necesita una funcion sincrona');
+        }
+        if (transactions.length === 1 && staged.length > 0) {
+          appendJournal({ op: 'batch', ops: staged });
+          staged = [];
+        }
+        transactions.pop();
+        return result;
+      } catch (error) {
+        const savepoint = transactions.pop();
+        restoreTables(savepoint);
+        staged = staged.slice(0, savepoint.stagedLength);
+        throw error;
+      }
+    },
+
+    // Forzar la escritura del snapshot
+    flush,
+
+    reload() {
+      flush();
+      closeJournal();
+      load();
+      openJournal();
+      flush();
+    },
+
+    close() {
+      flush();
+      closeJournal();
+    }
+  };
+}
+
+module.exports = { createJsonAdapter };
@@ -0,0 +1,94 @@
+// Indices en memoria para el adaptador JSON.
+// Por tabla guarda un mapa id -> registro y, por cada indice declarado
+// (por ejemplo ['user_id', 'date']), un mapa clave -> ids.
+
+// Los valores ausentes cuentan como null, asi { read_at: null } encuentra los no leidos
+const normalize = (value) => (value === undefined ? null : value);
+
+const keyOf = (fields, source) => JSON.stringify(fields.map(field => normalize(source[field])));
+
+// Un criterio puede ser un valor exacto o un arreglo de valores aceptados
+const matches = (record, criteria) => Object.keys(criteria).every(field => {
+  const expected = criteria[field];
+  const value = normalize(record[field]);
+  return Array.isArray(expected)
+    ? expected.map(normalize).includes(value)
+    : value === normalize(expected);
+});
+
+function createMemoryIndex(declared = {}) {
+  let primary = new Map();
+  let secondary = new Map();
+
+  function tableIndexes(table) {
+    if (!secondary.has(table)) {
+      secondary.set(table, (declared[table] || []).map(fields => ({ fields, map: new Map() })));
+    }
+    return secondary.get(table);
+  }
+
+  function add(table, record) {
+    if (!primary.has(table)) primary.set(table, new Map());
+    primary.get(table).set(record.id, record);
+
+    tableIndexes(table).forEach(({ fields, map }) => {
+      const key = keyOf(fields, record);
+      if (!map.has(key)) map.set(key, new Set());
+      map.get(key).add(record.id);
+    });
+  }
+
+  function remove(table, record) {
+    primary.get(table)?.delete(record.id);
+
+    tableIndexes(table).forEach(({ fields, map }) => {
+      const key = keyOf(fields, record);
+      map.get(key)?.delete(record.id);
+      if (map.get(key)?.size === 0) map.delete(key);
+    });
+  }
+
+  return {
+    // Reconstruir todos los indices desde cero
+    build(data) {
+      primary = new Map();
+      secondary = new Map();
+      Object.keys(data).forEach(table => data[table].forEach(record => add(table, record)));
+    },
+
+    add,
+    remove,
+
+    // Reemplazar los registros de una tabla
+    replace(table, records) {
+      primary.set(table, new Map());
+      secondary.delete(table);
+      records.forEach(record => add(table, record));
+    },
+
+    get(table, id) {
+      return primary.get(table)?.get(id);
+    },
+
+    // Buscar por igualdad usando el indice que cubra mas campos del criterio
+    where(table, criteria, allRecords) {
+      const fields = Object.keys(criteria).filter(field => !Array.isArray(criteria[field]));
+      const best = tableIndexes(table)
+        .filter(index => index.fields.every(field => fields.includes(field)))
+        .sort((a, b) => b.fields.length - a.fields.length)[0];
+
+      if (!best) {
+        return allRecords.filter(record => matches(record, criteria));
+      }
+
+      const ids = best.map.get(keyOf(best.fields, criteria)) || new Set();
+      const records = primary.get(table) || new Map();
+      return [...ids]
+        .map(id => records.get(id))
+        .filter(record => matches(record, criteria))
+        .sort((a, b) => a.id - b.id);
+    }
+  };
+}
+
+module.exports = { createMemoryIndex, matches };
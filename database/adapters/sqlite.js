@@ -0,0 +1,251 @@
+const fs = require('fs');
+const { createSchema } = require('../schema');
+
+// Solo se aceptan nombres simples de tabla/columna porque se interpolan en el SQL
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const quote = (name) => {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Identificador invalido: ${name}`);
+  }
+  return `"${name}"`;
+};
+
+// Tipo de columna para un valor nuevo (las rutas pueden agregar campos libremente)
+const columnTypeFor = (value) => {
+  if (typeof value === 'boolean') return 'BOOLEAN';
+  if (Number.isInteger(value)) return 'INTEGER';
+  if (typeof value === 'number') return 'REAL';
+  if (value !== null && typeof value === 'object') return 'JSON';
+  return 'TEXT';
+};
+
+// Convertir un valor JS a algo que SQLite pueda guardar
+const toColumn = (value) => {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// Adaptador de almacenamiento sobre el esquema SQLite de database/schema.js.
+// Mantiene la misma forma de registros que el adaptador JSON: booleanos como
+// booleanos, objetos como objetos y columnas nuevas creadas al vuelo.
+// Los indices declarados en `indexes` se crean como indices de SQLite.
+function createSqliteAdapter({ file, initialData, indexes = {} }) {
+  // Se carga aqui para que el modo JSON funcione sin el modulo nativo instalado
+  const Database = require('better-sqlite3');
+
+  const isNew = !fs.existsSync(file);
+  const conn = new Database(file);
+  conn.pragma('journal_mode = WAL');
+  createSchema(conn);
+
+  // Cache de columnas por tabla: nombre -> tipo declarado
+  const columnCache = new Map();
+
+  function columns(table) {
+    if (!columnCache.has(table)) {
+      const info = conn.prepare(`PRAGMA table_info(${quote(table)})`).all();
+      if (info.length === 0) return new Map();
+      columnCache.set(table, new Map(info.map(c => [c.name, (c.type || '').toUpperCase()])));
+    }
+    return columnCache.get(table);
+  }
+
+  function ensureTable(table) {
+    if (columns(table).size > 0) return;
+    conn.exec(`CREATE TABLE IF NOT EXISTS ${quote(table)} (id INTEGER PRIMARY KEY AUTOINCREMENT)`);
+    columnCache.delete(table);
+  }
+
+  function ensureColumns(table, record) {
+    const existing = columns(table);
+    const missing = Object.keys(record).filter(key => !existing.has(key));
+    if (missing.length === 0) return;
+    missing.forEach(key => {
+      conn.exec(`ALTER TABLE ${quote(table)} ADD COLUMN ${quote(key)} ${columnTypeFor(record[key])}`);
+    });
+    columnCache.delete(table);
+    ensureIndexes(table);
+  }
+
+  // Crear los indices declarados cuyas columnas ya existen
+  function ensureIndexes(table) {
+    const existing = columns(table);
+    (indexes[table] || [])
+      .filter(fields => fields.every(field => existing.has(field)))
+      .forEach(fields => {
+        const name = `idx_${table}_${fields.join('_')}`;
+        conn.exec(`CREATE INDEX IF NOT EXISTS ${quote(name)} ON ${quote(table)} (${fields.map(quote).join(', ')})`);
+      });
+  }
+
+  // Insertar un registro y devolver su id
+  function insertRow(table, record) {
+    ensureColumns(table, record);
+    const keys = Object.keys(record).filter(key => record[key] !== undefined);
+    const placeholders = keys.map(() => '?').join(', ');
+    const sql = keys.length > 0
+      ? `INSERT INTO ${quote(table)} (${keys.map(quote).join(', ')}) VALUES (${placeholders})`
+      : `INSERT INTO ${quote(table)} DEFAULT VALUES`;
+    return Number(conn.prepare(sql).run(...keys.map(key => toColumn(record[key]))).lastInsertRowid);
+  }
+
+  // Convertir una fila de SQLite al formato de registro de la aplicacion
+  function fromRow(table, row) {
+    if (!row) return row;
+    const types = columns(table);
+    const record = {};
+    Object.keys(row).forEach(key => {
+      const value = row[key];
+      const type = types.get(key);
+      if (value !== null && type === 'BOOLEAN') {
+        record[key] = Boolean(value);
+      } else if (value !== null && type === 'JSON') {
+        record[key] = JSON.parse(value);
+      } else {
+        record[key] = value;
+      }
+    });
+    return record;
+  }
+
+  const adapter = {
+    driver: 'sqlite',
+    connection: conn,
+
+    tables() {
+      return conn.prepare(`
+        SELECT name FROM sqlite_master
+        WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+      `).all().map(t => t.name);
+    },
+
+    all(table) {
+      if (columns(table).size === 0) return [];
+      return conn.prepare(`SELECT * FROM ${quote(table)} ORDER BY id`).all().map(row => fromRow(table, row));
+    },
+
+    get(table, id) {
+      if (columns(table).size === 0) return undefined;
+      const row = conn.prepare(`SELECT * FROM ${quote(table)} WHERE id = ?`).get(id);
+      return fromRow(table, row);
+    },
+
+    // Buscar registros por igualdad de campos (un arreglo equivale a IN)
+    where(table, criteria) {
+      const existing = columns(table);
+      if (existing.size === 0) return [];
+
+      const conditions = [];
+      const params = [];
+
+      for (const field of Object.keys(criteria)) {
+        const expected = criteria[field];
+        const values = (Array.isArray(expected) ? expected : [expected]).map(v => (v === undefined ? null : v));
+        const acceptsNull = values.includes(null);
+        const concrete = values.filter(v => v !== null);
+
+        // Una columna inexistente vale null en todos los registros
+        if (!existing.has(field)) {
+          if (acceptsNull) continue;
+          return [];
+        }
+
+        const parts = [];
+        if (concrete.length > 0) {
+          parts.push(`${quote(field)} IN (${concrete.map(() => '?').join(', ')})`);
+          params.push(...concrete.map(toColumn));
+        }
+        if (acceptsNull) parts.push(`${quote(field)} IS NULL`);
+        conditions.push(parts.length > 1 ? `(${parts.join(' OR ')})` : parts[0] || '0');
+      }
+
+      const sql = `SELECT * FROM ${quote(table)}` +
+        (conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '') +
+        ' ORDER BY id';
+      return conn.prepare(sql).all(...params).map(row => fromRow(table, row));
+    },
+
+    insert(table, record) {
+      ensureTable(table);
+      return adapter.get(table, insertRow(table, record));
+    },
+
+    update(table, id, changes) {
+      if (columns(table).size === 0) return null;
+      const { id: _, ...fields } = changes;
+      const keys = Object.keys(fields).filter(key => fields[key] !== undefined);
+      if (keys.length > 0) {
+        ensureColumns(table, fields);
+        const assignments = keys.map(key => `${quote(key)} = ?`).join(', ');
+        const result = conn.prepare(`UPDATE ${quote(table)} SET ${assignments} WHERE id = ?`)
+          .run(...keys.map(key => toColumn(fields[key])), id);
+        if (result.changes === 0) return null;
+      }
+      return adapter.get(table, id) || null;
+    },
+
+    remove(table, id) {
+      if (columns(table).size === 0) return false;
+      const result = conn.prepare(`DELETE FROM ${quote(table)} WHERE id = ?`).run(id);
+      return result.changes > 0;
+    },
+
+    // Reemplazar todos los registros de una tabla (usado al restaurar una copia)
+    replaceTable(table, records) {
+      ensureTable(table);
+      conn.prepare(`DELETE FROM ${quote(table)}`).run();
+      records.forEach(record => insertRow(table, record));
+    },
+
+    // Agregar una columna y rellenar los registros existentes (usado por las migraciones)
+    addField(table, field, defaultValue = null, type) {
+      ensureTable(table);
+      if (!columns(table).has(field)) {
+        conn.exec(`ALTER TABLE ${quote(table)} ADD COLUMN ${quote(field)} ${type || columnTypeFor(defaultValue)}`);
+        columnCache.delete(table);
+        ensureIndexes(table);
+      }
+      if (defaultValue !== null && defaultValue !== undefined) {
+        conn.prepare(`UPDATE ${quote(table)} SET ${quote(field)} = ? WHERE ${quote(field)} IS NULL`)
+          .run(toColumn(defaultValue));
+      }
+    },
+
+    // Ejecutar SQL directo (solo para migraciones que necesitan DDL)
+    exec(sql) {
+      conn.exec(sql);
+      columnCache.clear();
+    },
+
+    // Ejecutar varias operaciones dentro de una transaccion de SQLite
+    transaction(fn) {
+      return conn.transaction(fn)();
+    },
+
+    reload() {
+      columnCache.clear();
+    },
+
+    close() {
+      conn.close();
+    }
+  };
+
+  Object.keys(indexes).forEach(ensureIndexes);
+
+  // Una base recien creada arranca con los mismos datos semilla que el JSON
+  if (isNew && initialData) {
+    adapter.transaction(() => {
+      Object.keys(initialData).forEach(table => {
+        initialData[table].forEach(record => adapter.insert(table, record));
+      });
+    });
+  }
+
+  return adapter;
+}
+
+module.exports = { createSqliteAdapter };
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+
+// Copias de la base completa en un formato independiente del almacen (JSON o
+// SQLite), de modo que una copia se puede restaurar con cualquiera de los dos.
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+
+// Solo se aceptan nombres generados por createSnapshot (evita rutas arbitrarias)
+const SNAPSHOT_NAME = /^snapshot-[0-9TZ-]+-[a-z]+\.json$/;
+
+const isSnapshotName = (name) => SNAPSHOT_NAME.test(name);
+
+function snapshotPath(name) {
+  if (!isSnapshotName(name)) return null;
+  return path.join(BACKUP_DIR, name);
+}
+
+function snapshotExists(name) {
+  const file = snapshotPath(name);
+  return Boolean(file) && fs.existsSync(file);
+}
+
+// Leer los datos de la cabecera de una copia sin cargar todas las tablas en la respuesta
+function describe(name) {
+  const file = snapshotPath(name);
+  const { size } = fs.statSync(file);
+  const { _meta } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    name,
+    size,
+    created_at: _meta.created_at,
+    reason: _meta.reason,
+    driver: _meta.driver,
+    schema_version: _meta.schema_version,
+    records: _meta.records
+  };
+}
+
+// Guardar una copia de todas las tablas. reason: manual, scheduled, pre-restore
+function createSnapshot(store, { reason = 'manual', schemaVersion = 0 } = {}) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+  const tables = {};
+  const records = {};
+  store.tables().forEach(table => {
+    tables[table] = store.all(table);
+    records[table] = tables[table].length;
+  });
+
+  const createdAt = new Date();
+  const name = `snapshot-${createdAt.toISOString().replace(/[:.]/g, '-')}-${reason.replace(/[^a-z]/g, '')}.json`;
+  const file = path.join(BACKUP_DIR, name);
+  const contents = JSON.stringify({
+    _meta: {
+      created_at: createdAt.toISOString(),
+      reason,
+      driver: store.driver,
+      schema_version: schemaVersion,
+      records
+    },
+    tables
+  });
+
+  // Escritura atomica: una copia a medias nunca aparece en el listado
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, file);
+
+  return describe(name);
+}
+
+// Copias disponibles, la mas reciente primero
+function listSnapshots() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(isSnapshotName)
+    .map(name => {
+      try {
+        return describe(name);
+      } catch (error) {
+        console.error(`Copia ilegible ${name}: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+}
+
+// Reemplazar el contenido de todas las tablas por el de la copia, en una sola transaccion.
+// Las tablas que no existen en la copia quedan vacias.
+function restoreSnapshot(store, name) {
+  if (!snapshotExists(name)) return null;
+
+  const { tables } = JSON.parse(fs.readFileSync(snapshotPath(name), 'utf8'));
+  if (!tables || typeof tables !== 'object') {
+    throw new Error(`La copia ${name} no tiene un formato valido`);
+  }
+
+  const names = [...new Set([...store.tables(), ...Object.keys(tables)])];
+  store.transaction(() => {
+    names.forEach(table => store.replaceTable(table, tables[table] || []));
+  });
+
+  return describe(name);
+}
+
+function deleteSnapshot(name) {
+  if (!snapshotExists(name)) return false;
+  fs.unlinkSync(snapshotPath(name));
+  return true;
+}
+
+// Conservar solo las `keep` copias mas recientes con el motivo indicado
+function pruneSnapshots(reason, keep) {
+  return listSnapshots()
+    .filter(snapshot => snapshot.reason === reason)
+    .slice(keep)
+    .map(snapshot => {
+      deleteSnapshot(snapshot.name);
+      return snapshot.name;
+    });
+}
+
+module.exports = {
+  createSnapshot,
+  listSnapshots,
+  restoreSnapshot,
+  deleteSnapshot,
+  pruneSnapshots,
+  snapshotPath,
+  snapshotExists
+};
@@ -1,7 +1,11 @@
-const fs = require('fs');
 const path = require('path');
-
-const dbPath = path.join(__dirname, 'database.json');
+const { createJsonAdapter } = require('./adapters/json');
+const { createSqliteAdapter } = require('./adapters/sqlite');
+const { migrate, migrationStatus, getSchemaVersion } = require('./migrator');
+const backups = require('./backups');
+const retention = require('./retention');
+const { validate, parseId } = require('./validation');
+const { ValidationError } = require('./errors');
 
 // Estructura inicial de la base de datos
 const initialData = {
@@ -41,84 +45,525 @@ const initialData = {
   ],
   chat_messages: [],
   daily_reports: [],
-  activity_logs: []
+  activity_logs: [],
+  revisions: [],
+  retention_policies: [],
+  organizations: [],
+  sessions: [],
+  password_resets: [],
+  login_throttles: [],
+  two_factor: [],
+  roles: [],
+  security_events: [],
+  api_keys: [],
+  invitations: [],
+  impersonation_actions: [],
+  departments: []
 };
 
-// Cargar o crear base de datos
-function loadDb() {
-  try {
-    if (fs.existsSync(dbPath)) {
-      const data = fs.readFileSync(dbPath, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.log('Creando nueva base de datos...');
+// Indices secundarios para las busquedas frecuentes. Se mantienen al
+// insertar/actualizar/eliminar y los usa db.where() en ambos almacenes.
+const indexes = {
+  users: [['org_id'], ['manager_id'], ['department_id']],
+  announcements: [['org_id']],
+  attendance: [['user_id', 'date'], ['date'], ['user_id', 'clock_out']],
+  breaks: [['user_id', 'date'], ['date'], ['attendance_id'], ['user_id', 'end_time']],
+  tasks: [['user_id']],
+  notes: [['user_id']],
+  incidents: [['user_id'], ['assigned_to']],
+  permissions: [['user_id'], ['status']],
+  chat_messages: [['from_user_id', 'to_user_id'], ['to_user_id', 'read_at'], ['from_user_id']],
+  daily_reports: [['user_id', 'date']],
+  activity_logs: [['user_id']],
+  revisions: [['table_name', 'record_id']],
+  sessions: [['user_id', 'revoked_at']],
+  password_resets: [['user_id']],
+  login_throttles: [['scope', 'key']],
+  two_factor: [['user_id']],
+  roles: [['org_id', 'name'], ['org_id']],
+  security_events: [['org_id']],
+  api_keys: [['user_id'], ['org_id']],
+  invitations: [['org_id']],
+  impersonation_actions: [['session_id'], ['org_id']],
+  departments: [['org_id']]
+};
+
+// Tablas con borrado logico: db.delete marca deleted_at y las consultas por
+// defecto omiten esos registros (se ven con { withDeleted: true } o db.trash()).
+const softDeleteTables = [
+  'users', 'attendance', 'breaks', 'tasks', 'notes', 'incidents',
+  'permissions', 'announcements', 'chat_messages', 'daily_reports'
+];
+
+// Registros que se eliminan y restauran junto con su registro padre
+const cascades = {
+  users: {
+    attendance: ['user_id'],
+    breaks: ['user_id'],
+    tasks: ['user_id'],
+    notes: ['user_id'],
+    incidents: ['user_id'],
+    permissions: ['user_id'],
+    daily_reports: ['user_id'],
+    chat_messages: ['from_user_id', 'to_user_id']
   }
-  saveDb(initialData);
-  return initialData;
+};
+
+// Tablas cuyas modificaciones quedan registradas en `revisions`
+const revisionTables = ['tasks', 'notes', 'incidents', 'permissions', 'announcements', 'users', 'roles', 'departments'];
+
+// Campos cuyo valor no se copia al historial (solo se registra que cambiaron)
+const redactedFields = {
+  users: ['password']
+};
+
+// Campos que no cuentan como cambio en el historial
+const untrackedFields = ['updated_at'];
+
+// Tablas separadas por organizacion (campo org_id). Ver database.forOrg()
+const tenantTables = [
+  'users', 'attendance', 'breaks', 'tasks', 'notes', 'incidents', 'permissions',
+  'announcements', 'chat_messages', 'daily_reports', 'activity_logs', 'security_events', 'roles',
+  'api_keys', 'invitations', 'impersonation_actions', 'departments'
+];
+
+// Maximo de registros por pagina en db.paginate (un limit mayor se recorta)
+const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE) || 200;
+
+const isSoftDelete = (table) => softDeleteTables.includes(table);
+const isTenant = (table) => tenantTables.includes(table);
+const isActive = (record) => !record.deleted_at;
+
+// Comparar dos valores para ordenar (los null/undefined van al final)
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : 1;
+};
+
+// Configuracion del almacenamiento: DB_DRIVER=json (por defecto) o sqlite
+const driver = process.env.DB_DRIVER || 'json';
+
+const adapters = {
+  json: () => createJsonAdapter({
+    file: process.env.DB_JSON_FILE || path.join(__dirname, 'database.json'),
+    initialData,
+    indexes
+  }),
+  sqlite: () => createSqliteAdapter({
+    file: process.env.DB_SQLITE_FILE || path.join(__dirname, 'database.db'),
+    initialData,
+    indexes
+  })
+};
+
+if (!adapters[driver]) {
+  throw new Error(`DB_DRIVER desconocido: ${driver}. Opciones: ${Object.keys(adapters).join(', ')}`);
 }
 
-// Guardar base de datos
-function saveDb(data) {
-  fs.writeFileSync(dbPath, JSON.stringify(data, null, 2));
+// Almacen activo
+const store = adapters[driver]();
+
+// Diferencias entre dos versiones de un registro: { campo: { from, to } }
+function diffRecords(table, before, after) {
+  const changes = {};
+  const redacted = redactedFields[table] || [];
+  Object.keys(after).forEach(field => {
+    if (untrackedFields.includes(field)) return;
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+    changes[field] = redacted.includes(field) ? { from: '[oculto]', to: '[oculto]' } : { from, to };
+  });
+  return changes;
+}
+
+// Guardar una revision si la tabla tiene historial y hubo cambios
+function recordRevision(table, action, before, after, actor) {
+  if (!revisionTables.includes(table) || !before || !after) return;
+  const changes = diffRecords(table, before, after);
+  if (Object.keys(changes).length === 0) return;
+  store.insert('revisions', validate('revisions', {
+    table_name: table,
+    record_id: before.id,
+    action,
+    changes,
+    actor_id: parseId(actor),
+    created_at: new Date().toISOString()
+  }));
 }
 
-// Base de datos en memoria
-let db = loadDb();
+// Recorrer los registros dependientes (segun `cascades`) que cumplen `filter`
+function forEachDependent(table, record, filter, fn) {
+  Object.entries(cascades[table] || {}).forEach(([child, fields]) => {
+    store.all(child)
+      .filter(dependent => fields.some(field => dependent[field] === record.id))
+      .map(dependent => ({ table: child, record: dependent }))
+      .filter(filter)
+      .forEach(fn);
+  });
+}
 
 // Funciones de utilidad
 const database = {
+  driver,
+  ValidationError,
+  softDeleteTables,
+  revisionTables,
+  retentionFields: retention.RETENTION_FIELDS,
+  retentionActions: retention.RETENTION_ACTIONS,
+  tenantTables,
+
+  // Normalizar un ID (por ejemplo de req.params) a numero; null si no es valido
+  parseId,
+
   // Obtener todos los registros de una tabla
-  getAll(table) {
-    return db[table] || [];
+  // (options.withDeleted incluye los que estan en la papelera)
+  getAll(table, options = {}) {
+    const records = store.all(table);
+    return isSoftDelete(table) && !options.withDeleted ? records.filter(isActive) : records;
   },
 
-  // Obtener por ID
-  getById(table, id) {
-    return db[table]?.find(item => item.id === id);
+  // Obtener por ID (acepta IDs como texto)
+  getById(table, id, options = {}) {
+    const parsed = parseId(id);
+    const record = parsed === null ? undefined : store.get(table, parsed);
+    if (record && isSoftDelete(table) && !options.withDeleted && !isActive(record)) return undefined;
+    return record;
   },
 
   // Buscar con filtro
-  find(table, predicate) {
-    return db[table]?.filter(predicate) || [];
+  find(table, predicate, options = {}) {
+    return database.getAll(table, options).filter(predicate);
   },
 
   // Buscar uno
-  findOne(table, predicate) {
-    return db[table]?.find(predicate);
+  findOne(table, predicate, options = {}) {
+    return database.getAll(table, options).find(predicate);
   },
 
-  // Insertar
+  // Buscar por igualdad de campos usando los indices declarados.
+  // criteria: { campo: valor } (un arreglo acepta cualquiera de sus valores)
+  // options: { orderBy, order: 'asc' | 'desc', limit, offset, withDeleted }
+  where(table, criteria = {}, options = {}) {
+    const conditions = isSoftDelete(table) && !options.withDeleted
+      ? { ...criteria, deleted_at: null }
+      : criteria;
+    let records = store.where(table, conditions);
+
+    if (options.orderBy) {
+      records = database.sortBy(records, options.orderBy, options.order);
+    }
+    if (options.limit !== undefined || options.offset !== undefined) {
+      const offset = parseInt(options.offset) || 0;
+      const limit = options.limit !== undefined ? parseInt(options.limit) : records.length;
+      records = records.slice(offset, offset + limit);
+    }
+    return records;
+  },
+
+  // Ordenar registros por uno o varios campos (sin modificar el arreglo original)
+  sortBy(records, fields, order = 'asc') {
+    const list = Array.isArray(fields) ? fields : [fields];
+    const direction = order === 'desc' ? -1 : 1;
+    return [...records].sort((a, b) => {
+      for (const field of list) {
+        const result = compareValues(a[field], b[field]);
+        if (result !== 0) return result * direction;
+      }
+      return 0;
+    });
+  },
+
+  // Paginar un arreglo: devuelve la pagina y los datos de paginacion.
+  // Lanza ValidationError si limit u offset no son enteros validos
+  paginate(records, { limit = 50, offset = 0 } = {}) {
+    const parsedLimit = Number(limit);
+    const parsedOffset = Number(offset);
+    const errors = [];
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1) {
+      errors.push({ field: 'limit', message: 'limit debe ser un numero entero mayor que 0' });
+    }
+    if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+      errors.push({ field: 'offset', message: 'offset debe ser un numero entero mayor o igual a 0' });
+    }
+    if (errors.length > 0) throw new ValidationError('pagination', errors);
+
+    const pageSize = Math.min(parsedLimit, MAX_PAGE_SIZE);
+    const items = records.slice(parsedOffset, parsedOffset + pageSize);
+    return {
+      items,
+      pagination: {
+        total: records.length,
+        limit: pageSize,
+        offset: parsedOffset,
+        hasMore: parsedOffset + items.length < records.length
+      }
+    };
+  },
+
+  // Insertar (valida contra el esquema de la tabla; lanza ValidationError)
   insert(table, data) {
-    const maxId = db[table]?.reduce((max, item) => Math.max(max, item.id || 0), 0) || 0;
-    const newItem = { id: maxId + 1, ...data, created_at: data.created_at || new Date().toISOString() };
-    db[table] = db[table] || [];
-    db[table].push(newItem);
-    saveDb(db);
-    return newItem;
-  },
-
-  // Actualizar
-  update(table, id, data) {
-    const index = db[table]?.findIndex(item => item.id === id);
-    if (index === -1) return null;
-    db[table][index] = { ...db[table][index], ...data, updated_at: new Date().toISOString() };
-    saveDb(db);
-    return db[table][index];
-  },
-
-  // Eliminar
-  delete(table, id) {
-    const index = db[table]?.findIndex(item => item.id === id);
-    if (index === -1) return false;
-    db[table].splice(index, 1);
-    saveDb(db);
+    const record = validate(table, { ...data, created_at: data.created_at || new Date().toISOString() }, 'insert');
+    return store.insert(table, record);
+  },
+
+  // Actualizar (valida solo los campos enviados; lanza ValidationError).
+  // En las tablas con historial guarda una revision con options.actor.
+  update(table, id, data, options = {}) {
+    const parsed = parseId(id);
+    if (parsed === null) return null;
+    const { id: _, ...changes } = data;
+    const record = validate(table, { ...changes, updated_at: new Date().toISOString() }, 'update');
+    return store.transaction(() => {
+      const before = store.get(table, parsed);
+      const after = store.update(table, parsed, record);
+      recordRevision(table, 'update', before, after, options.actor);
+      return after;
+    });
+  },
+
+  // Eliminar. En las tablas con borrado logico el registro (y sus dependientes
+  // declarados en `cascades`) pasa a la papelera; options.actor queda en deleted_by.
+  delete(table, id, options = {}) {
+    const record = database.getById(table, id);
+    if (!record) return false;
+
+    if (!isSoftDelete(table)) {
+      return store.remove(table, record.id);
+    }
+
+    const mark = { deleted_at: new Date().toISOString(), deleted_by: parseId(options.actor) };
+    store.transaction(() => {
+      recordRevision(table, 'delete', record, store.update(table, record.id, mark), options.actor);
+      forEachDependent(table, record, dependent => isActive(dependent.record), ({ table: child, record: dependent }) => {
+        store.update(child, dependent.id, mark);
+      });
+    });
+    return true;
+  },
+
+  // Registros en la papelera de una tabla, los mas recientes primero
+  trash(table) {
+    if (!isSoftDelete(table)) return [];
+    return database.sortBy(store.all(table).filter(r => !isActive(r)), 'deleted_at', 'desc');
+  },
+
+  // Restaurar un registro de la papelera junto con los dependientes que se
+  // eliminaron con el. Devuelve el registro restaurado o null.
+  restore(table, id, options = {}) {
+    const record = database.getById(table, id, { withDeleted: true });
+    if (!record || isActive(record)) return null;
+
+    const deletedAt = record.deleted_at;
+    const clear = { deleted_at: null, deleted_by: null };
+    return store.transaction(() => {
+      forEachDependent(table, record, dependent => dependent.record.deleted_at === deletedAt, ({ table: child, record: dependent }) => {
+        store.update(child, dependent.id, clear);
+      });
+      const restored = store.update(table, record.id, clear);
+      recordRevision(table, 'restore', record, restored, options.actor);
+      return restored;
+    });
+  },
+
+  // Eliminar definitivamente un registro de la papelera (y sus dependientes
+  // eliminados con el)
+  purge(table, id) {
+    const record = database.getById(table, id, { withDeleted: true });
+    if (!record || isActive(record)) return false;
+
+    store.transaction(() => {
+      forEachDependent(table, record, dependent => dependent.record.deleted_at === record.deleted_at, ({ table: child, record: dependent }) => {
+        store.remove(child, dependent.id);
+      });
+      store.remove(table, record.id);
+    });
     return true;
   },
 
+  // Vaciar de la papelera lo eliminado antes de `before` (ISO). Devuelve conteos por tabla.
+  purgeDeleted(before) {
+    const counts = {};
+    store.transaction(() => {
+      softDeleteTables.forEach(table => {
+        const expired = store.all(table).filter(r => r.deleted_at && r.deleted_at < before);
+        expired.forEach(r => store.remove(table, r.id));
+        if (expired.length > 0) counts[table] = expired.length;
+      });
+    });
+    return counts;
+  },
+
+  // Historial de cambios de un registro, el mas reciente primero
+  history(table, id) {
+    const parsed = parseId(id);
+    if (parsed === null) return [];
+    return database.sortBy(store.where('revisions', { table_name: table, record_id: parsed }), 'id', 'desc');
+  },
+
+  // Agrupar cambios en varias tablas: se guardan todos juntos o, si fn lanza
+  // un error, no se guarda ninguno. fn recibe este mismo modulo y debe ser sincrona.
+  transaction(fn) {
+    return store.transaction(() => fn(database));
+  },
+
   // Recargar desde archivo
   reload() {
-    db = loadDb();
+    store.reload();
+  },
+
+  // Aplicar migraciones pendientes (devuelve los nombres aplicados)
+  migrate() {
+    return migrate(store);
+  },
+
+  // Listar migraciones con su estado
+  migrationStatus() {
+    return migrationStatus(store);
+  },
+
+  // Version actual del esquema
+  schemaVersion() {
+    return getSchemaVersion(store);
+  },
+
+  // Guardar una copia de toda la base (ver database/backups.js)
+  snapshot(reason = 'manual') {
+    return backups.createSnapshot(store, { reason, schemaVersion: getSchemaVersion(store) });
+  },
+
+  // Copias disponibles con tamano y fecha
+  listSnapshots() {
+    return backups.listSnapshots();
+  },
+
+  // Ruta del archivo de una copia (null si el nombre no es valido)
+  snapshotPath(name) {
+    return backups.snapshotPath(name);
+  },
+
+  // Restaurar una copia. Antes guarda el estado actual como 'pre-restore';
+  // despues recarga el almacen y aplica las migraciones que la copia no tenga.
+  // Devuelve { restored, previous } o null si la copia no existe.
+  restoreSnapshot(name) {
+    if (!backups.snapshotExists(name)) return null;
+
+    const previous = database.snapshot('pre-restore');
+    const restored = backups.restoreSnapshot(store, name);
+    store.reload();
+    migrate(store);
+    return { restored, previous };
+  },
+
+  deleteSnapshot(name) {
+    return backups.deleteSnapshot(name);
+  },
+
+  // Borrar las copias con ese motivo mas alla de las `keep` mas recientes
+  pruneSnapshots(reason, keep) {
+    return backups.pruneSnapshots(reason, keep);
+  },
+
+  // Aplicar una politica de retencion (ver database/retention.js).
+  // options.dryRun solo cuenta los registros afectados.
+  applyRetention(policy, options = {}) {
+    const result = retention.applyPolicy(store, policy, options);
+    if (!options.dryRun && policy.id) {
+      database.update('retention_policies', policy.id, {
+        last_run_at: new Date().toISOString(),
+        last_result: result
+      });
+    }
+    return result;
+  },
+
+  // Vista de la base limitada a una organizacion: en las tablas de `tenantTables`
+  // solo se ven y modifican registros con ese org_id, y las inserciones lo asignan.
+  // Las rutas la reciben en req.db (ver middleware/auth.js).
+  forOrg(orgId) {
+    const inOrg = (table, record) => !isTenant(table) || record.org_id === orgId;
+    // Registro de la organizacion (incluso en la papelera) o null
+    const owned = (table, id) => {
+      const record = database.getById(table, id, { withDeleted: true });
+      return record && inOrg(table, record) ? record : null;
+    };
+
+    const scoped = {
+      driver,
+      ValidationError,
+      softDeleteTables,
+      revisionTables,
+      orgId,
+      parseId,
+      sortBy: database.sortBy,
+      paginate: database.paginate,
+
+      getAll(table, options = {}) {
+        return database.getAll(table, options).filter(record => inOrg(table, record));
+      },
+
+      getById(table, id, options = {}) {
+        const record = database.getById(table, id, options);
+        return record && inOrg(table, record) ? record : undefined;
+      },
+
+      find(table, predicate, options = {}) {
+        return scoped.getAll(table, options).filter(predicate);
+      },
+
+      findOne(table, predicate, options = {}) {
+        return scoped.getAll(table, options).find(predicate);
+      },
+
+      where(table, criteria = {}, options = {}) {
+        return database.where(table, isTenant(table) ? { ...criteria, org_id: orgId } : criteria, options);
+      },
+
+      insert(table, data) {
+        return database.insert(table, isTenant(table) ? { ...data, org_id: orgId } : data);
+      },
+
+      // org_id no se puede cambiar desde una vista
+      update(table, id, data, options = {}) {
+        if (!owned(table, id)) return null;
+        const { org_id: _, ...changes } = data;
+        return database.update(table, id, changes, options);
+      },
+
+      delete(table, id, options = {}) {
+        return owned(table, id) ? database.delete(table, id, options) : false;
+      },
+
+      trash(table) {
+        return database.trash(table).filter(record => inOrg(table, record));
+      },
+
+      restore(table, id, options = {}) {
+        return owned(table, id) ? database.restore(table, id, options) : null;
+      },
+
+      purge(table, id) {
+        return owned(table, id) ? database.purge(table, id) : false;
+      },
+
+      history(table, id) {
+        return owned(table, id) ? database.history(table, id) : [];
+      },
+
+      transaction(fn) {
+        return store.transaction(() => fn(scoped));
+      }
+    };
+
+    return scoped;
+  },
+
+  // Cerrar el almacen guardando lo pendiente
+  close() {
+    store.close();
   }
 };
 
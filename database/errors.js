@@ -0,0 +1,13 @@
+// Error de validacion de la capa de datos.
+// `errors` lista cada problema como { field, message } para devolverlo en un 400.
+class ValidationError extends Error {
+  constructor(table, errors) {
+    super(`Datos invalidos: ${errors.map(e => e.message).join('; ')}`);
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.table = table;
+    this.errors = errors;
+  }
+}
+
+module.exports = { ValidationError };
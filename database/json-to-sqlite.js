@@ -0,0 +1,42 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { createSqliteAdapter } = require('./adapters/sqlite');
+
+// Migracion unica: copia database.json a las tablas de SQLite conservando los IDs.
+// Uso: npm run migrate:sqlite -- [origen.json] [destino.db]
+const source = process.argv[2] || process.env.DB_JSON_FILE || path.join(__dirname, 'database.json');
+const target = process.argv[3] || process.env.DB_SQLITE_FILE || path.join(__dirname, 'database.db');
+
+if (!fs.existsSync(source)) {
+  console.error(`No existe el archivo de origen: ${source}`);
+  process.exit(1);
+}
+
+const data = JSON.parse(fs.readFileSync(source, 'utf8'));
+const store = createSqliteAdapter({ file: target });
+
+// No mezclar datos: el destino debe estar vacio
+const occupied = Object.keys(data).filter(table => store.all(table).length > 0);
+
+if (occupied.length > 0) {
+  console.error(`El destino ya tiene datos en: ${occupied.join(', ')}`);
+  console.error('Usa un archivo SQLite nuevo para la migracion.');
+  store.close();
+  process.exit(1);
+}
+
+console.log(`Migrando ${source} -> ${target}`);
+
+store.transaction(() => {
+  Object.keys(data).forEach(table => {
+    const records = Array.isArray(data[table]) ? data[table] : [];
+    records.forEach(record => store.insert(table, record));
+    console.log(`  - ${table}: ${records.length} registros`);
+  });
+});
+
+store.close();
+
+console.log('Migracion completada. Inicia el servidor con DB_DRIVER=sqlite');
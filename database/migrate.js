@@ -0,0 +1,25 @@
+require('dotenv').config();
+
+const db = require('./db');
+
+// Uso: npm run migrate            -> aplica las migraciones pendientes
+//      npm run migrate:status     -> muestra el estado de cada migracion
+const command = process.argv[2] || 'up';
+
+if (command === 'status') {
+  console.log(`Almacenamiento: ${db.driver} - version del esquema: ${db.schemaVersion()}`);
+  db.migrationStatus().forEach(m => {
+    const state = m.applied_at ? `aplicada ${m.applied_at}` : 'pendiente';
+    console.log(`  ${m.name.padEnd(40)} ${state}`);
+  });
+} else if (command === 'up') {
+  const applied = db.migrate();
+  console.log(applied.length > 0
+    ? `Migraciones aplicadas: ${applied.length}. Version del esquema: ${db.schemaVersion()}`
+    : `El esquema ya esta al dia (version ${db.schemaVersion()})`);
+} else {
+  console.error(`Comando desconocido: ${command}. Opciones: up, status`);
+  process.exitCode = 1;
+}
+
+db.close();
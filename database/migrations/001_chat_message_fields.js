@@ -0,0 +1,17 @@
+// Mensajes de chat: los registros con la forma antigua (user_id/message) pasan a
+// from_user_id/to_user_id/content, y todos reciben read_at.
+module.exports = {
+  description: 'Campos de conversacion directa y lectura en chat_messages',
+
+  up({ all, update, addField }) {
+    all('chat_messages')
+      .filter(m => m.from_user_id === undefined && m.user_id !== undefined)
+      .forEach(m => update('chat_messages', m.id, {
+        from_user_id: m.user_id,
+        content: m.content !== undefined ? m.content : m.message
+      }));
+
+    addField('chat_messages', 'to_user_id', null, 'INTEGER');
+    addField('chat_messages', 'read_at', null, 'DATETIME');
+  }
+};
@@ -0,0 +1,11 @@
+// Usuarios: first_name, last_name y department existen en el esquema SQLite
+// pero no en los usuarios semilla del JSON.
+module.exports = {
+  description: 'Nombre, apellido y departamento en todos los usuarios',
+
+  up({ addField }) {
+    addField('users', 'first_name', null, 'TEXT');
+    addField('users', 'last_name', null, 'TEXT');
+    addField('users', 'department', null, 'TEXT');
+  }
+};
@@ -0,0 +1,24 @@
+// Organizaciones: los datos existentes pasan a una organizacion por defecto.
+// Los roles no cambian: el super_admin se da con `npm run super-admin -- <usuario>`.
+const TENANT_TABLES = [
+  'users', 'attendance', 'breaks', 'tasks', 'notes', 'incidents', 'permissions',
+  'announcements', 'chat_messages', 'daily_reports', 'activity_logs'
+];
+
+module.exports = {
+  description: 'Organizacion por defecto y org_id en todos los registros',
+
+  up({ all, insert, addField }) {
+    let [organization] = all('organizations');
+    if (!organization) {
+      organization = insert('organizations', {
+        name: process.env.DEFAULT_ORG_NAME || 'LoVirtual',
+        slug: process.env.DEFAULT_ORG_SLUG || 'lovirtual',
+        is_active: true,
+        created_at: new Date().toISOString()
+      });
+    }
+
+    TENANT_TABLES.forEach(table => addField(table, 'org_id', organization.id, 'INTEGER'));
+  }
+};
@@ -0,0 +1,8 @@
+// Usuarios: fecha del ultimo cambio de contrasena (null hasta el primer cambio)
+module.exports = {
+  description: 'password_changed_at en todos los usuarios',
+
+  up({ addField }) {
+    addField('users', 'password_changed_at', null, 'DATETIME');
+  }
+};
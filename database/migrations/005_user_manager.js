@@ -0,0 +1,8 @@
+// Usuarios: responsable directo para las lineas de reporte (null = sin responsable)
+module.exports = {
+  description: 'manager_id en todos los usuarios',
+
+  up({ addField }) {
+    addField('users', 'manager_id', null, 'INTEGER');
+  }
+};
@@ -0,0 +1,8 @@
+// Usuarios: marca de cuenta de servicio (solo API keys, sin login)
+module.exports = {
+  description: 'is_service_account en todos los usuarios',
+
+  up({ addField }) {
+    addField('users', 'is_service_account', false, 'BOOLEAN');
+  }
+};
@@ -0,0 +1,8 @@
+// Sesiones: admin que suplanta al usuario (null en las sesiones normales)
+module.exports = {
+  description: 'impersonator_id en todas las sesiones',
+
+  up({ addField }) {
+    addField('sessions', 'impersonator_id', null, 'INTEGER');
+  }
+};
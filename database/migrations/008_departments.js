@@ -0,0 +1,35 @@
+// Departamentos: los valores de texto libre de users.department (y de las
+// invitaciones) pasan a ser registros de departments, uno por nombre y organizacion.
+module.exports = {
+  description: 'Tabla departments a partir de users.department y department_id en usuarios e invitaciones',
+
+  up({ all, insert, update, addField }) {
+    addField('users', 'department_id', null, 'INTEGER');
+    addField('invitations', 'department_id', null, 'INTEGER');
+
+    // Mismo nombre sin distinguir mayusculas ni espacios de mas = mismo departamento
+    const keyFor = (orgId, name) => `${orgId}:${name.trim().replace(/\s+/g, ' ').toLowerCase()}`;
+    const departments = new Map(all('departments').map(d => [keyFor(d.org_id, d.name), d]));
+
+    const departmentFor = (orgId, name) => {
+      const key = keyFor(orgId, name);
+      if (!departments.has(key)) {
+        departments.set(key, insert('departments', {
+          org_id: orgId,
+          name: name.trim().replace(/\s+/g, ' '),
+          created_at: new Date().toISOString()
+        }));
+      }
+      return departments.get(key);
+    };
+
+    ['users', 'invitations'].forEach(table => {
+      all(table)
+        .filter(record => record.department && record.department.trim() && !record.department_id)
+        .forEach(record => {
+          const department = departmentFor(record.org_id, record.department);
+          update(table, record.id, { department_id: department.id, department: department.name });
+        });
+    });
+  }
+};
@@ -0,0 +1,10 @@
+// Usuarios: estado activo/desactivado (los existentes quedan activos)
+module.exports = {
+  description: 'is_active, deactivated_at y deactivated_by en todos los usuarios',
+
+  up({ addField }) {
+    addField('users', 'is_active', true, 'BOOLEAN');
+    addField('users', 'deactivated_at', null, 'DATETIME');
+    addField('users', 'deactivated_by', null, 'INTEGER');
+  }
+};
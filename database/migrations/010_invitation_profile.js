@@ -0,0 +1,10 @@
+// Invitaciones: nombre y responsable sugeridos (importacion CSV de usuarios)
+module.exports = {
+  description: 'first_name, last_name y manager_id en las invitaciones',
+
+  up({ addField }) {
+    addField('invitations', 'first_name', null, 'TEXT');
+    addField('invitations', 'last_name', null, 'TEXT');
+    addField('invitations', 'manager_id', null, 'INTEGER');
+  }
+};
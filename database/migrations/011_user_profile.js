@@ -0,0 +1,13 @@
+// Usuarios: zona horaria, idioma, telefono, puesto, fecha de ingreso y horario semanal
+module.exports = {
+  description: 'timezone, locale, phone, job_title, hire_date y work_schedule en todos los usuarios',
+
+  up({ addField }) {
+    addField('users', 'timezone', null, 'TEXT');
+    addField('users', 'locale', null, 'TEXT');
+    addField('users', 'phone', null, 'TEXT');
+    addField('users', 'job_title', null, 'TEXT');
+    addField('users', 'hire_date', null, 'DATE');
+    addField('users', 'work_schedule', null, 'JSON');
+  }
+};
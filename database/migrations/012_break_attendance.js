@@ -0,0 +1,17 @@
+// Breaks: attendance_id enlaza cada break con su asistencia (un turno nocturno
+// cambia de fecha a medianoche). Los existentes se enlazan por usuario y fecha.
+module.exports = {
+  description: 'attendance_id en breaks, enlazado por usuario y fecha',
+
+  up({ all, update, addField }) {
+    addField('breaks', 'attendance_id', null, 'INTEGER');
+
+    const attendance = all('attendance');
+    all('breaks')
+      .filter(b => !b.attendance_id)
+      .forEach(b => {
+        const match = attendance.find(a => a.user_id === b.user_id && a.date === b.date);
+        if (match) update('breaks', b.id, { attendance_id: match.id });
+      });
+  }
+};
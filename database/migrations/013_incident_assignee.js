@@ -0,0 +1,9 @@
+// Incidentes: assigned_to es quien lo atiende (al dar de baja a un usuario sus
+// incidentes pasan a otro sin perder quien los reporto, que sigue en user_id)
+module.exports = {
+  description: 'assigned_to en incidents',
+
+  up({ addField }) {
+    addField('incidents', 'assigned_to', null, 'INTEGER');
+  }
+};
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Tabla donde se registra cada migracion aplicada (la version del esquema es la mayor)
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Cargar las migraciones numeradas: 001_descripcion.js, 002_descripcion.js, ...
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      return {
+        version: parseInt(file.split('_')[0]),
+        name: path.basename(file, '.js'),
+        description: migration.description || '',
+        up: migration.up
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+// Version actual del esquema guardada en el almacen
+function getSchemaVersion(store) {
+  return store.all(MIGRATIONS_TABLE).reduce((max, m) => Math.max(max, m.version), 0);
+}
+
+// Operaciones disponibles dentro de `up`. Funcionan igual con JSON y SQLite;
+// `sql` solo se ejecuta con SQLite (para DDL que el JSON no necesita).
+function createContext(store) {
+  return {
+    driver: store.driver,
+    all: (table) => store.all(table),
+    insert: (table, record) => store.insert(table, record),
+    update: (table, id, changes) => store.update(table, id, changes),
+    remove: (table, id) => store.remove(table, id),
+    addField: (table, field, defaultValue, type) => store.addField(table, field, defaultValue, type),
+    sql: (statement) => {
+      if (store.driver === 'sqlite') store.exec(statement);
+    }
+  };
+}
+
+// Estado de cada migracion: aplicada o pendiente
+function migrationStatus(store) {
+  const applied = new Map(store.all(MIGRATIONS_TABLE).map(m => [m.version, m]));
+  return loadMigrations().map(m => ({
+    version: m.version,
+    name: m.name,
+    description: m.description,
+    applied_at: applied.get(m.version)?.applied_at || null
+  }));
+}
+
+// Aplicar en orden las migraciones pendientes. Cada una corre en su propia
+// transaccion junto con su registro en schema_migrations.
+function migrate(store) {
+  const current = getSchemaVersion(store);
+  const pending = loadMigrations().filter(m => m.version > current);
+  const context = createContext(store);
+
+  pending.forEach(migration => {
+    console.log(`Aplicando migracion ${migration.name}...`);
+    store.transaction(() => {
+      migration.up(context);
+      store.insert(MIGRATIONS_TABLE, {
+        version: migration.version,
+        name: migration.name,
+        applied_at: new Date().toISOString()
+      });
+    });
+  });
+
+  return pending.map(m => m.name);
+}
+
+module.exports = { migrate, migrationStatus, getSchemaVersion };
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+// Politicas de retencion: cada politica borra (o archiva y borra) los registros
+// de una tabla con mas de `days` dias de antiguedad.
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, 'archive');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tablas que aceptan politica y el campo que indica la antiguedad de cada registro
+const RETENTION_FIELDS = {
+  activity_logs: 'created_at',
+  chat_messages: 'created_at',
+  breaks: 'date',
+  attendance: 'date',
+  daily_reports: 'date',
+  revisions: 'created_at',
+  sessions: 'expires_at',
+  password_resets: 'expires_at',
+  security_events: 'created_at',
+  invitations: 'expires_at',
+  impersonation_actions: 'created_at'
+};
+
+const RETENTION_ACTIONS = ['delete', 'archive'];
+
+// Registros de la tabla anteriores al limite de la politica
+function expiredRecords(store, policy, now = new Date()) {
+  const field = RETENTION_FIELDS[policy.table_name];
+  const cutoff = new Date(now.getTime() - policy.days * DAY_MS).toISOString();
+  // Los campos de tipo fecha (YYYY-MM-DD) se comparan solo con el dia
+  const limit = field === 'date' ? cutoff.slice(0, 10) : cutoff;
+
+  const records = store.all(policy.table_name)
+    .filter(record => record[field] && String(record[field]) < limit);
+  return { records, cutoff };
+}
+
+// Agregar los registros al archivo de la tabla (una linea JSON por registro)
+function archiveRecords(table, records) {
+  fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+  const file = path.join(ARCHIVE_DIR, `${table}.jsonl`);
+  const archivedAt = new Date().toISOString();
+  const lines = records.map(record => JSON.stringify({ ...record, archived_at: archivedAt })).join('\n') + '\n';
+
+  const fd = fs.openSync(file, 'a');
+  try {
+    fs.writeSync(fd, lines);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return file;
+}
+
+// Aplicar una politica. Con dryRun solo cuenta lo que se eliminaria.
+// El archivo se escribe antes de borrar: si el borrado falla, los registros
+// pueden quedar repetidos en el archivo pero nunca se pierden.
+function applyPolicy(store, policy, { dryRun = false } = {}) {
+  const { records, cutoff } = expiredRecords(store, policy);
+  const result = {
+    table: policy.table_name,
+    action: policy.action,
+    cutoff,
+    matched: records.length,
+    dry_run: dryRun
+  };
+
+  if (dryRun || records.length === 0) return result;
+
+  if (policy.action === 'archive') {
+    result.archive_file = path.basename(archiveRecords(policy.table_name, records));
+  }
+
+  store.transaction(() => {
+    records.forEach(record => store.remove(policy.table_name, record.id));
+  });
+  result.removed = records.length;
+  return result;
+}
+
+module.exports = { RETENTION_FIELDS, RETENTION_ACTIONS, applyPolicy };
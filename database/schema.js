@@ -0,0 +1,459 @@
+// Esquema SQLite compartido por database/init.js y el adaptador SQLite.
+// Los valores permitidos (roles, estados, prioridades...) los validan las rutas,
+// por eso aqui no hay restricciones CHECK: el almacen acepta lo mismo que el JSON.
+function createSchema(db) {
+  // Tabla de organizaciones (cada empresa cliente)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS organizations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      slug TEXT UNIQUE NOT NULL,
+      is_active BOOLEAN DEFAULT 1,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    )
+  `);
+
+  // Tabla de usuarios
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      username TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE,
+      password TEXT NOT NULL,
+      role TEXT DEFAULT 'employee',
+      avatar TEXT,
+      first_name TEXT,
+      last_name TEXT,
+      department TEXT,
+      department_id INTEGER,
+      password_changed_at DATETIME,
+      manager_id INTEGER,
+      timezone TEXT,
+      locale TEXT,
+      phone TEXT,
+      job_title TEXT,
+      hire_date DATE,
+      work_schedule JSON,
+      is_service_account BOOLEAN DEFAULT 0,
+      is_active BOOLEAN DEFAULT 1,
+      deactivated_at DATETIME,
+      deactivated_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    )
+  `);
+
+  // Tabla de asistencia
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS attendance (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      user_id INTEGER NOT NULL,
+      clock_in DATETIME,
+      clock_out DATETIME,
+      date DATE NOT NULL,
+      total_hours REAL,
+      status TEXT DEFAULT 'present',
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, date)
+    )
+  `);
+
+  // Tabla de breaks/descansos
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS breaks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      user_id INTEGER NOT NULL,
+      attendance_id INTEGER,
+      type TEXT NOT NULL,
+      start_time DATETIME NOT NULL,
+      end_time DATETIME,
+      date DATE NOT NULL,
+      duration_minutes INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Tabla de tareas
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tasks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      user_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      status TEXT DEFAULT 'pending',
+      priority TEXT DEFAULT 'medium',
+      due_date DATE,
+      completed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Tabla de notas
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS notes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      user_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      content TEXT,
+      color TEXT DEFAULT '#ffffff',
+      is_pinned BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Tabla de incidentes
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS incidents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      user_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      category TEXT DEFAULT 'general',
+      status TEXT DEFAULT 'open',
+      priority TEXT DEFAULT 'medium',
+      resolved_at DATETIME,
+      resolved_by INTEGER,
+      resolution_notes TEXT,
+      assigned_to INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (resolved_by) REFERENCES users(id),
+      FOREIGN KEY (assigned_to) REFERENCES users(id)
+    )
+  `);
+
+  // Tabla de permisos/solicitudes
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS permissions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      reason TEXT,
+      status TEXT DEFAULT 'pending',
+      date_requested DATETIME DEFAULT CURRENT_TIMESTAMP,
+      date_from DATE NOT NULL,
+      date_to DATE NOT NULL,
+      days_requested INTEGER,
+      approved_by INTEGER,
+      approved_at DATETIME,
+      rejection_reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (approved_by) REFERENCES users(id)
+    )
+  `);
+
+  // Tabla de anuncios
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS announcements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      title TEXT NOT NULL,
+      content TEXT NOT NULL,
+      category TEXT DEFAULT 'general',
+      author_id INTEGER,
+      is_active BOOLEAN DEFAULT 1,
+      expires_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (author_id) REFERENCES users(id)
+    )
+  `);
+
+  // Tabla de mensajes de chat (conversaciones directas entre dos usuarios)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS chat_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      from_user_id INTEGER NOT NULL,
+      to_user_id INTEGER NOT NULL,
+      content TEXT NOT NULL,
+      read_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (from_user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (to_user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Tabla de reportes diarios
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS daily_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      user_id INTEGER NOT NULL,
+      date DATE NOT NULL,
+      tasks_completed TEXT,
+      tasks_in_progress TEXT,
+      tasks_planned TEXT,
+      blockers TEXT,
+      notes TEXT,
+      mood TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Tabla de eventos de actividad (AFK / regreso)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS activity_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      user_id INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      idle_time INTEGER,
+      afk_duration INTEGER,
+      timestamp DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Tabla de revisiones (historial de cambios de cada registro)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      table_name TEXT NOT NULL,
+      record_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      changes JSON,
+      actor_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    )
+  `);
+
+  // Tabla de sesiones (refresh tokens)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      org_id INTEGER,
+      refresh_token_hash TEXT,
+      previous_token_hash TEXT,
+      user_agent TEXT,
+      ip TEXT,
+      expires_at DATETIME,
+      last_used_at DATETIME,
+      revoked_at DATETIME,
+      revoked_reason TEXT,
+      impersonator_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    )
+  `);
+
+  // Tabla de acciones durante suplantaciones
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS impersonation_actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      session_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      impersonator_id INTEGER NOT NULL,
+      method TEXT NOT NULL,
+      path TEXT NOT NULL,
+      status_code INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    )
+  `);
+
+  // Tabla de tokens de recuperacion de contrasena
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS password_resets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT NOT NULL,
+      ip TEXT,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    )
+  `);
+
+  // Tabla de fallos de login (por cuenta o por IP)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS login_throttles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope TEXT NOT NULL,
+      key TEXT NOT NULL,
+      user_id INTEGER,
+      org_id INTEGER,
+      failures INTEGER DEFAULT 0,
+      last_failure_at DATETIME,
+      locked_until DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      UNIQUE(scope, key)
+    )
+  `);
+
+  // Tabla de roles por organizacion
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS roles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      name TEXT NOT NULL,
+      description TEXT,
+      permissions JSON,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      UNIQUE(org_id, name)
+    )
+  `);
+
+  // Tabla de verificacion en dos pasos (TOTP)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS two_factor (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER UNIQUE NOT NULL,
+      secret TEXT NOT NULL,
+      enabled_at DATETIME,
+      recovery_codes JSON,
+      last_used_step INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    )
+  `);
+
+  // Tabla de departamentos
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS departments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      name TEXT NOT NULL,
+      description TEXT,
+      head_id INTEGER,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (head_id) REFERENCES users(id)
+    )
+  `);
+
+  // Tabla de invitaciones
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS invitations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      email TEXT,
+      role TEXT NOT NULL,
+      department TEXT,
+      department_id INTEGER,
+      first_name TEXT,
+      last_name TEXT,
+      manager_id INTEGER,
+      token_hash TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      invited_by INTEGER,
+      accepted_at DATETIME,
+      accepted_user_id INTEGER,
+      revoked_at DATETIME,
+      revoked_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    )
+  `);
+
+  // Tabla de API keys
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      key_hash TEXT NOT NULL,
+      key_hint TEXT,
+      scopes JSON,
+      expires_at DATETIME NOT NULL,
+      last_used_at DATETIME,
+      last_used_ip TEXT,
+      revoked_at DATETIME,
+      revoked_by INTEGER,
+      revoked_reason TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Tabla del registro de seguridad
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS security_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      org_id INTEGER,
+      user_id INTEGER,
+      event TEXT NOT NULL,
+      ip TEXT,
+      actor_id INTEGER,
+      details JSON,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    )
+  `);
+
+  // Tabla de politicas de retencion (una por tabla)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS retention_policies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      table_name TEXT UNIQUE NOT NULL,
+      days INTEGER NOT NULL,
+      action TEXT DEFAULT 'delete',
+      is_active BOOLEAN DEFAULT 1,
+      last_run_at DATETIME,
+      last_result JSON,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    )
+  `);
+
+  // Indices para mejorar rendimiento
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_attendance_user_date ON attendance(user_id, date);
+    CREATE INDEX IF NOT EXISTS idx_breaks_user_date ON breaks(user_id, date);
+    CREATE INDEX IF NOT EXISTS idx_tasks_user_status ON tasks(user_id, status);
+    CREATE INDEX IF NOT EXISTS idx_notes_user ON notes(user_id);
+    CREATE INDEX IF NOT EXISTS idx_incidents_user_status ON incidents(user_id, status);
+    CREATE INDEX IF NOT EXISTS idx_permissions_user_status ON permissions(user_id, status);
+    CREATE INDEX IF NOT EXISTS idx_chat_messages_created ON chat_messages(created_at);
+    CREATE INDEX IF NOT EXISTS idx_daily_reports_user_date ON daily_reports(user_id, date);
+    CREATE INDEX IF NOT EXISTS idx_activity_logs_user ON activity_logs(user_id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_user_id_revoked_at ON sessions(user_id, revoked_at);
+    CREATE INDEX IF NOT EXISTS idx_revisions_table_name_record_id ON revisions(table_name, record_id);
+    CREATE INDEX IF NOT EXISTS idx_password_resets_user_id ON password_resets(user_id);
+    CREATE INDEX IF NOT EXISTS idx_security_events_org_id ON security_events(org_id);
+    CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+    CREATE INDEX IF NOT EXISTS idx_invitations_org_id ON invitations(org_id);
+    CREATE INDEX IF NOT EXISTS idx_departments_org_id ON departments(org_id);
+    CREATE INDEX IF NOT EXISTS idx_impersonation_actions_session_id ON impersonation_actions(session_id);
+  `);
+}
+
+module.exports = { createSchema };
@@ -0,0 +1,316 @@
+// Esquemas por tabla: tipos, valores permitidos, requeridos y valores por defecto.
+// db.insert/db.update validan contra estas definiciones; los campos comunes
+// (id, created_at, updated_at, deleted_at, deleted_by) se aceptan en todas las tablas.
+//
+// Tipos: id, integer, number, string, boolean, date (YYYY-MM-DD), datetime, any
+// Opciones: required, enum, default, maxLength
+
+const TASK_STATUSES = ['pending', 'in_progress', 'completed', 'cancelled'];
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const INCIDENT_CATEGORIES = ['technical', 'hr', 'safety', 'general', 'other'];
+const INCIDENT_STATUSES = ['open', 'in_review', 'resolved', 'closed'];
+const INCIDENT_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const PERMISSION_TYPES = ['vacation', 'sick_leave', 'personal', 'maternity', 'paternity', 'bereavement', 'other'];
+const PERMISSION_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const ANNOUNCEMENT_CATEGORIES = ['general', 'important', 'urgent', 'event', 'policy'];
+const SECURITY_EVENTS = [
+  'account_locked', 'ip_locked', 'account_unlocked', 'ip_unlocked',
+  'two_factor_enabled', 'two_factor_disabled', 'two_factor_reset', 'recovery_code_used',
+  'api_key_created', 'api_key_revoked', 'impersonation_started', 'impersonation_ended',
+  'user_deactivated', 'user_reactivated', 'super_admin_granted'
+];
+
+const schemas = {
+  users: {
+    org_id: { type: 'id' },
+    username: { type: 'string', required: true, maxLength: 50 },
+    email: { type: 'string', maxLength: 255 },
+    password: { type: 'string', required: true },
+    // Rol incluido o propio de la organizacion (se valida contra lib/permissions.js en la ruta)
+    role: { type: 'string', maxLength: 50, default: 'employee' },
+    avatar: { type: 'string' },
+    first_name: { type: 'string', maxLength: 100 },
+    last_name: { type: 'string', maxLength: 100 },
+    // Nombre del departamento (se mantiene igual al de department_id, ver lib/departments.js)
+    department: { type: 'string', maxLength: 100 },
+    department_id: { type: 'id' },
+    password_changed_at: { type: 'datetime' },
+    // Responsable directo (lib/teams.js)
+    manager_id: { type: 'id' },
+    // Perfil. timezone (IANA, ej. America/Lima) y work_schedule se usan en lib/schedule.js
+    timezone: { type: 'string', maxLength: 64 },
+    locale: { type: 'string', maxLength: 20 },
+    phone: { type: 'string', maxLength: 30 },
+    job_title: { type: 'string', maxLength: 100 },
+    hire_date: { type: 'date' },
+    work_schedule: { type: 'any' },
+    // Cuenta para integraciones: no inicia sesion, solo usa API keys
+    is_service_account: { type: 'boolean', default: false },
+    // Desactivado: no inicia sesion ni usa tokens, pero conserva su historial (lib/offboarding.js)
+    is_active: { type: 'boolean', default: true },
+    deactivated_at: { type: 'datetime' },
+    deactivated_by: { type: 'id' }
+  },
+
+  attendance: {
+    org_id: { type: 'id' },
+    user_id: { type: 'id', required: true },
+    date: { type: 'date', required: true },
+    clock_in: { type: 'datetime' },
+    clock_out: { type: 'datetime' },
+    total_hours: { type: 'number' },
+    status: { type: 'string', enum: ['present', 'late', 'absent', 'half_day', 'on_leave'], default: 'present' },
+    notes: { type: 'string' },
+    permission_id: { type: 'id' }
+  },
+
+  breaks: {
+    org_id: { type: 'id' },
+    user_id: { type: 'id', required: true },
+    attendance_id: { type: 'id' },
+    type: { type: 'string', required: true, enum: ['break_am', 'lunch', 'break_pm', 'other'] },
+    start_time: { type: 'datetime', required: true },
+    end_time: { type: 'datetime' },
+    date: { type: 'date', required: true },
+    duration_minutes: { type: 'integer' }
+  },
+
+  tasks: {
+    org_id: { type: 'id' },
+    user_id: { type: 'id', required: true },
+    title: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string' },
+    status: { type: 'string', enum: TASK_STATUSES, default: 'pending' },
+    priority: { type: 'string', enum: TASK_PRIORITIES, default: 'medium' },
+    due_date: { type: 'date' },
+    completed_at: { type: 'datetime' }
+  },
+
+  notes: {
+    org_id: { type: 'id' },
+    user_id: { type: 'id', required: true },
+    title: { type: 'string', required: true, maxLength: 200 },
+    content: { type: 'string' },
+    color: { type: 'string', default: '#ffffff', maxLength: 20 },
+    is_pinned: { type: 'boolean', default: false }
+  },
+
+  incidents: {
+    org_id: { type: 'id' },
+    user_id: { type: 'id', required: true },
+    title: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', required: true },
+    category: { type: 'string', enum: INCIDENT_CATEGORIES, default: 'general' },
+    status: { type: 'string', enum: INCIDENT_STATUSES, default: 'open' },
+    priority: { type: 'string', enum: INCIDENT_PRIORITIES, default: 'medium' },
+    resolved_at: { type: 'datetime' },
+    resolved_by: { type: 'id' },
+    resolution_notes: { type: 'string' },
+    assigned_to: { type: 'id' }
+  },
+
+  permissions: {
+    org_id: { type: 'id' },
+    user_id: { type: 'id', required: true },
+    type: { type: 'string', required: true, enum: PERMISSION_TYPES },
+    reason: { type: 'string' },
+    status: { type: 'string', enum: PERMISSION_STATUSES, default: 'pending' },
+    date_requested: { type: 'datetime' },
+    date_from: { type: 'date', required: true },
+    date_to: { type: 'date', required: true },
+    days_requested: { type: 'integer' },
+    approved_by: { type: 'id' },
+    approved_at: { type: 'datetime' },
+    rejection_reason: { type: 'string' }
+  },
+
+  announcements: {
+    org_id: { type: 'id' },
+    title: { type: 'string', required: true, maxLength: 200 },
+    content: { type: 'string', required: true },
+    category: { type: 'string', enum: ANNOUNCEMENT_CATEGORIES, default: 'general' },
+    author_id: { type: 'id' },
+    is_active: { type: 'boolean', default: true },
+    expires_at: { type: 'datetime' }
+  },
+
+  chat_messages: {
+    org_id: { type: 'id' },
+    from_user_id: { type: 'id', required: true },
+    to_user_id: { type: 'id', required: true },
+    content: { type: 'string', required: true, maxLength: 2000 },
+    read_at: { type: 'datetime' }
+  },
+
+  daily_reports: {
+    org_id: { type: 'id' },
+    user_id: { type: 'id', required: true },
+    date: { type: 'date', required: true },
+    tasks_completed: { type: 'any' },
+    tasks_in_progress: { type: 'any' },
+    tasks_planned: { type: 'any' },
+    blockers: { type: 'any' },
+    notes: { type: 'any' },
+    mood: { type: 'string', enum: ['great', 'good', 'okay', 'bad', 'terrible'] }
+  },
+
+  activity_logs: {
+    org_id: { type: 'id' },
+    user_id: { type: 'id', required: true },
+    event: { type: 'string', required: true, enum: ['afk_start', 'afk_end'] },
+    idle_time: { type: 'integer' },
+    afk_duration: { type: 'integer' },
+    timestamp: { type: 'datetime' }
+  },
+
+  organizations: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    slug: { type: 'string', required: true, maxLength: 50 },
+    is_active: { type: 'boolean', default: true },
+    created_by: { type: 'id' }
+  },
+
+  // Sesiones de login: el refresh token se guarda solo como hash
+  sessions: {
+    user_id: { type: 'id', required: true },
+    org_id: { type: 'id' },
+    refresh_token_hash: { type: 'string' },
+    previous_token_hash: { type: 'string' },
+    user_agent: { type: 'string', maxLength: 255 },
+    ip: { type: 'string', maxLength: 64 },
+    expires_at: { type: 'datetime' },
+    last_used_at: { type: 'datetime' },
+    revoked_at: { type: 'datetime' },
+    revoked_reason: { type: 'string', maxLength: 50 },
+    // Admin que suplanta al usuario (lib/impersonation.js)
+    impersonator_id: { type: 'id' }
+  },
+
+  // Peticiones que modifican datos durante una suplantacion
+  impersonation_actions: {
+    org_id: { type: 'id' },
+    session_id: { type: 'id', required: true },
+    user_id: { type: 'id', required: true },
+    impersonator_id: { type: 'id', required: true },
+    method: { type: 'string', required: true, maxLength: 10 },
+    path: { type: 'string', required: true, maxLength: 255 },
+    status_code: { type: 'integer' }
+  },
+
+  // Tokens de recuperacion de contrasena: un solo uso, se guarda solo el hash
+  password_resets: {
+    user_id: { type: 'id', required: true },
+    token_hash: { type: 'string', required: true },
+    ip: { type: 'string', maxLength: 64 },
+    expires_at: { type: 'datetime', required: true },
+    used_at: { type: 'datetime' }
+  },
+
+  // Fallos de login por cuenta (key = id de usuario) o por IP. Ver lib/login-throttle.js
+  login_throttles: {
+    scope: { type: 'string', required: true, enum: ['account', 'ip'] },
+    key: { type: 'string', required: true, maxLength: 64 },
+    user_id: { type: 'id' },
+    org_id: { type: 'id' },
+    failures: { type: 'integer', default: 0 },
+    last_failure_at: { type: 'datetime' },
+    locked_until: { type: 'datetime' }
+  },
+
+  // Roles propios de cada organizacion y cambios a los roles incluidos.
+  // permissions: lista de permisos del catalogo (ver lib/permissions.js)
+  roles: {
+    org_id: { type: 'id' },
+    name: { type: 'string', required: true, maxLength: 50 },
+    description: { type: 'string', maxLength: 255 },
+    permissions: { type: 'any' },
+    created_by: { type: 'id' }
+  },
+
+  // Verificacion en dos pasos: recovery_codes guarda solo hashes. Ver lib/two-factor.js
+  two_factor: {
+    user_id: { type: 'id', required: true },
+    secret: { type: 'string', required: true },
+    enabled_at: { type: 'datetime' },
+    recovery_codes: { type: 'any' },
+    last_used_step: { type: 'integer' }
+  },
+
+  // Departamentos de la organizacion; head_id es el responsable
+  departments: {
+    org_id: { type: 'id' },
+    name: { type: 'string', required: true, maxLength: 100 },
+    description: { type: 'string', maxLength: 500 },
+    head_id: { type: 'id' },
+    created_by: { type: 'id' }
+  },
+
+  // Invitaciones a la organizacion (lib/invitations.js). El rol se valida en la ruta
+  invitations: {
+    org_id: { type: 'id' },
+    email: { type: 'string', maxLength: 255 },
+    role: { type: 'string', required: true, maxLength: 50 },
+    department: { type: 'string', maxLength: 100 },
+    department_id: { type: 'id' },
+    // Datos sugeridos (importacion CSV): el invitado puede cambiar el nombre al aceptar
+    first_name: { type: 'string', maxLength: 100 },
+    last_name: { type: 'string', maxLength: 100 },
+    manager_id: { type: 'id' },
+    token_hash: { type: 'string', required: true },
+    expires_at: { type: 'datetime', required: true },
+    invited_by: { type: 'id' },
+    accepted_at: { type: 'datetime' },
+    accepted_user_id: { type: 'id' },
+    revoked_at: { type: 'datetime' },
+    revoked_by: { type: 'id' }
+  },
+
+  // API keys (lib/api-keys.js). scopes: permisos del catalogo y "write"
+  api_keys: {
+    org_id: { type: 'id' },
+    user_id: { type: 'id', required: true },
+    name: { type: 'string', required: true, maxLength: 100 },
+    key_hash: { type: 'string', required: true },
+    key_hint: { type: 'string', maxLength: 8 },
+    scopes: { type: 'any' },
+    expires_at: { type: 'datetime', required: true },
+    last_used_at: { type: 'datetime' },
+    last_used_ip: { type: 'string', maxLength: 64 },
+    revoked_at: { type: 'datetime' },
+    revoked_by: { type: 'id' },
+    revoked_reason: { type: 'string', maxLength: 50 },
+    created_by: { type: 'id' }
+  },
+
+  // Registro de seguridad (bloqueos de login, verificacion en dos pasos, API keys)
+  security_events: {
+    org_id: { type: 'id' },
+    user_id: { type: 'id' },
+    event: { type: 'string', required: true, enum: SECURITY_EVENTS },
+    ip: { type: 'string', maxLength: 64 },
+    actor_id: { type: 'id' },
+    details: { type: 'any' }
+  },
+
+  // table_name y action se validan contra database/retention.js en la ruta
+  retention_policies: {
+    table_name: { type: 'string', required: true },
+    days: { type: 'integer', required: true },
+    action: { type: 'string', enum: ['delete', 'archive'], default: 'delete' },
+    is_active: { type: 'boolean', default: true },
+    last_run_at: { type: 'datetime' },
+    last_result: { type: 'any' },
+    created_by: { type: 'id' }
+  },
+
+  // changes: { campo: { from, to } }
+  revisions: {
+    table_name: { type: 'string', required: true },
+    record_id: { type: 'id', required: true },
+    action: { type: 'string', required: true, enum: ['update', 'delete', 'restore'] },
+    changes: { type: 'any' },
+    actor_id: { type: 'id' }
+  }
+};
+
+module.exports = { schemas };
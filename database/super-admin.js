@@ -0,0 +1,22 @@
+require('dotenv').config();
+
+const db = require('./db');
+const { grantSuperAdmin } = require('../lib/super-admin');
+
+// Uso: npm run super-admin -- <usuario>   -> da el rol super_admin a ese usuario
+const username = process.argv[2];
+
+if (!username) {
+  console.error('Indica el usuario: npm run super-admin -- <usuario>');
+  process.exitCode = 1;
+} else {
+  const { error, user } = grantSuperAdmin(username);
+  if (error) {
+    console.error(error);
+    process.exitCode = 1;
+  } else {
+    console.log(`${user.username} es super_admin. Tiene que iniciar sesion de nuevo.`);
+  }
+}
+
+db.close();
@@ -0,0 +1,139 @@
+const { schemas } = require('./schemas');
+const { ValidationError } = require('./errors');
+
+// Campos presentes en todas las tablas, manejados por db.js
+const COMMON_FIELDS = ['id', 'created_at', 'updated_at', 'deleted_at', 'deleted_by'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Convertir un ID recibido (numero o texto de req.params/req.body) a numero.
+// Devuelve null si no es un entero positivo.
+function parseId(value) {
+  if (typeof value === 'number') return Number.isInteger(value) && value > 0 ? value : null;
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+    const id = parseInt(value.trim(), 10);
+    return id > 0 ? id : null;
+  }
+  return null;
+}
+
+// Coercion por tipo. Devuelve { value } o { error }.
+const coercers = {
+  id(value) {
+    const id = parseId(value);
+    return id === null ? { error: 'debe ser un ID valido' } : { value: id };
+  },
+
+  integer(value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return Number.isInteger(number) ? { value: number } : { error: 'debe ser un numero entero' };
+  },
+
+  number(value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? { value: number } : { error: 'debe ser un numero' };
+  },
+
+  string(value) {
+    if (typeof value === 'string') return { value };
+    if (typeof value === 'number') return { value: String(value) };
+    return { error: 'debe ser texto' };
+  },
+
+  boolean(value) {
+    if (typeof value === 'boolean') return { value };
+    if (value === 1 || value === 'true' || value === '1') return { value: true };
+    if (value === 0 || value === 'false' || value === '0') return { value: false };
+    return { error: 'debe ser verdadero o falso' };
+  },
+
+  date(value) {
+    if (typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value))) return { value };
+    return { error: 'debe ser una fecha YYYY-MM-DD' };
+  },
+
+  datetime(value) {
+    if (value instanceof Date && !isNaN(value)) return { value: value.toISOString() };
+    if (typeof value === 'string' && !isNaN(new Date(value))) return { value };
+    return { error: 'debe ser una fecha y hora valida' };
+  },
+
+  any(value) {
+    return { value };
+  }
+};
+
+// Validar y normalizar un registro contra el esquema de su tabla.
+// mode 'insert': aplica valores por defecto y exige los requeridos.
+// mode 'update': solo valida los campos enviados.
+// Las tablas sin esquema declarado se guardan tal cual.
+function validate(table, data, mode = 'insert') {
+  const schema = schemas[table];
+  if (!schema) return data;
+
+  const errors = [];
+  const value = {};
+
+  Object.keys(data).forEach(field => {
+    if (data[field] === undefined) return;
+
+    if (COMMON_FIELDS.includes(field)) {
+      value[field] = data[field];
+      return;
+    }
+
+    const rule = schema[field];
+    if (!rule) {
+      errors.push({ field, message: `${field} no es un campo de ${table}` });
+      return;
+    }
+
+    let raw = data[field];
+    // Un texto vacio en un campo que no es de texto equivale a "sin valor"
+    if (raw === '' && rule.type !== 'string' && rule.type !== 'any') raw = null;
+
+    if (raw === null) {
+      if (rule.required) errors.push({ field, message: `${field} es requerido` });
+      else value[field] = null;
+      return;
+    }
+
+    const result = coercers[rule.type](raw);
+    if (result.error) {
+      errors.push({ field, message: `${field} ${result.error}` });
+      return;
+    }
+
+    if (rule.enum && !rule.enum.includes(result.value)) {
+      errors.push({ field, message: `${field} debe ser uno de: ${rule.enum.join(', ')}` });
+      return;
+    }
+
+    if (rule.maxLength && typeof result.value === 'string' && result.value.length > rule.maxLength) {
+      errors.push({ field, message: `${field} no puede exceder ${rule.maxLength} caracteres` });
+      return;
+    }
+
+    value[field] = result.value;
+  });
+
+  if (mode === 'insert') {
+    Object.keys(schema).forEach(field => {
+      const rule = schema[field];
+      if (value[field] !== undefined || errors.some(e => e.field === field)) return;
+      if (rule.default !== undefined) {
+        value[field] = rule.default;
+      } else if (rule.required) {
+        errors.push({ field, message: `${field} es requerido` });
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(table, errors);
+  }
+
+  return value;
+}
+
+module.exports = { validate, parseId };
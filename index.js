@@ -4,6 +4,7 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
+const db = require('./database/db');
 
 // Importar rutas
 const authRoutes = require('./routes/auth');
@@ -17,10 +18,36 @@ const permissionsRoutes = require('./routes/permissions');
 const announcementsRoutes = require('./routes/announcements');
 const chatRoutes = require('./routes/chat');
 const activityRoutes = require('./routes/activity');
+const trashRoutes = require('./routes/trash');
+const historyRoutes = require('./routes/history');
+const backupsRoutes = require('./routes/backups');
+const retentionRoutes = require('./routes/retention');
+const organizationsRoutes = require('./routes/organizations');
+const securityRoutes = require('./routes/security');
+const rolesRoutes = require('./routes/roles');
+const apiKeysRoutes = require('./routes/api-keys');
+const serviceAccountsRoutes = require('./routes/service-accounts');
+const invitationsRoutes = require('./routes/invitations');
+const departmentsRoutes = require('./routes/departments');
+const { startTrashPurge } = require('./jobs/purge-trash');
+const { startScheduledBackups } = require('./jobs/backup');
+const { startRetention } = require('./jobs/retention');
+
+// Aplicar migraciones pendientes antes de aceptar peticiones
+if (process.env.DB_AUTO_MIGRATE !== 'false') {
+  db.migrate();
+}
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Detras de un proxy (TRUST_PROXY=1, true...) req.ip toma la IP real del cliente.
+// La usa el bloqueo de intentos de login por IP.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true');
+}
+
 // Lista de origenes permitidos
 const allowedOrigins = [
   'https://lovirtual-test-one.vercel.app',
@@ -63,8 +90,8 @@ app.options('*', cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Logging de requests en desarrollo
-if (process.env.NODE_ENV !== 'production') {
+// Logging de requests en desarrollo (no en produccion ni en los tests)
+if (!['production', 'test'].includes(process.env.NODE_ENV)) {
   app.use((req, res, next) => {
     const timestamp = new Date().toISOString();
     console.log(`[${timestamp}] ${req.method} ${req.path}`);
@@ -83,6 +110,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Registrar rutas de la API
+app.use('/api/:resource/:id/history', historyRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/attendance', attendanceRoutes);
@@ -94,6 +122,16 @@ app.use('/api/permissions', permissionsRoutes);
 app.use('/api/announcements', announcementsRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/activity', activityRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/backups', backupsRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/organizations', organizationsRoutes);
+app.use('/api/security', securityRoutes);
+app.use('/api/roles', rolesRoutes);
+app.use('/api/api-keys', apiKeysRoutes);
+app.use('/api/service-accounts', serviceAccountsRoutes);
+app.use('/api/invitations', invitationsRoutes);
+app.use('/api/departments', departmentsRoutes);
 
 // Ruta 404 para API
 app.use('/api/*', (req, res) => {
@@ -121,22 +159,42 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Iniciar servidor
-app.listen(PORT, () => {
+// Iniciar servidor (al requerir el modulo, como en los tests, solo se exporta la app)
+if (require.main === module) app.listen(PORT, () => {
+  startTrashPurge();
+  startScheduledBackups();
+  startRetention();
+
   console.log('='.repeat(50));
   console.log('   MI TRABAJO VIRTUAL - Backend API');
   console.log('='.repeat(50));
   console.log(`   Servidor corriendo en puerto: ${PORT}`);
   console.log(`   CORS habilitado para: todos los origenes`);
   console.log(`   Entorno: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`   Almacenamiento: ${db.driver} (esquema v${db.schemaVersion()})`);
   console.log('='.repeat(50));
   console.log('');
   console.log('Endpoints disponibles:');
   console.log('  - GET  /api/health          - Estado del servidor');
   console.log('  - POST /api/auth/login      - Iniciar sesion');
-  console.log('  - POST /api/auth/register   - Registrar usuario');
+  console.log('  - POST /api/auth/register   - Registrar usuario (si OPEN_REGISTRATION=true)');
+  console.log('  - POST /api/auth/accept-invitation - Crear cuenta con una invitacion');
   console.log('  - GET  /api/auth/me         - Usuario actual');
+  console.log('  - POST /api/auth/refresh    - Renovar token de acceso');
+  console.log('  - POST /api/auth/logout     - Cerrar sesion');
+  console.log('  - *    /api/auth/sessions   - Sesiones activas');
+  console.log('  - PUT  /api/auth/password   - Cambiar contrasena');
+  console.log('  - POST /api/auth/forgot-password - Recuperar contrasena');
+  console.log('  - POST /api/auth/reset-password  - Restablecer contrasena');
+  console.log('  - POST /api/auth/login/2fa  - Segundo paso del login');
+  console.log('  - POST /api/auth/impersonate/:id - Suplantar a un usuario (admin)');
+  console.log('  - *    /api/auth/2fa        - Verificacion en dos pasos');
   console.log('  - *    /api/users           - Gestion de usuarios');
+  console.log('  - *    /api/roles           - Roles y permisos');
+  console.log('  - *    /api/departments     - Departamentos y sus miembros');
+  console.log('  - *    /api/invitations     - Invitaciones (admin)');
+  console.log('  - *    /api/api-keys        - API keys para integraciones');
+  console.log('  - *    /api/service-accounts - Cuentas de servicio (admin)');
   console.log('  - *    /api/attendance      - Control de asistencia');
   console.log('  - *    /api/breaks          - Gestion de descansos');
   console.log('  - *    /api/tasks           - Gestion de tareas');
@@ -145,6 +203,12 @@ app.listen(PORT, () => {
   console.log('  - *    /api/permissions     - Solicitud de permisos');
   console.log('  - *    /api/announcements   - Anuncios');
   console.log('  - *    /api/chat            - Chat grupal');
+  console.log('  - *    /api/trash           - Papelera (admin)');
+  console.log('  - *    /api/organizations   - Organizaciones (super_admin)');
+  console.log('  - *    /api/security        - Bloqueos de login, registro de seguridad y suplantaciones (admin)');
+  console.log('  - *    /api/backups         - Copias de seguridad (super_admin)');
+  console.log('  - *    /api/retention       - Politicas de retencion (super_admin)');
+  console.log('  - GET  /api/:recurso/:id/history - Historial de cambios');
   console.log('');
   console.log('Usuario demo: username="rock", password="123456"');
   console.log('Usuario admin: username="admin", password="admin123"');
@@ -0,0 +1,32 @@
+const db = require('../database/db');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Copia programada de toda la base. Se conservan las BACKUP_RETENTION (7 por
+// defecto) copias programadas mas recientes; las manuales no se borran solas.
+function runScheduledBackup() {
+  const keep = parseInt(process.env.BACKUP_RETENTION) || 7;
+
+  try {
+    const snapshot = db.snapshot('scheduled');
+    const pruned = db.pruneSnapshots('scheduled', keep);
+    console.log(`Copia programada ${snapshot.name} (${pruned.length} antiguas eliminadas)`);
+    return snapshot;
+  } catch (error) {
+    console.error('Error en la copia programada:', error);
+    return null;
+  }
+}
+
+// Cada BACKUP_INTERVAL_HOURS horas (24 por defecto; 0 la desactiva)
+function startScheduledBackups() {
+  const hours = process.env.BACKUP_INTERVAL_HOURS !== undefined
+    ? parseFloat(process.env.BACKUP_INTERVAL_HOURS)
+    : 24;
+  if (!(hours > 0)) return null;
+
+  // unref: el intervalo no mantiene vivo el proceso
+  return setInterval(runScheduledBackup, hours * HOUR_MS).unref();
+}
+
+module.exports = { runScheduledBackup, startScheduledBackups };
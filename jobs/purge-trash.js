@@ -0,0 +1,30 @@
+const db = require('../database/db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Eliminar definitivamente lo que lleva en la papelera mas de TRASH_RETENTION_DAYS
+// (30 por defecto). Se ejecuta al arrancar y luego cada TRASH_PURGE_INTERVAL_MS.
+function purgeTrash() {
+  const retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+  const before = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+
+  try {
+    const counts = db.purgeDeleted(before);
+    if (Object.keys(counts).length > 0) {
+      console.log('Papelera purgada:', counts);
+    }
+    return counts;
+  } catch (error) {
+    console.error('Error purgando papelera:', error);
+    return {};
+  }
+}
+
+function startTrashPurge() {
+  const interval = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+  purgeTrash();
+  // unref: el intervalo no mantiene vivo el proceso
+  return setInterval(purgeTrash, interval).unref();
+}
+
+module.exports = { purgeTrash, startTrashPurge };
@@ -0,0 +1,32 @@
+const db = require('../database/db');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Aplicar todas las politicas de retencion activas
+function runRetention() {
+  return db.where('retention_policies', { is_active: true }).map(policy => {
+    try {
+      const result = db.applyRetention(policy);
+      if (result.matched > 0) {
+        console.log(`Retencion ${policy.table_name}: ${result.matched} registros (${policy.action})`);
+      }
+      return result;
+    } catch (error) {
+      console.error(`Error aplicando la retencion de ${policy.table_name}:`, error);
+      return { table: policy.table_name, error: error.message };
+    }
+  });
+}
+
+// Cada RETENTION_INTERVAL_HOURS horas (24 por defecto; 0 lo desactiva)
+function startRetention() {
+  const hours = process.env.RETENTION_INTERVAL_HOURS !== undefined
+    ? parseFloat(process.env.RETENTION_INTERVAL_HOURS)
+    : 24;
+  if (!(hours > 0)) return null;
+
+  // unref: el intervalo no mantiene vivo el proceso
+  return setInterval(runRetention, hours * HOUR_MS).unref();
+}
+
+module.exports = { runRetention, startRetention };
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const db = require('../database/db');
+const { PERMISSIONS, can } = require('./permissions');
+const { logSecurityEvent } = require('./security-log');
+
+// API keys para integraciones (scripts de nomina, reportes...). Se envian como
+// "Authorization: Bearer lvk_<id>_<secreto>" y en la base solo queda el hash.
+// Cada key pertenece a un usuario (personal o cuenta de servicio) y solo puede
+// usar los permisos de sus scopes que ese usuario tenga. Sin el scope "write"
+// solo sirve para consultar (GET). Configuracion:
+// API_KEY_DEFAULT_DAYS (90), API_KEY_MAX_DAYS (365)
+const config = {
+  defaultDays: parseInt(process.env.API_KEY_DEFAULT_DAYS) || 90,
+  maxDays: parseInt(process.env.API_KEY_MAX_DAYS) || 365
+};
+
+const KEY_PATTERN = /^lvk_(\d+)_([a-f0-9]{64})$/;
+const WRITE_SCOPE = 'write';
+// last_used_at se actualiza como mucho una vez por minuto
+const LAST_USED_PRECISION_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sameHash = (a, b) => Boolean(a) && Boolean(b) && a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const isApiKey = (token) => String(token || '').startsWith('lvk_');
+
+const isExpired = (key) => key.expires_at < new Date().toISOString();
+
+const isActive = (key) => !key.revoked_at && !isExpired(key);
+
+// Datos de una key que se pueden mostrar (sin el hash)
+const publicKey = ({ key_hash, ...key }) => ({ ...key, active: isActive(key) });
+
+// Scopes que puede tener una key de `owner`
+const availableScopes = (owner) => [
+  { name: WRITE_SCOPE, description: 'Crear, modificar y eliminar (no solo consultar)' },
+  ...Object.entries(PERMISSIONS)
+    .filter(([name]) => can(owner, name))
+    .map(([name, description]) => ({ name, description }))
+];
+
+// Validar los scopes de una key de `owner`. Devuelve el mensaje de error o null.
+function checkScopes(owner, scopes) {
+  if (!Array.isArray(scopes)) return 'scopes debe ser una lista';
+
+  const unknown = scopes.filter(scope => scope !== WRITE_SCOPE && !PERMISSIONS[scope]);
+  if (unknown.length > 0) return `Scopes desconocidos: ${unknown.join(', ')}`;
+
+  const missing = scopes.filter(scope => scope !== WRITE_SCOPE && !can(owner, scope));
+  if (missing.length > 0) return `El usuario no tiene estos permisos: ${missing.join(', ')}`;
+
+  return null;
+}
+
+// Dias de validez pedidos (por defecto API_KEY_DEFAULT_DAYS). Devuelve { days } o { error }.
+function parseExpiry(value) {
+  if (value === undefined || value === null) return { days: config.defaultDays };
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > config.maxDays) {
+    return { error: `expires_in_days debe ser un entero entre 1 y ${config.maxDays}` };
+  }
+  return { days };
+}
+
+// Crear una key para `owner` en la organizacion de `tenantDb` (req.db).
+// La key completa solo se devuelve aqui.
+function createKey(tenantDb, owner, { name, scopes, days, actor }) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const key = tenantDb.insert('api_keys', {
+    user_id: owner.id,
+    name,
+    key_hash: hashToken(secret),
+    key_hint: secret.slice(0, 4),
+    scopes,
+    expires_at: new Date(Date.now() + days * DAY_MS).toISOString(),
+    created_by: actor
+  });
+
+  logSecurityEvent('api_key_created', {
+    user: { ...owner, org_id: key.org_id },
+    actor,
+    details: { api_key_id: key.id, name, scopes }
+  });
+
+  return { apiKey: `lvk_${key.id}_${secret}`, key };
+}
+
+function revokeKey(key, { actor = null, reason = 'revoked' } = {}) {
+  if (key.revoked_at) return key;
+  const revoked = db.update('api_keys', key.id, {
+    revoked_at: new Date().toISOString(),
+    revoked_by: actor,
+    revoked_reason: reason
+  });
+  logSecurityEvent('api_key_revoked', {
+    user: { id: key.user_id, org_id: key.org_id },
+    actor,
+    details: { api_key_id: key.id, name: key.name, reason }
+  });
+  return revoked;
+}
+
+// Revocar las keys vigentes de un usuario (ej. al eliminarlo). Devuelve cuantas.
+function revokeUserKeys(userId, { actor = null, reason } = {}) {
+  const active = db.where('api_keys', { user_id: userId }).filter(key => !key.revoked_at);
+  db.transaction(() => {
+    active.forEach(key => revokeKey(key, { actor, reason }));
+  });
+  return active.length;
+}
+
+// Key vigente y su usuario, o { error }. Registra el ultimo uso.
+function verifyKey(token, ip) {
+  const match = KEY_PATTERN.exec(String(token || ''));
+  const key = match ? db.getById('api_keys', match[1]) : null;
+
+  if (!key || !sameHash(hashToken(match[2]), key.key_hash)) return { error: 'API key invalida' };
+  if (key.revoked_at) return { error: 'API key revocada' };
+  if (isExpired(key)) return { error: 'API key expirada' };
+
+  const user = db.getById('users', key.user_id);
+  if (!user) return { error: 'API key invalida' };
+
+  const now = Date.now();
+  if (!key.last_used_at || new Date(key.last_used_at).getTime() + LAST_USED_PRECISION_MS < now) {
+    db.update('api_keys', key.id, { last_used_at: new Date(now).toISOString(), last_used_ip: ip || null });
+  }
+
+  return { key, user };
+}
+
+module.exports = {
+  config,
+  WRITE_SCOPE,
+  isApiKey,
+  isActive,
+  publicKey,
+  availableScopes,
+  checkScopes,
+  parseExpiry,
+  createKey,
+  revokeKey,
+  revokeUserKeys,
+  verifyKey
+};
@@ -0,0 +1,62 @@
+// CSV simple (RFC 4180): campos entre comillas con "" para una comilla, saltos de
+// linea dentro de comillas y separador , o ; (el de Excel en espanol), detectado en la cabecera.
+
+const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0];
+  return (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+};
+
+// Texto CSV -> lista de filas (listas de strings). Omite las lineas vacias.
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Un valor que empieza con = + - @ se abre como formula en Excel: se antepone '
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Lista de filas -> texto CSV separado por comas
+const toCsv = (rows) => rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,46 @@
+const { ValidationError } = require('../database/errors');
+
+// Departamentos (tabla departments). Cada usuario pertenece a uno (users.department_id);
+// users.department conserva el nombre para los clientes que aun leen ese campo.
+
+// Departamento por nombre, sin distinguir mayusculas. `db` es la vista de la organizacion (req.db).
+const findByName = (db, name) => {
+  const wanted = String(name).trim().toLowerCase();
+  return db.getAll('departments').find(d => d.name.toLowerCase() === wanted) || null;
+};
+
+// Campos del usuario al asignarle `department` (o null para quitarlo)
+const assignment = (department) => ({
+  department_id: department ? department.id : null,
+  department: department ? department.name : null
+});
+
+// Departamento pedido en el body por id (department_id) o por nombre (department).
+// Devuelve { changes } con los campos a guardar (vacio si no se pidio) o { error }.
+function resolveDepartment(db, { department_id, department }) {
+  if (department_id === undefined && department === undefined) return { changes: {} };
+
+  const value = department_id !== undefined ? department_id : department;
+  if (value === null || value === '') return { changes: assignment(null) };
+
+  const found = department_id !== undefined
+    ? db.getById('departments', department_id)
+    : findByName(db, department);
+
+  return found ? { changes: assignment(found) } : { error: 'Departamento no encontrado' };
+}
+
+// Ids de los usuarios del departamento de ?department_id=, o null si no se filtra
+function departmentFilter(req) {
+  const { department_id } = req.query;
+  if (!department_id) return null;
+
+  // Un id invalido no es "sin departamento": where({ department_id: null }) los traeria
+  const departmentId = req.db.parseId(department_id);
+  if (departmentId === null) {
+    throw new ValidationError('users', [{ field: 'department_id', message: 'department_id debe ser un id valido' }]);
+  }
+  return req.db.where('users', { department_id: departmentId }).map(u => u.id);
+}
+
+module.exports = { findByName, assignment, resolveDepartment, departmentFilter };
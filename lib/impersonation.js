@@ -0,0 +1,78 @@
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+const { JWT_SECRET } = require('./sessions');
+const { logSecurityEvent } = require('./security-log');
+
+// Suplantacion: un admin entra como otro usuario para ver lo que ve (soporte).
+// Es una sesion corta, sin refresh token, marcada con sessions.impersonator_id.
+// Cada peticion que modifica datos queda en impersonation_actions con las dos identidades.
+// IMPERSONATION_TTL_MINUTES: duracion de la sesion (15)
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 15;
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Crear la sesion de `impersonator` como `user` en la organizacion actual
+function startImpersonation(user, impersonator, req) {
+  const session = db.insert('sessions', {
+    user_id: user.id,
+    org_id: impersonator.org_id,
+    impersonator_id: impersonator.id,
+    user_agent: (req.headers['user-agent'] || '').slice(0, 255) || null,
+    ip: req.ip || null,
+    expires_at: new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000).toISOString(),
+    last_used_at: new Date().toISOString()
+  });
+
+  const token = jwt.sign(
+    { id: user.id, username: user.username, role: user.role, org_id: session.org_id, sid: session.id, imp: impersonator.id },
+    JWT_SECRET,
+    { expiresIn: `${IMPERSONATION_TTL_MINUTES}m` }
+  );
+
+  logSecurityEvent('impersonation_started', {
+    user: { ...user, org_id: session.org_id },
+    ip: req.ip || null,
+    actor: impersonator.id,
+    details: { session_id: session.id }
+  });
+
+  return { token, expiresIn: `${IMPERSONATION_TTL_MINUTES}m`, session };
+}
+
+function endImpersonation(session, req) {
+  logSecurityEvent('impersonation_ended', {
+    user: { id: session.user_id, org_id: session.org_id },
+    ip: req.ip || null,
+    actor: session.impersonator_id,
+    details: { session_id: session.id }
+  });
+}
+
+// Registrar (al terminar la respuesta) una peticion que modifica datos durante la suplantacion
+function trackAction(req, res) {
+  if (READ_METHODS.includes(req.method)) return;
+
+  const { session } = req;
+  res.on('finish', () => {
+    try {
+      db.insert('impersonation_actions', {
+        org_id: session.org_id,
+        session_id: session.id,
+        user_id: session.user_id,
+        impersonator_id: session.impersonator_id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0].slice(0, 255),
+        status_code: res.statusCode
+      });
+    } catch (error) {
+      console.error('Error registrando accion de suplantacion:', error);
+    }
+  });
+}
+
+module.exports = {
+  IMPERSONATION_TTL_MINUTES,
+  startImpersonation,
+  endImpersonation,
+  trackAction
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const db = require('../database/db');
+const { sendMail } = require('./mailer');
+
+// Invitaciones para unirse a una organizacion con un rol (y departamento) ya
+// elegidos por un admin. El token "<id>.<secreto>" se usa una sola vez; en la
+// base solo queda el hash. INVITATION_TTL_DAYS: dias de validez (7)
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+// Direccion de la app donde se acepta la invitacion
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sameHash = (a, b) => Boolean(a) && Boolean(b) && a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// pending, accepted, revoked o expired
+function status(invitation) {
+  if (invitation.accepted_at) return 'accepted';
+  if (invitation.revoked_at) return 'revoked';
+  if (invitation.expires_at < new Date().toISOString()) return 'expired';
+  return 'pending';
+}
+
+// Datos de una invitacion que se pueden mostrar (sin el hash)
+const publicInvitation = ({ token_hash, ...invitation }) => ({ ...invitation, status: status(invitation) });
+
+// Crear una invitacion en la organizacion de `tenantDb` (req.db). El token solo se devuelve aqui.
+// `department_id` y `department` vienen de resolveDepartment() (lib/departments.js).
+function createInvitation(tenantDb, { email, role, department_id, department, first_name, last_name, manager_id, invitedBy }) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const invitation = tenantDb.insert('invitations', {
+    email: email || null,
+    role,
+    department_id: department_id || null,
+    department: department || null,
+    first_name: first_name || null,
+    last_name: last_name || null,
+    manager_id: manager_id || null,
+    token_hash: hashToken(secret),
+    expires_at: new Date(Date.now() + INVITATION_TTL_DAYS * DAY_MS).toISOString(),
+    invited_by: invitedBy
+  });
+
+  const token = `${invitation.id}.${secret}`;
+  return { token, url: `${APP_URL}/accept-invitation?token=${encodeURIComponent(token)}`, invitation };
+}
+
+// Enviar el enlace de la invitacion a su email. `inviter` es el usuario que invita.
+function sendInvitationMail(invitation, url, inviter) {
+  const organization = db.getById('organizations', invitation.org_id);
+  return sendMail({
+    to: invitation.email,
+    subject: `Te invitaron a ${organization.name}`,
+    text: `Hola,\n\n${inviter.username} te invito a unirte a ${organization.name}. ` +
+      `Usa este enlace para crear tu cuenta antes de ${INVITATION_TTL_DAYS} dias:\n\n${url}\n\n` +
+      'Si no esperabas esta invitacion, ignora este correo.'
+  });
+}
+
+// Invitacion pendiente del token, o { error }. No la marca como aceptada.
+function findInvitation(token) {
+  const [id, secret] = String(token || '').split('.');
+  const invitation = id && secret ? db.getById('invitations', id) : null;
+
+  if (!invitation || !sameHash(hashToken(secret), invitation.token_hash)) {
+    return { error: 'Invitacion invalida' };
+  }
+
+  const errors = {
+    accepted: 'La invitacion ya fue usada',
+    revoked: 'La invitacion fue revocada',
+    expired: 'La invitacion expiro'
+  };
+  const current = status(invitation);
+  if (current !== 'pending') return { error: errors[current] };
+
+  return { invitation };
+}
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  status,
+  publicInvitation,
+  createInvitation,
+  sendInvitationMail,
+  findInvitation
+};
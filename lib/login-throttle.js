@@ -0,0 +1,157 @@
+const db = require('../database/db');
+const { logSecurityEvent } = require('./security-log');
+
+// Proteccion del login contra fuerza bruta. Se cuentan los fallos por cuenta
+// y por IP y al llegar al maximo se bloquea temporalmente. En la cuenta, ademas,
+// cada fallo obliga a esperar el doble que el anterior (no en la IP, para no
+// frenar a todos los usuarios detras de una misma red). Configuracion:
+// LOGIN_MAX_ATTEMPTS (5), LOGIN_IP_MAX_ATTEMPTS (20), LOGIN_LOCKOUT_MINUTES (15),
+// LOGIN_ATTEMPT_WINDOW_MINUTES (15), LOGIN_DELAY_MS (1000), LOGIN_MAX_DELAY_MS (30000)
+const config = {
+  maxAttempts: {
+    account: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    ip: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20
+  },
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15,
+  delayMs: parseInt(process.env.LOGIN_DELAY_MS) || 1000,
+  maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS) || 30000
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Intentos en curso (la contrasena se esta comprobando), por 'scope:key'. Cuentan como
+// fallos hasta conocer el resultado: si no, varios intentos simultaneos pasarian el
+// control antes de que se registre el primer fallo.
+const pending = new Map();
+
+const attemptKeys = (user, ip) => [
+  ...(ip ? [['ip', ip]] : []),
+  ...(user ? [['account', String(user.id)]] : [])
+];
+
+const findThrottle = (scope, key) => db.where('login_throttles', { scope, key })[0];
+
+// Los fallos viejos (fuera de la ventana) no cuentan
+const isStale = (throttle, now) =>
+  new Date(throttle.last_failure_at).getTime() + config.windowMinutes * MINUTE_MS < now;
+
+const isLocked = (throttle, now = Date.now()) =>
+  Boolean(throttle.locked_until) && new Date(throttle.locked_until).getTime() > now;
+
+// Milisegundos que faltan para poder intentar de nuevo (0 si ya se puede)
+function waitFor(scope, key, now) {
+  const throttle = findThrottle(scope, key);
+  const inFlight = pending.get(`${scope}:${key}`) || 0;
+  if (throttle && isLocked(throttle, now)) return new Date(throttle.locked_until).getTime() - now;
+
+  const failures = throttle && !isStale(throttle, now) ? throttle.failures : 0;
+
+  // Los intentos en curso cuentan como fallos de este momento
+  if (inFlight > 0) {
+    if (failures + inFlight >= config.maxAttempts[scope]) return config.delayMs;
+    return scope === 'account' ? Math.min(config.delayMs * 2 ** (failures + inFlight - 1), config.maxDelayMs) : 0;
+  }
+  if (scope !== 'account' || !failures) return 0;
+
+  const delay = Math.min(config.delayMs * 2 ** (failures - 1), config.maxDelayMs);
+  return Math.max(0, new Date(throttle.last_failure_at).getTime() + delay - now);
+}
+
+// Antes de comprobar la contrasena: devuelve los ms de espera o 0 si se puede intentar
+function checkLogin(user, ip) {
+  const now = Date.now();
+  return Math.max(0, ...attemptKeys(user, ip).map(([scope, key]) => waitFor(scope, key, now)));
+}
+
+// Como checkLogin, pero si se puede intentar reserva el intento hasta endAttempt.
+// Se llama antes del await de la comprobacion de la contrasena.
+function beginAttempt(user, ip) {
+  const wait = checkLogin(user, ip);
+  if (wait > 0) return wait;
+
+  attemptKeys(user, ip).forEach(([scope, key]) => {
+    pending.set(`${scope}:${key}`, (pending.get(`${scope}:${key}`) || 0) + 1);
+  });
+  return 0;
+}
+
+// Fin de un intento reservado (antes de recordFailure o recordSuccess)
+function endAttempt(user, ip) {
+  attemptKeys(user, ip).forEach(([scope, key]) => {
+    const count = (pending.get(`${scope}:${key}`) || 0) - 1;
+    if (count > 0) pending.set(`${scope}:${key}`, count);
+    else pending.delete(`${scope}:${key}`);
+  });
+}
+
+function registerFailure(scope, key, { user, ip }) {
+  const now = Date.now();
+  const existing = findThrottle(scope, key);
+  const failures = existing && !isStale(existing, now) && !existing.locked_until ? existing.failures + 1 : 1;
+  const locked = failures >= config.maxAttempts[scope];
+
+  const changes = {
+    failures: locked ? 0 : failures,
+    last_failure_at: new Date(now).toISOString(),
+    locked_until: locked ? new Date(now + config.lockoutMinutes * MINUTE_MS).toISOString() : null
+  };
+
+  const throttle = existing
+    ? db.update('login_throttles', existing.id, changes)
+    : db.insert('login_throttles', { scope, key, user_id: user ? user.id : null, org_id: user ? user.org_id : null, ...changes });
+
+  if (locked) {
+    logSecurityEvent(scope === 'account' ? 'account_locked' : 'ip_locked', {
+      user,
+      ip,
+      details: { failures, locked_until: throttle.locked_until }
+    });
+  }
+  return throttle;
+}
+
+// Contrasena incorrecta (user es null si el usuario no existe: solo cuenta la IP)
+function recordFailure(user, ip) {
+  db.transaction(() => {
+    if (ip) registerFailure('ip', ip, { user: null, ip });
+    if (user) registerFailure('account', String(user.id), { user, ip });
+  });
+}
+
+// Login correcto: se olvidan los fallos de la cuenta (los de la IP siguen contando)
+function recordSuccess(user) {
+  const throttle = findThrottle('account', String(user.id));
+  if (throttle) db.delete('login_throttles', throttle.id);
+}
+
+// Bloqueos vigentes (cuentas e IPs)
+function activeLocks() {
+  const now = Date.now();
+  return db.getAll('login_throttles').filter(throttle => isLocked(throttle, now));
+}
+
+// Quitar un bloqueo y dejarlo en el registro de seguridad
+function unlock(throttle, { actor = null, reason = 'admin' } = {}) {
+  db.delete('login_throttles', throttle.id);
+  const user = throttle.user_id ? db.getById('users', throttle.user_id, { withDeleted: true }) : null;
+  logSecurityEvent(throttle.scope === 'account' ? 'account_unlocked' : 'ip_unlocked', {
+    user,
+    ip: throttle.scope === 'ip' ? throttle.key : null,
+    actor,
+    details: { reason }
+  });
+}
+
+module.exports = {
+  config,
+  checkLogin,
+  beginAttempt,
+  endAttempt,
+  recordFailure,
+  recordSuccess,
+  activeLocks,
+  isLocked,
+  findThrottle,
+  unlock
+};
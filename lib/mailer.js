@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+// Envio de correos con transporte intercambiable. MAIL_TRANSPORT elige uno de
+// los incluidos (outbox por defecto, console); setTransport() permite conectar
+// uno real (SMTP, API de un proveedor...) sin tocar las rutas.
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'database', 'outbox');
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@lovirtual.com';
+
+const transports = {
+  // Guarda cada correo como un archivo JSON (para desarrollo y pruebas)
+  outbox: async (message) => {
+    fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+    const name = `${message.date.replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const file = path.join(OUTBOX_DIR, name);
+    fs.writeFileSync(file, JSON.stringify(message, null, 2));
+    return { id: name };
+  },
+
+  console: async (message) => {
+    console.log(`[correo] Para: ${message.to} | ${message.subject}\n${message.text}`);
+    return { id: null };
+  }
+};
+
+let transport = transports[process.env.MAIL_TRANSPORT || 'outbox'];
+
+if (!transport) {
+  throw new Error(`MAIL_TRANSPORT desconocido: ${process.env.MAIL_TRANSPORT}. Opciones: ${Object.keys(transports).join(', ')}`);
+}
+
+// Reemplazar el transporte: fn(message) => Promise
+function setTransport(fn) {
+  transport = fn;
+}
+
+async function sendMail({ to, subject, text }) {
+  const message = { from: MAIL_FROM, to, subject, text, date: new Date().toISOString() };
+  return transport(message);
+}
+
+module.exports = { sendMail, setTransport, OUTBOX_DIR };
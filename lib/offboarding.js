@@ -0,0 +1,106 @@
+const { revokeUserSessions } = require('./sessions');
+const { revokeUserKeys } = require('./api-keys');
+const { logSecurityEvent } = require('./security-log');
+
+// Baja de usuarios. Un usuario desactivado (users.is_active = false) no inicia
+// sesion ni usa tokens o API keys, pero sigue en la base: su nombre aparece en
+// la asistencia, permisos e historial. DELETE /api/users/:id tambien lo desactiva.
+
+const OPEN_TASK_STATUSES = ['pending', 'in_progress'];
+const OPEN_INCIDENT_STATUSES = ['open', 'in_review'];
+
+const isActiveUser = (user) => Boolean(user && user.is_active);
+
+// Desactivar y cortar el acceso de inmediato. `tenantDb` es la vista de la organizacion (req.db).
+function deactivateUser(tenantDb, user, { actor, ip = null }) {
+  const updated = tenantDb.update('users', user.id, {
+    is_active: false,
+    deactivated_at: new Date().toISOString(),
+    deactivated_by: actor
+  }, { actor });
+
+  revokeUserSessions(user.id, 'user_deactivated');
+  revokeUserKeys(user.id, { actor, reason: 'user_deactivated' });
+  logSecurityEvent('user_deactivated', { user, ip, actor });
+  return updated;
+}
+
+// Reactivar. Las sesiones y API keys revocadas no vuelven: el usuario inicia sesion de nuevo.
+function reactivateUser(tenantDb, user, { actor, ip = null }) {
+  const updated = tenantDb.update('users', user.id, {
+    is_active: true,
+    deactivated_at: null,
+    deactivated_by: null
+  }, { actor });
+
+  logSecurityEvent('user_reactivated', { user, ip, actor });
+  return updated;
+}
+
+// Tareas e incidentes abiertos del usuario (lo que hay que reasignar). Un incidente
+// esta a cargo de su asignado (assigned_to) o, si no tiene, de quien lo reporto.
+const openWork = (tenantDb, userId) => ({
+  tasks: tenantDb.where('tasks', { user_id: userId }).filter(t => OPEN_TASK_STATUSES.includes(t.status)),
+  incidents: [
+    ...tenantDb.where('incidents', { assigned_to: userId }),
+    ...tenantDb.where('incidents', { user_id: userId, assigned_to: null })
+  ].filter(i => OPEN_INCIDENT_STATUSES.includes(i.status))
+});
+
+// Cerrar lo pendiente del usuario: asistencia y breaks abiertos, solicitudes de permiso
+// pendientes, y tareas e incidentes abiertos pasan a `reassignTo` (en los incidentes
+// cambia el asignado: user_id sigue siendo quien lo reporto). Devuelve lo que cambio.
+function closeOpenRecords(tenantDb, user, { actor, reassignTo = null }) {
+  const now = new Date();
+  const { tasks, incidents } = openWork(tenantDb, user.id);
+
+  return tenantDb.transaction(tx => {
+    const attendance = tx.where('attendance', { user_id: user.id })
+      .filter(a => a.clock_in && !a.clock_out);
+    attendance.forEach(a => tx.update('attendance', a.id, {
+      clock_out: now.toISOString(),
+      total_hours: Math.round(((now - new Date(a.clock_in)) / (1000 * 60 * 60)) * 100) / 100
+    }));
+
+    const breaks = tx.where('breaks', { user_id: user.id, end_time: null });
+    breaks.forEach(b => tx.update('breaks', b.id, {
+      end_time: now.toISOString(),
+      duration_minutes: Math.round((now - new Date(b.start_time)) / (1000 * 60))
+    }));
+
+    const permissions = tx.where('permissions', { user_id: user.id, status: 'pending' });
+    permissions.forEach(p => tx.update('permissions', p.id, { status: 'cancelled' }, { actor }));
+
+    if (reassignTo) {
+      tasks.forEach(t => tx.update('tasks', t.id, { user_id: reassignTo.id }, { actor }));
+      incidents.forEach(i => tx.update('incidents', i.id, { assigned_to: reassignTo.id }, { actor }));
+    }
+
+    return {
+      attendance_closed: attendance.length,
+      breaks_closed: breaks.length,
+      permissions_cancelled: permissions.length,
+      tasks_reassigned: reassignTo ? tasks.length : 0,
+      incidents_reassigned: reassignTo ? incidents.length : 0
+    };
+  });
+}
+
+// Baja completa en una sola transaccion: cerrar lo pendiente y desactivar.
+// Si algo falla no queda nada a medias. Devuelve { user, summary }.
+function offboardUser(tenantDb, user, { actor, ip = null, reassignTo = null }) {
+  return tenantDb.transaction(tx => {
+    const summary = closeOpenRecords(tx, user, { actor, reassignTo });
+    const updated = isActiveUser(user) ? deactivateUser(tx, user, { actor, ip }) : user;
+    return { user: updated, summary };
+  });
+}
+
+module.exports = {
+  isActiveUser,
+  deactivateUser,
+  reactivateUser,
+  openWork,
+  closeOpenRecords,
+  offboardUser
+};
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+// Politica de contrasenas, configurable por variables de entorno:
+// PASSWORD_MIN_LENGTH (8), PASSWORD_REQUIRE_UPPERCASE (false),
+// PASSWORD_REQUIRE_NUMBER (true), PASSWORD_REQUIRE_SYMBOL (false)
+const flag = (name, defaultValue) => {
+  const value = process.env[name];
+  return value === undefined ? defaultValue : value === 'true';
+};
+
+const policy = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  requireUppercase: flag('PASSWORD_REQUIRE_UPPERCASE', false),
+  requireNumber: flag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: flag('PASSWORD_REQUIRE_SYMBOL', false)
+};
+
+// Devuelve la lista de requisitos que no cumple (vacia si es valida)
+function checkPassword(password, { username } = {}) {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    errors.push(`debe tener al menos ${policy.minLength} caracteres`);
+  }
+  if (typeof password !== 'string') return errors;
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('debe incluir una letra mayuscula');
+  }
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push('debe incluir un numero');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('debe incluir un simbolo');
+  }
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    errors.push('no puede contener el nombre de usuario');
+  }
+
+  return errors;
+}
+
+// Mensaje para responder un 400
+const policyMessage = (errors) => `La contrasena ${errors.join(', ')}`;
+
+// Contrasena temporal aleatoria que cumple la politica (mayuscula, numero y simbolo incluidos)
+const generatePassword = () =>
+  crypto.randomBytes(Math.max(policy.minLength, 12)).toString('base64url').slice(0, Math.max(policy.minLength, 12)) + 'K7!';
+
+module.exports = { policy, checkPassword, policyMessage, generatePassword };
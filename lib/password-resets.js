@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const db = require('../database/db');
+
+// Minutos de validez del enlace de recuperacion
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+// Direccion de la app donde el usuario elige la nueva contrasena
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sameHash = (a, b) => Boolean(a) && Boolean(b) && a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Anular los tokens pendientes de un usuario (nueva solicitud o contrasena cambiada)
+function invalidateResets(userId) {
+  const now = new Date().toISOString();
+  db.transaction(tx => {
+    tx.where('password_resets', { user_id: userId })
+      .filter(reset => !reset.used_at)
+      .forEach(reset => tx.update('password_resets', reset.id, { used_at: now }));
+  });
+}
+
+// Token "<id>.<secreto>"; solo el hash queda en la base. Un solo token vigente por usuario.
+function createResetToken(user, req) {
+  invalidateResets(user.id);
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  const reset = db.insert('password_resets', {
+    user_id: user.id,
+    token_hash: hashToken(secret),
+    ip: req.ip || null,
+    expires_at: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString()
+  });
+
+  const token = `${reset.id}.${secret}`;
+  return { token, url: `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`, reset };
+}
+
+// Token de recuperacion vigente y su usuario, o { error }. No lo marca como usado.
+function findReset(token) {
+  const [id, secret] = String(token || '').split('.');
+  const reset = id && secret ? db.getById('password_resets', id) : null;
+
+  if (!reset || !sameHash(hashToken(secret), reset.token_hash)) {
+    return { error: 'Enlace de recuperacion invalido' };
+  }
+  if (reset.used_at) return { error: 'El enlace de recuperacion ya fue usado' };
+  if (reset.expires_at < new Date().toISOString()) {
+    return { error: 'El enlace de recuperacion expiro' };
+  }
+
+  const user = db.getById('users', reset.user_id);
+  if (!user || !user.is_active) return { error: 'Enlace de recuperacion invalido' };
+
+  return { reset, user };
+}
+
+module.exports = {
+  PASSWORD_RESET_TTL_MINUTES,
+  createResetToken,
+  findReset,
+  invalidateResets
+};
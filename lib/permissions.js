@@ -0,0 +1,134 @@
+const db = require('../database/db');
+
+// Catalogo de permisos. Las rutas los piden con requirePermission() o can().
+const PERMISSIONS = {
+  'users:read:all': 'Ver todos los usuarios',
+  'users:manage': 'Crear, editar y eliminar usuarios',
+  'roles:manage': 'Crear y editar roles',
+  'departments:manage': 'Crear y editar departamentos y sus miembros',
+  'sessions:manage': 'Ver y cerrar las sesiones de otros usuarios',
+  'security:manage': 'Ver bloqueos de login, desbloquear cuentas y ver el registro de seguridad',
+  'api_keys:manage': 'Ver y revocar las API keys de todos y administrar cuentas de servicio',
+  'users:impersonate': 'Entrar como otro usuario para dar soporte',
+  'trash:manage': 'Ver, restaurar y vaciar la papelera',
+  'attendance:read:all': 'Ver la asistencia de todos',
+  'attendance:read:team': 'Ver la asistencia de su equipo',
+  'breaks:read:all': 'Ver los descansos de todos',
+  'breaks:read:team': 'Ver los descansos de su equipo',
+  'tasks:read:all': 'Ver el historial de tareas de todos',
+  'notes:read:all': 'Ver el historial de notas de todos',
+  'incidents:read:all': 'Ver todos los incidentes',
+  'incidents:read:team': 'Ver los incidentes de su equipo',
+  'incidents:manage': 'Cambiar el estado de los incidentes que puede ver',
+  'permissions:read:all': 'Ver todas las solicitudes de permiso',
+  'permissions:read:team': 'Ver las solicitudes de permiso de su equipo',
+  'permissions:approve': 'Aprobar o rechazar las solicitudes de permiso que puede ver',
+  'announcements:write': 'Publicar, editar y eliminar anuncios',
+  'announcements:history': 'Ver el historial de cambios de los anuncios',
+  'reports:read:all': 'Ver los reportes de todos',
+  'reports:read:team': 'Ver los reportes de su equipo',
+  'activity:read:all': 'Ver la actividad de todos',
+  'activity:read:team': 'Ver la actividad de su equipo',
+  'chat:support': 'Atender el chat de los empleados',
+  // De plataforma: afectan a todas las organizaciones, solo los tiene super_admin
+  'organizations:manage': 'Crear y administrar organizaciones',
+  'backups:manage': 'Crear y restaurar copias de seguridad',
+  'retention:manage': 'Configurar politicas de retencion',
+  'security:global': 'Ver y quitar bloqueos de login por IP'
+};
+
+const PLATFORM_PERMISSIONS = ['organizations:manage', 'backups:manage', 'retention:manage', 'security:global'];
+
+const ORG_PERMISSIONS = Object.keys(PERMISSIONS).filter(p => !PLATFORM_PERMISSIONS.includes(p));
+
+// Los permisos :read:team (ver lib/teams.js) quedan incluidos en el :read:all
+const ADMIN_PERMISSIONS = ORG_PERMISSIONS.filter(p => !p.endsWith(':read:team'));
+
+// Roles incluidos. Cada organizacion puede cambiar los permisos de admin,
+// supervisor y employee (se guarda en la tabla roles); super_admin no se edita.
+const BUILT_IN_ROLES = {
+  super_admin: {
+    description: 'Administrador de la plataforma',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  admin: {
+    description: 'Administrador de la organizacion',
+    permissions: ADMIN_PERMISSIONS
+  },
+  supervisor: {
+    description: 'Supervisor de equipo',
+    permissions: [
+      'users:read:all', 'attendance:read:team', 'breaks:read:team', 'incidents:read:team',
+      'incidents:manage', 'permissions:read:team', 'permissions:approve',
+      'announcements:history', 'reports:read:team', 'activity:read:team', 'chat:support'
+    ]
+  },
+  employee: {
+    description: 'Empleado',
+    permissions: []
+  }
+};
+
+const ROLE_NAME_PATTERN = /^[a-z0-9]+(?:[_-][a-z0-9]+)*$/;
+
+// Registro guardado de un rol en la organizacion (rol propio o cambios a uno incluido)
+const storedRole = (orgId, name) => db.where('roles', { org_id: orgId, name })[0] || null;
+
+// Rol con sus permisos efectivos, o null si no existe en la organizacion
+function getRole(orgId, name) {
+  const builtIn = BUILT_IN_ROLES[name];
+  const stored = name === 'super_admin' ? null : storedRole(orgId, name);
+  if (!builtIn && !stored) return null;
+
+  return {
+    id: stored ? stored.id : null,
+    name,
+    description: (stored && stored.description) || (builtIn ? builtIn.description : null),
+    permissions: stored ? stored.permissions || [] : builtIn.permissions,
+    built_in: Boolean(builtIn),
+    customized: Boolean(builtIn && stored)
+  };
+}
+
+// Roles de una organizacion: los incluidos y los propios
+function listRoles(orgId) {
+  const custom = db.where('roles', { org_id: orgId })
+    .map(role => role.name)
+    .filter(name => !BUILT_IN_ROLES[name]);
+  return [...Object.keys(BUILT_IN_ROLES), ...custom].map(name => getRole(orgId, name));
+}
+
+function permissionsFor(orgId, roleName) {
+  const role = getRole(orgId, roleName);
+  return role ? role.permissions : [];
+}
+
+// ¿El usuario tiene el permiso? user necesita role y org_id (req.user sirve).
+// Con una API key (user.scopes) solo cuentan los permisos incluidos en sus scopes.
+function can(user, permission) {
+  if (!user) return false;
+  // super_admin tiene todos los permisos
+  const granted = user.role === 'super_admin' ? null : permissionsFor(user.org_id, user.role);
+  const allows = (p) => (!granted || granted.includes(p)) && (!user.scopes || user.scopes.includes(p));
+  if (allows(permission)) return true;
+  // Ver a todos incluye ver al equipo
+  return permission.endsWith(':read:team') && allows(permission.replace(/:team$/, ':all'));
+}
+
+// Solo se puede asignar (o quitar) un rol cuyos permisos uno ya tiene
+function canGrantRole(user, orgId, roleName) {
+  const role = getRole(orgId, roleName);
+  return Boolean(role) && role.permissions.every(permission => can(user, permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  PLATFORM_PERMISSIONS,
+  BUILT_IN_ROLES,
+  ROLE_NAME_PATTERN,
+  getRole,
+  listRoles,
+  permissionsFor,
+  can,
+  canGrantRole
+};
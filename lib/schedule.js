@@ -0,0 +1,101 @@
+// Zona horaria y horario de trabajo de cada usuario. La asistencia y los breaks
+// usan la fecha y la hora locales del usuario (users.timezone); sin zona se usa
+// DEFAULT_TIMEZONE (UTC, asi las fechas no dependen de donde corre el servidor).
+// users.work_schedule guarda el horario semanal:
+// { mon: { start: '09:00', end: '18:00' }, ..., sun: null }; los dias en null o sin
+// clave son libres. Un turno con fin anterior al inicio (22:00-06:00) termina al dia siguiente.
+// Sin horario, la jornada empieza a las WORK_START_TIME (09:00) todos los dias.
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+const WORK_START_TIME = process.env.WORK_START_TIME || '09:00';
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isValidLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Horario semanal valido o mensaje de error (null si es valido)
+function checkSchedule(schedule) {
+  if (schedule === null) return null;
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return 'El horario debe ser un objeto por dia (mon..sun)';
+  }
+
+  for (const [day, hours] of Object.entries(schedule)) {
+    if (!WEEKDAYS.includes(day)) return `Dia invalido en el horario: ${day}`;
+    if (hours === null) continue;
+    if (!hours || !TIME_PATTERN.test(hours.start) || !TIME_PATTERN.test(hours.end)) {
+      return `El horario de ${day} debe tener start y end en formato HH:MM`;
+    }
+    if (hours.start === hours.end) return `En ${day} la hora de inicio y la de fin no pueden ser iguales`;
+  }
+  return null;
+}
+
+const timezoneOf = (user) => (user && user.timezone) || DEFAULT_TIMEZONE;
+
+// Partes de `date` en la zona del usuario: { date: 'YYYY-MM-DD', time: 'HH:MM', weekday: 'mon' }
+function localParts(user, date = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezoneOf(user),
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    weekday: 'short'
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: parts.weekday.toLowerCase()
+  };
+}
+
+// Fecha de hoy (YYYY-MM-DD) para el usuario
+const localDate = (user, date = new Date()) => localParts(user, date).date;
+
+// Horario del usuario para el dia de `date`: { start, end } o null si no trabaja ese dia
+function workHours(user, date = new Date()) {
+  const { weekday } = localParts(user, date);
+  if (!user || !user.work_schedule) return { start: WORK_START_TIME, end: null };
+  return user.work_schedule[weekday] || null;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Estado de una entrada: 'late' si llega despues del inicio de su jornada.
+// Antes del fin de un turno nocturno del dia anterior, la entrada es de ese turno.
+function clockInStatus(user, date = new Date()) {
+  const { time } = localParts(user, date);
+  const previous = workHours(user, new Date(date.getTime() - DAY_MS));
+  if (previous && previous.end && previous.start > previous.end && time < previous.end) return 'late';
+
+  const hours = workHours(user, date);
+  return hours && time > hours.start ? 'late' : 'present';
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  WEEKDAYS,
+  isValidTimezone,
+  isValidLocale,
+  checkSchedule,
+  timezoneOf,
+  localDate,
+  workHours,
+  clockInStatus
+};
@@ -0,0 +1,16 @@
+const db = require('../database/db');
+
+// Registro de eventos de seguridad (bloqueos, desbloqueos...). Los eventos
+// de una cuenta llevan su org_id; los de una IP no tienen organizacion.
+function logSecurityEvent(event, { user = null, ip = null, actor = null, details = null } = {}) {
+  return db.insert('security_events', {
+    org_id: user ? user.org_id : null,
+    user_id: user ? user.id : null,
+    event,
+    ip,
+    actor_id: actor,
+    details
+  });
+}
+
+module.exports = { logSecurityEvent };
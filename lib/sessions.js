@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'mi_trabajo_virtual_secret_key_2024';
+// Duracion del token de acceso (formato de jsonwebtoken: 15m, 1h...)
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// En la base solo se guarda el hash del refresh token
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sameHash = (a, b) => Boolean(a) && Boolean(b) && a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Token de acceso de corta duracion ligado a una sesion
+function signAccessToken(user, session) {
+  return jwt.sign(
+    { id: user.id, username: user.username, role: user.role, org_id: session.org_id, sid: session.id },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Refresh token: "<id de sesion>.<secreto>". Cada uso lo reemplaza por uno nuevo.
+function issueTokens(user, session) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const updated = db.update('sessions', session.id, {
+    previous_token_hash: session.refresh_token_hash || null,
+    refresh_token_hash: hashToken(secret),
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS).toISOString(),
+    last_used_at: new Date().toISOString()
+  });
+
+  return {
+    token: signAccessToken(user, updated),
+    refreshToken: `${updated.id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL,
+    session: updated
+  };
+}
+
+// Iniciar sesion: crea la sesion y devuelve el par de tokens
+function createSession(user, req, orgId = user.org_id) {
+  return db.transaction(tx => {
+    const session = tx.insert('sessions', {
+      user_id: user.id,
+      org_id: orgId,
+      user_agent: (req.headers['user-agent'] || '').slice(0, 255) || null,
+      ip: req.ip || null
+    });
+    return issueTokens(user, session);
+  });
+}
+
+function revokeSession(session, reason) {
+  if (session.revoked_at) return session;
+  return db.update('sessions', session.id, {
+    revoked_at: new Date().toISOString(),
+    revoked_reason: reason
+  });
+}
+
+// Revocar todas las sesiones activas de un usuario (menos `exceptId`). Devuelve cuantas.
+function revokeUserSessions(userId, reason, exceptId = null) {
+  const active = db.where('sessions', { user_id: userId, revoked_at: null })
+    .filter(session => session.id !== exceptId);
+  db.transaction(tx => {
+    active.forEach(session => tx.update('sessions', session.id, {
+      revoked_at: new Date().toISOString(),
+      revoked_reason: reason
+    }));
+  });
+  return active.length;
+}
+
+// Cambiar un refresh token por un par nuevo. Devuelve { error } si no es valido.
+// Si llega un refresh token ya usado, alguien lo copio: se revoca la sesion.
+function rotateSession(refreshToken) {
+  const [id, secret] = String(refreshToken || '').split('.');
+  const session = id && secret ? db.getById('sessions', id) : null;
+
+  if (!session || session.revoked_at) return { error: 'Sesion invalida' };
+
+  const hash = hashToken(secret);
+  if (sameHash(hash, session.previous_token_hash)) {
+    revokeSession(session, 'refresh_token_reused');
+    return { error: 'Sesion invalida' };
+  }
+  if (!sameHash(hash, session.refresh_token_hash)) return { error: 'Sesion invalida' };
+
+  if (session.expires_at < new Date().toISOString()) {
+    revokeSession(session, 'expired');
+    return { error: 'Sesion expirada' };
+  }
+
+  const user = db.getById('users', session.user_id);
+  if (!user) {
+    revokeSession(session, 'user_removed');
+    return { error: 'Sesion invalida' };
+  }
+  if (!user.is_active) {
+    revokeSession(session, 'user_deactivated');
+    return { error: 'Sesion invalida' };
+  }
+
+  return issueTokens(user, session);
+}
+
+// Sesion vigente de un token de acceso, o null si fue revocada o expiro
+function activeSession(sessionId) {
+  const session = sessionId ? db.getById('sessions', sessionId) : null;
+  if (!session || session.revoked_at) return null;
+  if (session.expires_at < new Date().toISOString()) return null;
+  return session;
+}
+
+// Datos de una sesion que se pueden mostrar (sin hashes)
+const publicSession = ({ refresh_token_hash, previous_token_hash, ...session }) => session;
+
+module.exports = {
+  JWT_SECRET,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  activeSession,
+  signAccessToken,
+  publicSession
+};
@@ -0,0 +1,29 @@
+const db = require('../database/db');
+const { isActiveUser } = require('./offboarding');
+const { revokeUserSessions } = require('./sessions');
+const { logSecurityEvent } = require('./security-log');
+
+// Alta del primer super_admin. Ninguna migracion cambia roles: se hace a mano con
+// `npm run super-admin -- <usuario>`. Devuelve { user } o { error }.
+function grantSuperAdmin(username) {
+  const matches = db.where('users', { username });
+
+  if (matches.length === 0) return { error: `No existe el usuario ${username}` };
+  if (matches.length > 1) return { error: `Hay varios usuarios ${username} en distintas organizaciones` };
+
+  const [target] = matches;
+  if (!isActiveUser(target)) return { error: `El usuario ${username} esta desactivado` };
+  if (target.role === 'super_admin') return { user: target };
+
+  const user = db.transaction(tx => {
+    const updated = tx.update('users', target.id, { role: 'super_admin' });
+    logSecurityEvent('super_admin_granted', { user: target, details: { previous_role: target.role } });
+    return updated;
+  });
+
+  // El rol va en el token: las sesiones abiertas no lo tienen
+  revokeUserSessions(target.id, 'role_changed');
+  return { user };
+}
+
+module.exports = { grantSuperAdmin };
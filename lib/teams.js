@@ -0,0 +1,50 @@
+const { can } = require('./permissions');
+
+// Lineas de reporte: cada usuario puede tener un responsable (users.manager_id).
+// El equipo de alguien son quienes le reportan directa o indirectamente.
+
+// Ids del equipo de `managerId` (sin incluirlo). `db` es la vista de la organizacion (req.db).
+function teamMemberIds(db, managerId) {
+  const team = new Set();
+  let level = [managerId];
+
+  while (level.length > 0) {
+    const next = [];
+    level.forEach(id => {
+      db.where('users', { manager_id: id }).forEach(user => {
+        if (user.id !== managerId && !team.has(user.id)) {
+          team.add(user.id);
+          next.push(user.id);
+        }
+      });
+    });
+    level = next;
+  }
+
+  return [...team];
+}
+
+// Usuarios cuyos datos de `resource` puede ver quien consulta:
+// null con <resource>:read:all (todos), su equipo con <resource>:read:team, o nadie.
+function scopeUserIds(req, resource) {
+  if (can(req.user, `${resource}:read:all`)) return null;
+  if (can(req.user, `${resource}:read:team`)) return teamMemberIds(req.db, req.user.id);
+  return [];
+}
+
+const inScope = (scope, userId) => scope === null || scope.includes(userId);
+
+// ¿Asignar `managerId` como responsable de `userId` forma un ciclo?
+function createsCycle(db, userId, managerId) {
+  const seen = new Set();
+  let current = managerId;
+  while (current && !seen.has(current)) {
+    if (current === userId) return true;
+    seen.add(current);
+    const manager = db.getById('users', current);
+    current = manager ? manager.manager_id : null;
+  }
+  return false;
+}
+
+module.exports = { teamMemberIds, scopeUserIds, inScope, createsCycle };
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+// Codigos de un solo uso basados en tiempo (TOTP, RFC 6238) compatibles con
+// Google Authenticator, Authy, etc.: SHA-1, 6 digitos, periodos de 30 segundos.
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Secreto base32 invalido');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// Secreto nuevo (160 bits, en base32 como lo esperan las apps)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Codigo para un contador (RFC 4226)
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(value).padStart(DIGITS, '0');
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+// Verificar un codigo aceptando `window` periodos de desfase del reloj.
+// Devuelve el periodo usado (para no aceptar el mismo codigo dos veces) o null.
+function verify(secret, code, { window = 1, afterStep = null, now = Date.now() } = {}) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(clean) || clean.length !== DIGITS) return null;
+
+  const step = currentStep(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = step + offset;
+    if (afterStep !== null && candidate <= afterStep) continue;
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return candidate;
+  }
+  return null;
+}
+
+// URI para el codigo QR de las apps autenticadoras
+function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = { generateSecret, hotp, verify, otpauthUri, currentStep };
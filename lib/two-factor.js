@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+const totp = require('./totp');
+const { JWT_SECRET } = require('./sessions');
+const { logSecurityEvent } = require('./security-log');
+
+// Verificacion en dos pasos (TOTP). El secreto y los codigos de recuperacion
+// viven en la tabla two_factor, nunca en users, para que no salgan en las respuestas.
+// TWO_FACTOR_REQUIRED_ROLES: roles obligados a usarla (ej. "super_admin,admin,supervisor")
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',').map(role => role.trim()).filter(Boolean);
+const ISSUER = process.env.TOTP_ISSUER || 'LoVirtual';
+const RECOVERY_CODES = 10;
+// Duracion del token intermedio entre la contrasena y el codigo
+const CHALLENGE_TTL = '5m';
+
+const hashCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+
+const isRequired = (user) => REQUIRED_ROLES.includes(user.role);
+
+// Registro de two_factor del usuario (confirmado o a medio configurar)
+const getFactor = (userId) => db.where('two_factor', { user_id: userId })[0] || null;
+
+const isEnabled = (userId) => {
+  const factor = getFactor(userId);
+  return Boolean(factor && factor.enabled_at);
+};
+
+function status(user) {
+  const factor = getFactor(user.id);
+  return {
+    enabled: Boolean(factor && factor.enabled_at),
+    required: isRequired(user),
+    recoveryCodesRemaining: factor && factor.enabled_at ? (factor.recovery_codes || []).length : 0
+  };
+}
+
+// Token del primer paso del login: purpose 'verify' (pedir el codigo) o
+// 'enroll' (el rol la exige y aun no esta configurada). No sirve como token de acceso.
+function createChallenge(user, purpose) {
+  return jwt.sign({ id: user.id, purpose, typ: 'login_challenge' }, JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+}
+
+// Usuario del challenge, o null si es invalido, expiro o es de otro tipo
+function readChallenge(token, purpose) {
+  try {
+    const payload = jwt.verify(String(token || ''), JWT_SECRET);
+    if (payload.typ !== 'login_challenge' || payload.purpose !== purpose) return null;
+    const user = db.getById('users', payload.id);
+    // Un usuario desactivado despues del primer paso no completa el login
+    return user && user.is_active ? user : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Empezar (o reiniciar) la configuracion: secreto nuevo sin confirmar
+function startEnrollment(user) {
+  const secret = totp.generateSecret();
+  const existing = getFactor(user.id);
+  const changes = { secret, enabled_at: null, recovery_codes: [], last_used_step: null };
+
+  if (existing) db.update('two_factor', existing.id, changes);
+  else db.insert('two_factor', { user_id: user.id, ...changes });
+
+  return {
+    secret,
+    otpauthUri: totp.otpauthUri({ secret, account: user.email || user.username, issuer: ISSUER })
+  };
+}
+
+// Codigos de recuperacion nuevos: se devuelven una sola vez, se guardan como hash
+function newRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODES }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashCode) };
+}
+
+// Confirmar la configuracion con un codigo de la app. Devuelve los codigos de recuperacion o null.
+function enable(user, code) {
+  const factor = getFactor(user.id);
+  if (!factor || factor.enabled_at) return null;
+
+  const step = totp.verify(factor.secret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = newRecoveryCodes();
+  db.update('two_factor', factor.id, {
+    enabled_at: new Date().toISOString(),
+    recovery_codes: hashes,
+    last_used_step: step
+  });
+  logSecurityEvent('two_factor_enabled', { user, actor: user.id });
+  return codes;
+}
+
+// Comprobar un codigo TOTP (o uno de recuperacion, que se descarta al usarlo).
+// Un mismo codigo TOTP no se acepta dos veces.
+function verify(user, { code, recoveryCode }, { ip = null } = {}) {
+  const factor = getFactor(user.id);
+  if (!factor || !factor.enabled_at) return false;
+
+  if (recoveryCode) {
+    const hash = hashCode(recoveryCode);
+    const remaining = (factor.recovery_codes || []).filter(h => h !== hash);
+    if (remaining.length === (factor.recovery_codes || []).length) return false;
+
+    db.update('two_factor', factor.id, { recovery_codes: remaining });
+    logSecurityEvent('recovery_code_used', { user, ip, details: { remaining: remaining.length } });
+    return true;
+  }
+
+  const step = totp.verify(factor.secret, code, { afterStep: factor.last_used_step });
+  if (step === null) return false;
+
+  db.update('two_factor', factor.id, { last_used_step: step });
+  return true;
+}
+
+function regenerateRecoveryCodes(user) {
+  const factor = getFactor(user.id);
+  if (!factor || !factor.enabled_at) return null;
+
+  const { codes, hashes } = newRecoveryCodes();
+  db.update('two_factor', factor.id, { recovery_codes: hashes });
+  return codes;
+}
+
+// Quitar la verificacion (el propio usuario o un admin si perdio el dispositivo)
+function disable(user, { actor = null, event = 'two_factor_disabled' } = {}) {
+  const factor = getFactor(user.id);
+  if (!factor) return false;
+
+  db.delete('two_factor', factor.id);
+  logSecurityEvent(event, { user, actor });
+  return true;
+}
+
+module.exports = {
+  REQUIRED_ROLES,
+  isRequired,
+  isEnabled,
+  status,
+  createChallenge,
+  readChallenge,
+  startEnrollment,
+  enable,
+  verify,
+  regenerateRecoveryCodes,
+  disable
+};
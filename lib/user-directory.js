@@ -0,0 +1,60 @@
+const { inScope } = require('./teams');
+const { departmentFilter } = require('./departments');
+const { isActiveUser } = require('./offboarding');
+
+// Busqueda, filtros y orden de usuarios para GET /api/users, /export y /directory.
+// Filtros de la query: q (texto en nombre, apellido, usuario y email, sin distinguir
+// mayusculas ni tildes), role, department_id y status=active|deactivated.
+const SORT_FIELDS = ['username', 'first_name', 'last_name', 'email', 'role', 'department', 'job_title', 'hire_date', 'created_at', 'id'];
+// El directorio solo ordena por campos que muestra
+const DIRECTORY_SORT_FIELDS = ['username', 'first_name', 'last_name', 'department', 'job_title'];
+// Campos que cualquier empleado ve de sus companeros
+const DIRECTORY_FIELDS = ['id', 'username', 'first_name', 'last_name', 'avatar', 'department_id', 'department', 'job_title', 'timezone'];
+const SEARCH_FIELDS = ['first_name', 'last_name', 'username', 'email'];
+// En el directorio no se busca por email (no lo muestra)
+const DIRECTORY_SEARCH_FIELDS = ['first_name', 'last_name', 'username'];
+
+// Minusculas y sin tildes, para comparar "Jose" con "José"
+const normalize = (value) => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Cada palabra de `q` tiene que aparecer en alguno de los campos
+const matchesSearch = (user, q, fields) => {
+  const text = fields.map(field => normalize(user[field])).join(' ');
+  return normalize(q).split(/\s+/).filter(Boolean).every(term => text.includes(term));
+};
+
+// Usuarios de la organizacion que cumplen los filtros (por defecto los de la query)
+function filterUsers(req, { q, role, status, searchFields = SEARCH_FIELDS } = req.query) {
+  const inDepartment = departmentFilter(req);
+  const byStatus = status === 'active' || status === 'deactivated';
+
+  return req.db.find('users', u => inScope(inDepartment, u.id) &&
+    (!role || u.role === role) &&
+    (!byStatus || isActiveUser(u) === (status === 'active')) &&
+    (!q || matchesSearch(u, q, searchFields)));
+}
+
+// Ordenar por ?sort= (uno de `allowed`) y ?order=asc|desc, sin distinguir mayusculas
+// ni tildes; el id desempata. Devuelve { users } o { error } si el campo no se puede usar.
+function sortUsers(req, users, allowed = SORT_FIELDS) {
+  const { sort = 'username', order = 'asc' } = req.query;
+  if (!allowed.includes(sort)) return { error: `sort debe ser uno de: ${allowed.join(', ')}` };
+
+  const keyOf = (user) => (sort === 'id' || user[sort] === null || user[sort] === undefined
+    ? user[sort] : normalize(user[sort]));
+  const sorted = req.db.sortBy(users.map(user => ({ user, key: keyOf(user), id: user.id })), ['key', 'id'],
+    order === 'desc' ? 'desc' : 'asc');
+  return { users: sorted.map(entry => entry.user) };
+}
+
+// Datos de un usuario para el directorio
+const directoryEntry = (user) => Object.fromEntries(DIRECTORY_FIELDS.map(field => [field, user[field] === undefined ? null : user[field]]));
+
+module.exports = {
+  SORT_FIELDS,
+  DIRECTORY_SORT_FIELDS,
+  DIRECTORY_SEARCH_FIELDS,
+  filterUsers,
+  sortUsers,
+  directoryEntry
+};
@@ -0,0 +1,231 @@
+const bcrypt = require('bcryptjs');
+const db = require('../database/db');
+const { validate } = require('../database/validation');
+const { ValidationError } = require('../database/errors');
+const { getRole, canGrantRole } = require('./permissions');
+const { resolveDepartment } = require('./departments');
+const { isActiveUser } = require('./offboarding');
+const { generatePassword } = require('./password-policy');
+const invitations = require('./invitations');
+const { parseCsv, toCsv } = require('./csv');
+
+// Importacion y exportacion de usuarios en CSV. Columnas: username, email, first_name,
+// last_name, department (nombre), role y manager (usuario o email del responsable,
+// o el username de otra fila del mismo archivo). Se valida todo el archivo antes de
+// crear nada: con un error en cualquier fila no se importa ninguna.
+// mode 'password' crea las cuentas con una contrasena temporal; 'invite' envia invitaciones.
+// USER_IMPORT_MAX_ROWS: filas por archivo (500)
+const MAX_IMPORT_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS) || 500;
+const IMPORT_MODES = ['password', 'invite'];
+const IMPORT_COLUMNS = ['username', 'email', 'first_name', 'last_name', 'department', 'role', 'manager'];
+const EXPORT_COLUMNS = ['id', ...IMPORT_COLUMNS, 'status', 'created_at'];
+
+// Texto CSV -> { rows } (una por linea, con sus columnas conocidas) o { error }
+function readImportFile(text, mode) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) return { error: 'El archivo esta vacio' };
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  const required = mode === 'invite' ? 'email' : 'username';
+  if (!columns.includes(required)) return { error: `Falta la columna ${required}` };
+  if (lines.length === 0) return { error: 'El archivo no tiene usuarios' };
+  if (lines.length > MAX_IMPORT_ROWS) return { error: `El archivo supera el maximo de ${MAX_IMPORT_ROWS} usuarios` };
+
+  const rows = lines.map((values, index) => {
+    const row = { row: index + 1 };
+    IMPORT_COLUMNS.forEach(column => {
+      const position = columns.indexOf(column);
+      row[column] = position === -1 ? '' : (values[position] || '').trim();
+    });
+    return row;
+  });
+  return { rows };
+}
+
+// Validar cada fila contra la base y contra el resto del archivo.
+// Devuelve las filas con `errors` (vacio si es valida) y los datos ya resueltos.
+function planImport(req, rows, mode) {
+  const inFile = new Map(mode === 'password' ? rows.filter(r => r.username).map(r => [r.username, r]) : []);
+  const count = (field, value) => rows.filter(r => r[field] === value).length;
+
+  const planned = rows.map(row => {
+    const errors = [];
+    const role = row.role || 'employee';
+
+    if (mode === 'password' && !row.username) errors.push('El usuario es requerido');
+    if (mode === 'invite' && !row.email) errors.push('El email es requerido');
+
+    if (row.username && count('username', row.username) > 1) errors.push('Usuario repetido en el archivo');
+    if (row.email && count('email', row.email) > 1) errors.push('Email repetido en el archivo');
+
+    // Usuario y email son unicos en todas las organizaciones (ver POST /api/users)
+    if (mode === 'password' && row.username &&
+        db.findOne('users', u => u.username === row.username, { withDeleted: true })) {
+      errors.push('El usuario ya existe');
+    }
+    if (row.email && db.findOne('users', u => u.email === row.email, { withDeleted: true })) {
+      errors.push('Ya existe un usuario con ese email');
+    }
+    if (mode === 'invite' && row.email && req.db.where('invitations', { email: row.email })
+      .some(invitation => invitations.status(invitation) === 'pending')) {
+      errors.push('Ya hay una invitacion pendiente para ese email');
+    }
+
+    try {
+      validate('users', {
+        username: row.username || undefined,
+        email: row.email || undefined,
+        first_name: row.first_name || undefined,
+        last_name: row.last_name || undefined
+      }, 'update');
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      error.errors.forEach(e => errors.push(e.message));
+    }
+
+    if (!getRole(req.db.orgId, role)) {
+      errors.push(`Rol invalido: ${role}`);
+    } else if (!canGrantRole(req.user, req.db.orgId, role)) {
+      errors.push(`No tienes permisos para asignar el rol ${role}`);
+    }
+
+    const { changes: departmentFields, error: departmentError } =
+      resolveDepartment(req.db, { department: row.department || undefined });
+    if (departmentError) errors.push(`${departmentError}: ${row.department}`);
+
+    // Responsable: usuario de la organizacion o (con contrasena) otra fila del archivo
+    let manager = null;
+    let managerRow = null;
+    if (row.manager) {
+      if (row.manager === row.username) {
+        errors.push('Un usuario no puede ser su propio responsable');
+      } else if (inFile.has(row.manager)) {
+        managerRow = inFile.get(row.manager);
+      } else {
+        manager = req.db.findOne('users', u => u.username === row.manager || u.email === row.manager) || null;
+        if (!manager || !isActiveUser(manager)) errors.push(`Responsable no encontrado: ${row.manager}`);
+      }
+    }
+
+    return { ...row, role, departmentFields, manager, managerRow, errors };
+  });
+
+  // Responsables dentro del archivo que forman un ciclo (A reporta a B y B a A)
+  planned.forEach(entry => {
+    const seen = new Set([entry.username]);
+    let current = entry.managerRow;
+    while (current) {
+      if (seen.has(current.username)) {
+        entry.errors.push('El responsable no puede ser alguien de su propio equipo');
+        return;
+      }
+      seen.add(current.username);
+      current = planned.find(p => p.username === current.username).managerRow;
+    }
+  });
+
+  return planned;
+}
+
+// Fila del reporte (sin los datos internos)
+const reportRow = ({ row, username, email, role, department, departmentFields, manager, managerRow, errors }) => ({
+  row,
+  username: username || null,
+  email: email || null,
+  role,
+  department: (departmentFields && departmentFields.department) || department || null,
+  manager: manager ? manager.username : (managerRow ? managerRow.username : null),
+  errors
+});
+
+// Crear las cuentas (mode 'password') en una transaccion. Las contrasenas
+// temporales solo se devuelven aqui.
+function createAccounts(req, planned, actor) {
+  const passwords = planned.map(() => generatePassword());
+  const hashes = passwords.map(password => bcrypt.hashSync(password, 10));
+
+  return req.db.transaction(tx => {
+    const created = planned.map((entry, index) => tx.insert('users', {
+      username: entry.username,
+      email: entry.email || null,
+      password: hashes[index],
+      role: entry.role,
+      first_name: entry.first_name || null,
+      last_name: entry.last_name || null,
+      department: null,
+      department_id: null,
+      ...entry.departmentFields,
+      manager_id: entry.manager ? entry.manager.id : null,
+      avatar: null
+    }));
+
+    // Los responsables del mismo archivo ya tienen id
+    planned.forEach((entry, index) => {
+      if (!entry.managerRow) return;
+      const manager = created[planned.findIndex(p => p.username === entry.managerRow.username)];
+      created[index] = tx.update('users', created[index].id, { manager_id: manager.id }, { actor });
+    });
+
+    return planned.map((entry, index) => ({
+      ...reportRow(entry),
+      user_id: created[index].id,
+      temporary_password: passwords[index]
+    }));
+  });
+}
+
+// Crear las invitaciones (mode 'invite') y enviarlas por email
+async function createInvitations(req, planned, actor) {
+  const created = req.db.transaction(tx => planned.map(entry => invitations.createInvitation(tx, {
+    email: entry.email,
+    role: entry.role,
+    ...entry.departmentFields,
+    first_name: entry.first_name,
+    last_name: entry.last_name,
+    manager_id: entry.manager ? entry.manager.id : null,
+    invitedBy: actor
+  })));
+
+  for (const { invitation, url } of created) {
+    await invitations.sendInvitationMail(invitation, url, req.user);
+  }
+
+  return planned.map((entry, index) => ({
+    ...reportRow(entry),
+    invitation_id: created[index].invitation.id,
+    token: created[index].token,
+    url: created[index].url
+  }));
+}
+
+// Usuarios -> CSV con las columnas de la importacion (mas id, estado y alta)
+function exportUsers(users) {
+  const byId = new Map(users.map(u => [u.id, u]));
+  const rows = users.map(user => {
+    const manager = user.manager_id ? byId.get(user.manager_id) || db.getById('users', user.manager_id) : null;
+    return [
+      user.id,
+      user.username,
+      user.email,
+      user.first_name,
+      user.last_name,
+      user.department,
+      user.role,
+      manager ? manager.username : '',
+      isActiveUser(user) ? 'active' : 'deactivated',
+      user.created_at
+    ];
+  });
+  return toCsv([EXPORT_COLUMNS, ...rows]);
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_MODES,
+  readImportFile,
+  planImport,
+  reportRow,
+  createAccounts,
+  createInvitations,
+  exportUsers
+};
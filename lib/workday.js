@@ -0,0 +1,27 @@
+// Jornada en curso de un usuario. Un turno nocturno (22:00-06:00) sigue abierto despues
+// de la medianoche local: la asistencia abierta y sus breaks se buscan por el registro,
+// no por la fecha de hoy. attendance.date es la fecha en que empezo el turno.
+
+// Asistencia con entrada y sin salida (de cualquier fecha)
+const openAttendance = (tenantDb, userId) =>
+  tenantDb.where('attendance', { user_id: userId, clock_out: null }).find(a => a.clock_in) || null;
+
+// La jornada que muestran las vistas de hoy: la abierta o la de la fecha local
+const currentAttendance = (tenantDb, userId, today) =>
+  openAttendance(tenantDb, userId) || tenantDb.where('attendance', { user_id: userId, date: today })[0] || null;
+
+// Breaks de una asistencia, por hora de inicio
+const attendanceBreaks = (tenantDb, attendance) => (attendance
+  ? tenantDb.where('breaks', { attendance_id: attendance.id }, { orderBy: 'start_time' })
+  : []);
+
+// Break sin terminar (solo puede haber uno)
+const activeBreak = (tenantDb, userId) =>
+  tenantDb.where('breaks', { user_id: userId, end_time: null })[0] || null;
+
+module.exports = {
+  openAttendance,
+  currentAttendance,
+  attendanceBreaks,
+  activeBreak
+};
@@ -1,5 +1,49 @@
 const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'mi_trabajo_virtual_secret_key_2024';
+const db = require('../database/db');
+const { JWT_SECRET, activeSession } = require('../lib/sessions');
+const { can } = require('../lib/permissions');
+const apiKeys = require('../lib/api-keys');
+const { trackAction } = require('../lib/impersonation');
+const { isActiveUser } = require('../lib/offboarding');
+
+// Dejar en req el usuario y los datos de su organizacion (token o API key)
+function attachUser(req, res, next, user, orgId) {
+  // Un usuario desactivado (o eliminado) no usa los tokens que le queden
+  if (!isActiveUser(db.getById('users', user.id))) {
+    return res.status(401).json({ success: false, message: 'Usuario desactivado' });
+  }
+
+  const organization = db.getById('organizations', orgId);
+  if (!organization || (!organization.is_active && !can(user, 'organizations:manage'))) {
+    return res.status(403).json({ success: false, message: 'Organizacion no disponible' });
+  }
+
+  req.user = user;
+  // Datos limitados a la organizacion del token
+  req.db = db.forOrg(orgId);
+  next();
+}
+
+// API key (lib/api-keys.js): actua como su usuario, limitada a sus scopes
+function authenticateApiKey(token, req, res, next) {
+  const { error, key, user } = apiKeys.verifyKey(token, req.ip);
+  if (error) return res.status(401).json({ success: false, message: error });
+
+  if (!['GET', 'HEAD'].includes(req.method) && !key.scopes.includes(apiKeys.WRITE_SCOPE)) {
+    return res.status(403).json({ success: false, message: 'La API key es de solo lectura (falta el scope write)' });
+  }
+
+  req.session = null;
+  req.apiKey = key;
+  attachUser(req, res, next, {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    org_id: key.org_id,
+    scopes: key.scopes,
+    api_key_id: key.id
+  }, key.org_id);
+}
 
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
@@ -7,15 +51,60 @@ function authenticateToken(req, res, next) {
 
   if (!token) return res.status(401).json({ success: false, message: 'Token requerido' });
 
+  if (apiKeys.isApiKey(token)) return authenticateApiKey(token, req, res, next);
+
   jwt.verify(token, JWT_SECRET, (err, user) => {
     if (err) return res.status(403).json({ success: false, message: 'Token inválido' });
-    req.user = user;
-    next();
+
+    // Cada token de acceso pertenece a una sesion; si se revoco, el token deja de servir.
+    // Los tokens sin sesion (anteriores a los refresh tokens) ya no se aceptan.
+    const session = activeSession(user.sid);
+    if (!session || session.user_id !== user.id) {
+      return res.status(401).json({ success: false, message: 'Sesion expirada o cerrada' });
+    }
+
+    // La organizacion de trabajo es la de la sesion (un super_admin puede cambiarla)
+    user.org_id = session.org_id;
+
+    req.session = session;
+
+    // Suplantacion: se conserva quien suplanta y se registra lo que modifica
+    if (session.impersonator_id) {
+      user.impersonator_id = session.impersonator_id;
+      trackAction(req, res);
+    }
+
+    attachUser(req, res, next, user, user.org_id);
   });
 }
 
-// Middleware para verificar roles
-const requireRole = (...roles) => {
+// Rutas que necesitan una sesion iniciada con usuario y contrasena
+// (cuenta, sesiones, verificacion en dos pasos, API keys): no aceptan API keys
+function requireSession(req, res, next) {
+  if (!req.session) {
+    return res.status(403).json({
+      success: false,
+      message: 'Esta accion no se puede hacer con una API key'
+    });
+  }
+  next();
+}
+
+// Acciones que no se permiten mientras un admin suplanta al usuario
+// (contrasena, verificacion en dos pasos, API keys, aprobar solicitudes...)
+function blockImpersonation(req, res, next) {
+  if (req.user && req.user.impersonator_id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Esta accion no se permite mientras suplantas a un usuario'
+    });
+  }
+  next();
+}
+
+// Middleware para verificar permisos (basta con tener uno de los indicados).
+// Los permisos de cada rol estan en lib/permissions.js
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -24,7 +113,7 @@ const requireRole = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.some(permission => can(req.user, permission))) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para realizar esta accion'
@@ -35,4 +124,4 @@ const requireRole = (...roles) => {
   };
 };
 
-module.exports = { authenticateToken, requireRole };
+module.exports = { authenticateToken, requireSession, blockImpersonation, requirePermission };
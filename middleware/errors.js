@@ -0,0 +1,16 @@
+const { ValidationError } = require('../database/errors');
+
+// Responder 400 si el error viene de la validacion de la capa de datos.
+// Devuelve true si ya se respondio.
+function handleValidationError(error, res) {
+  if (!(error instanceof ValidationError)) return false;
+
+  res.status(400).json({
+    success: false,
+    message: error.message,
+    errors: error.errors
+  });
+  return true;
+}
+
+module.exports = { handleValidationError };
@@ -1,6 +1,7 @@
 const express = require('express');
-const db = require('../database/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationError } = require('../middleware/errors');
+const { scopeUserIds, inScope } = require('../lib/teams');
 
 const router = express.Router();
 
@@ -47,7 +48,16 @@ router.post('/heartbeat', authenticateToken, (req, res) => {
 router.post('/afk', authenticateToken, (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
-    const { idleTime } = req.body;
+    // El cliente puede mandar tiempos con decimales: se guardan redondeados
+    const idleTime = typeof req.body.idleTime === 'number' ? Math.round(req.body.idleTime) : req.body.idleTime;
+
+    // Guardar evento AFK en la base de datos (valida idleTime antes de cambiar el estado)
+    req.db.insert('activity_logs', {
+      user_id: userId,
+      event: 'afk_start',
+      idle_time: idleTime,
+      timestamp: new Date().toISOString()
+    });
 
     const existing = activityStatus.get(userId) || {};
 
@@ -62,19 +72,12 @@ router.post('/afk', authenticateToken, (req, res) => {
       afkSince: existing.afkSince || Date.now()
     });
 
-    // Guardar evento AFK en la base de datos
-    db.insert('activity_logs', {
-      user_id: userId,
-      event: 'afk_start',
-      idle_time: idleTime,
-      timestamp: new Date().toISOString()
-    });
-
     res.json({
       success: true,
       message: 'Estado AFK registrado'
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error registrando AFK:', error);
     res.status(500).json({
       success: false,
@@ -105,7 +108,7 @@ router.post('/back', authenticateToken, (req, res) => {
 
     // Guardar evento de vuelta en la base de datos
     if (afkDuration > 0) {
-      db.insert('activity_logs', {
+      req.db.insert('activity_logs', {
         user_id: userId,
         event: 'afk_end',
         afk_duration: Math.round(afkDuration / 1000), // en segundos
@@ -118,6 +121,7 @@ router.post('/back', authenticateToken, (req, res) => {
       message: 'Estado activo registrado'
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error registrando actividad:', error);
     res.status(500).json({
       success: false,
@@ -126,11 +130,13 @@ router.post('/back', authenticateToken, (req, res) => {
   }
 });
 
-// GET /api/activity/status - Obtener estado de todos los usuarios (admin)
-router.get('/status', authenticateToken, requireRole('admin', 'supervisor'), (req, res) => {
+// GET /api/activity/status - Obtener estado de todos los usuarios (de su equipo con activity:read:team)
+router.get('/status', authenticateToken, requirePermission('activity:read:all', 'activity:read:team'), (req, res) => {
   try {
     const now = Date.now();
-    const users = db.getAll('users').filter(u => u.role !== 'admin');
+    const scope = scopeUserIds(req, 'activity');
+    const users = req.db.getAll('users')
+      .filter(u => !['super_admin', 'admin'].includes(u.role) && inScope(scope, u.id));
 
     const statuses = users.map(user => {
       const activity = activityStatus.get(user.id);
@@ -163,7 +169,8 @@ router.get('/status', authenticateToken, requireRole('admin', 'supervisor'), (re
         statusLabel,
         idleTime: activity.idleTime,
         idleMinutes,
-        lastActivity: new Date(activity.lastActivity).toISOString(),
+        // Sin heartbeat previo (solo /afk) no hay ultima actividad
+        lastActivity: activity.lastActivity ? new Date(activity.lastActivity).toISOString() : null,
         lastHeartbeat: new Date(activity.lastHeartbeat).toISOString(),
         afkSince: activity.afkSince ? new Date(activity.afkSince).toISOString() : null
       };
@@ -195,12 +202,13 @@ router.get('/status', authenticateToken, requireRole('admin', 'supervisor'), (re
   }
 });
 
-// GET /api/activity/logs - Historial de actividad (admin)
-router.get('/logs', authenticateToken, requireRole('admin', 'supervisor'), (req, res) => {
+// GET /api/activity/logs - Historial de actividad (de su equipo con activity:read:team)
+router.get('/logs', authenticateToken, requirePermission('activity:read:all', 'activity:read:team'), (req, res) => {
   try {
     const { userId, limit = 50 } = req.query;
+    const scope = scopeUserIds(req, 'activity');
 
-    let logs = db.getAll('activity_logs') || [];
+    let logs = req.db.getAll('activity_logs').filter(l => inScope(scope, l.user_id));
 
     if (userId) {
       logs = logs.filter(l => l.user_id === parseInt(userId));
@@ -211,7 +219,7 @@ router.get('/logs', authenticateToken, requireRole('admin', 'supervisor'), (req,
     logs = logs.slice(0, parseInt(limit));
 
     // Agregar nombres de usuario
-    const users = db.getAll('users');
+    const users = req.db.getAll('users');
     logs = logs.map(log => {
       const user = users.find(u => u.id === log.user_id);
       return {
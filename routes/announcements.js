@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../database/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationError } = require('../middleware/errors');
 
 // Aplicar autenticacion a todas las rutas
 router.use(authenticateToken);
@@ -11,7 +11,7 @@ router.get('/', (req, res) => {
   try {
     const { category, active_only } = req.query;
 
-    let announcements = db.getAll('announcements');
+    let announcements = req.db.getAll('announcements');
 
     // Por defecto, solo mostrar activos y no expirados
     if (active_only !== 'false') {
@@ -30,7 +30,7 @@ router.get('/', (req, res) => {
     announcements.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
 
     // Agregar info de autores
-    const users = db.getAll('users');
+    const users = req.db.getAll('users');
     announcements = announcements.map(a => {
       const author = users.find(u => u.id === a.author_id);
       return {
@@ -55,7 +55,7 @@ router.get('/', (req, res) => {
 });
 
 // POST / - Crear anuncio (solo admin)
-router.post('/', requireRole('admin'), (req, res) => {
+router.post('/', requirePermission('announcements:write'), (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
     const { title, content, category, expires_at } = req.body;
@@ -70,7 +70,7 @@ router.post('/', requireRole('admin'), (req, res) => {
     const validCategories = ['general', 'important', 'urgent', 'event', 'policy'];
     const announcementCategory = validCategories.includes(category) ? category : 'general';
 
-    const newAnnouncement = db.insert('announcements', {
+    const newAnnouncement = req.db.insert('announcements', {
       title,
       content,
       category: announcementCategory,
@@ -80,7 +80,7 @@ router.post('/', requireRole('admin'), (req, res) => {
     });
 
     // Agregar info del autor
-    const users = db.getAll('users');
+    const users = req.db.getAll('users');
     const author = users.find(u => u.id === userId);
 
     res.status(201).json({
@@ -94,6 +94,7 @@ router.post('/', requireRole('admin'), (req, res) => {
       }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error al crear anuncio:', error);
     res.status(500).json({
       success: false,
@@ -103,12 +104,12 @@ router.post('/', requireRole('admin'), (req, res) => {
 });
 
 // PUT /:id - Actualizar anuncio (solo admin)
-router.put('/:id', requireRole('admin'), (req, res) => {
+router.put('/:id', requirePermission('announcements:write'), (req, res) => {
   try {
     const { id } = req.params;
     const { title, content, category, is_active, expires_at } = req.body;
 
-    const existingAnnouncement = db.getById('announcements', id);
+    const existingAnnouncement = req.db.getById('announcements', id);
 
     if (!existingAnnouncement) {
       return res.status(404).json({
@@ -127,10 +128,10 @@ router.put('/:id', requireRole('admin'), (req, res) => {
       expires_at: expires_at !== undefined ? expires_at : existingAnnouncement.expires_at
     };
 
-    const updatedAnnouncement = db.update('announcements', id, updates);
+    const updatedAnnouncement = req.db.update('announcements', id, updates, { actor: req.user.id || req.user.userId });
 
     // Agregar info del autor
-    const users = db.getAll('users');
+    const users = req.db.getAll('users');
     const author = users.find(u => u.id === updatedAnnouncement.author_id);
 
     res.json({
@@ -144,6 +145,7 @@ router.put('/:id', requireRole('admin'), (req, res) => {
       }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error al actualizar anuncio:', error);
     res.status(500).json({
       success: false,
@@ -153,11 +155,11 @@ router.put('/:id', requireRole('admin'), (req, res) => {
 });
 
 // DELETE /:id - Eliminar anuncio (solo admin)
-router.delete('/:id', requireRole('admin'), (req, res) => {
+router.delete('/:id', requirePermission('announcements:write'), (req, res) => {
   try {
     const { id } = req.params;
 
-    const existingAnnouncement = db.getById('announcements', id);
+    const existingAnnouncement = req.db.getById('announcements', id);
 
     if (!existingAnnouncement) {
       return res.status(404).json({
@@ -166,7 +168,7 @@ router.delete('/:id', requireRole('admin'), (req, res) => {
       });
     }
 
-    db.delete('announcements', id);
+    req.db.delete('announcements', id, { actor: req.user.id || req.user.userId });
 
     res.json({
       success: true,
@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireSession, blockImpersonation, requirePermission } = require('../middleware/auth');
+const { handleValidationError } = require('../middleware/errors');
+const { can } = require('../lib/permissions');
+const apiKeys = require('../lib/api-keys');
+
+// API keys personales. Se administran con una sesion normal (no con otra API key).
+router.use(authenticateToken);
+router.use(requireSession);
+router.use(blockImpersonation);
+
+// Agregar el nombre del usuario de cada key
+const withUsername = (users, key) => {
+  const user = users.find(u => u.id === key.user_id);
+  return { ...apiKeys.publicKey(key), username: user ? user.username : null };
+};
+
+// GET / - API keys propias
+router.get('/', (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const keys = req.db.where('api_keys', { user_id: userId }, { orderBy: 'id', order: 'desc' })
+      .map(apiKeys.publicKey);
+
+    res.json({
+      success: true,
+      data: {
+        keys,
+        scopes: apiKeys.availableScopes(req.user),
+        policy: apiKeys.config
+      }
+    });
+  } catch (error) {
+    console.error('Error al listar API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /all - API keys de toda la organizacion (?user_id=&active=true|false&limit=&offset=)
+router.get('/all', requirePermission('api_keys:manage'), (req, res) => {
+  try {
+    const { user_id, active, limit = 50, offset = 0 } = req.query;
+
+    let keys = req.db.getAll('api_keys');
+    if (user_id) keys = keys.filter(k => k.user_id === req.db.parseId(user_id));
+    if (active !== undefined) keys = keys.filter(k => apiKeys.isActive(k) === (active === 'true'));
+
+    const users = req.db.getAll('users', { withDeleted: true });
+    keys = req.db.sortBy(keys, 'id', 'desc').map(k => withUsername(users, k));
+
+    const { items, pagination } = req.db.paginate(keys, { limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        keys: items,
+        pagination
+      }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al listar API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST / - Crear una API key personal. La key solo se muestra en esta respuesta.
+router.post('/', (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { name, scopes = [], expires_in_days } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'El nombre es requerido'
+      });
+    }
+
+    const invalid = apiKeys.checkScopes(req.user, scopes);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const { days, error } = apiKeys.parseExpiry(expires_in_days);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { apiKey, key } = apiKeys.createKey(req.db, req.user, { name, scopes, days, actor: userId });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key creada. Guardala ahora: no se volvera a mostrar',
+      data: { apiKey, key: apiKeys.publicKey(key) }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al crear API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /:id - Revocar una API key propia (o cualquiera de la organizacion con api_keys:manage)
+router.delete('/:id', (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const key = req.db.getById('api_keys', req.params.id);
+
+    if (!key || (key.user_id !== userId && !can(req.user, 'api_keys:manage'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key no encontrada'
+      });
+    }
+
+    if (key.revoked_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'La API key ya esta revocada'
+      });
+    }
+
+    const revoked = apiKeys.revokeKey(key, {
+      actor: userId,
+      reason: key.user_id === userId ? 'revoked' : 'revoked_by_admin'
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revocada',
+      data: { key: apiKeys.publicKey(revoked) }
+    });
+  } catch (error) {
+    console.error('Error al revocar API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,28 +1,41 @@
 const express = require('express');
-const db = require('../database/db');
 const { authenticateToken } = require('../middleware/auth');
+const { can } = require('../lib/permissions');
+const { scopeUserIds, inScope } = require('../lib/teams');
+const { departmentFilter } = require('../lib/departments');
+const { localDate, clockInStatus, timezoneOf } = require('../lib/schedule');
+const { openAttendance, currentAttendance, attendanceBreaks } = require('../lib/workday');
+const { handleValidationError } = require('../middleware/errors');
 
 const router = express.Router();
 
-// Obtener fecha actual en formato YYYY-MM-DD
-const getTodayDate = () => {
-  return new Date().toISOString().split('T')[0];
+// Fecha actual (YYYY-MM-DD) en la zona horaria del usuario (lib/schedule.js)
+const getTodayDate = (req) => {
+  return localDate(req.db.getById('users', req.user.id || req.user.userId));
 };
 
 // POST /api/attendance/clock-in - Registrar entrada
 router.post('/clock-in', authenticateToken, (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
-    const today = getTodayDate();
+    const today = getTodayDate(req);
+
+    // Un turno sin cerrar (aunque haya empezado ayer) se cierra antes de abrir otro
+    if (openAttendance(req.db, userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya registraste tu entrada. Debes registrar tu salida primero.'
+      });
+    }
 
     // Verificar si ya hay un registro de hoy
-    const existingAttendance = db.findOne('attendance', a => a.user_id === userId && a.date === today);
+    const [existingAttendance] = req.db.where('attendance', { user_id: userId, date: today });
 
     if (existingAttendance) {
-      if (existingAttendance.clock_in && !existingAttendance.clock_out) {
+      if (existingAttendance.status === 'on_leave') {
         return res.status(400).json({
           success: false,
-          message: 'Ya registraste tu entrada hoy. Debes registrar tu salida primero.'
+          message: 'Tienes un permiso aprobado para hoy'
         });
       }
 
@@ -34,12 +47,11 @@ router.post('/clock-in', authenticateToken, (req, res) => {
       }
     }
 
-    // Determinar estado (llegada tarde si es despues de las 9:00)
-    const currentHour = new Date().getHours();
-    const status = currentHour >= 9 ? 'late' : 'present';
+    // Llegada tarde si es despues del inicio de su jornada (horario del usuario, 9:00 por defecto)
+    const status = clockInStatus(req.db.getById('users', userId));
 
     // Crear nuevo registro de asistencia
-    const attendance = db.insert('attendance', {
+    const attendance = req.db.insert('attendance', {
       user_id: userId,
       clock_in: new Date().toISOString(),
       date: today,
@@ -52,6 +64,7 @@ router.post('/clock-in', authenticateToken, (req, res) => {
       data: { attendance }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error en clock-in:', error);
     res.status(500).json({
       success: false,
@@ -64,17 +77,14 @@ router.post('/clock-in', authenticateToken, (req, res) => {
 router.post('/clock-out', authenticateToken, (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
-    const today = getTodayDate();
 
-    // Buscar registro de hoy
-    const attendance = db.findOne('attendance', a =>
-      a.user_id === userId && a.date === today && a.clock_in && !a.clock_out
-    );
+    // Entrada abierta, aunque sea de un turno que empezo antes de la medianoche
+    const attendance = openAttendance(req.db, userId);
 
     if (!attendance) {
       return res.status(400).json({
         success: false,
-        message: 'No hay registro de entrada para hoy'
+        message: 'No hay registro de entrada abierto'
       });
     }
 
@@ -85,7 +95,7 @@ router.post('/clock-out', authenticateToken, (req, res) => {
     const totalHours = Math.round((diffMs / (1000 * 60 * 60)) * 100) / 100;
 
     // Actualizar registro
-    const updatedAttendance = db.update('attendance', attendance.id, {
+    const updatedAttendance = req.db.update('attendance', attendance.id, {
       clock_out: new Date().toISOString(),
       total_hours: totalHours
     });
@@ -99,6 +109,7 @@ router.post('/clock-out', authenticateToken, (req, res) => {
       }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error en clock-out:', error);
     res.status(500).json({
       success: false,
@@ -111,20 +122,18 @@ router.post('/clock-out', authenticateToken, (req, res) => {
 router.get('/today', authenticateToken, (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
-    const today = getTodayDate();
-
-    const attendance = db.findOne('attendance', a => a.user_id === userId && a.date === today);
+    const today = getTodayDate(req);
 
-    // Obtener breaks de hoy
-    const breaks = db.find('breaks', b => b.user_id === userId && b.date === today)
-      .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+    // La jornada abierta (puede ser de ayer en un turno nocturno) o la de hoy
+    const attendance = currentAttendance(req.db, userId, today);
+    const breaks = attendanceBreaks(req.db, attendance);
 
     res.json({
       success: true,
       data: {
-        attendance: attendance || null,
+        attendance,
         breaks,
-        date: today
+        date: attendance ? attendance.date : today
       }
     });
   } catch (error) {
@@ -142,7 +151,7 @@ router.get('/history', authenticateToken, (req, res) => {
     const userId = req.user.id || req.user.userId;
     const { limit = 30, offset = 0, from, to } = req.query;
 
-    let history = db.find('attendance', a => a.user_id === userId);
+    let history = req.db.where('attendance', { user_id: userId }, { orderBy: 'date', order: 'desc' });
 
     // Filtrar por fechas
     if (from) {
@@ -152,27 +161,18 @@ router.get('/history', authenticateToken, (req, res) => {
       history = history.filter(a => a.date <= to);
     }
 
-    // Ordenar por fecha descendente
-    history.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-    const total = history.length;
-
     // Aplicar paginacion
-    history = history.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+    const { items, pagination } = req.db.paginate(history, { limit, offset });
 
     res.json({
       success: true,
       data: {
-        history,
-        pagination: {
-          total,
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          hasMore: parseInt(offset) + history.length < total
-        }
+        history: items,
+        pagination
       }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error obteniendo historial:', error);
     res.status(500).json({
       success: false,
@@ -187,22 +187,22 @@ router.get('/stats', authenticateToken, (req, res) => {
     const userId = req.user.id || req.user.userId;
     const { month, year } = req.query;
 
-    const currentDate = new Date();
-    const targetMonth = month ? parseInt(month) : currentDate.getMonth() + 1;
-    const targetYear = year ? parseInt(year) : currentDate.getFullYear();
+    const [currentYear, currentMonth] = getTodayDate(req).split('-').map(Number);
+    const targetMonth = month ? parseInt(month) : currentMonth;
+    const targetYear = year ? parseInt(year) : currentYear;
 
     const startDate = `${targetYear}-${String(targetMonth).padStart(2, '0')}-01`;
     const endDate = `${targetYear}-${String(targetMonth).padStart(2, '0')}-31`;
 
-    const monthRecords = db.find('attendance', a =>
-      a.user_id === userId && a.date >= startDate && a.date <= endDate
-    );
+    const monthRecords = req.db.where('attendance', { user_id: userId })
+      .filter(a => a.date >= startDate && a.date <= endDate);
 
     const stats = {
       totalDays: monthRecords.length,
       presentDays: monthRecords.filter(a => a.status === 'present').length,
       lateDays: monthRecords.filter(a => a.status === 'late').length,
       absentDays: monthRecords.filter(a => a.status === 'absent').length,
+      leaveDays: monthRecords.filter(a => a.status === 'on_leave').length,
       avgHours: monthRecords.length > 0
         ? Math.round(monthRecords.reduce((sum, a) => sum + (a.total_hours || 0), 0) / monthRecords.length * 100) / 100
         : 0,
@@ -228,12 +228,12 @@ router.get('/stats', authenticateToken, (req, res) => {
   }
 });
 
-// GET /api/attendance/all - Obtener toda la asistencia (admin)
+// GET /api/attendance/all - Obtener toda la asistencia (la de su equipo con attendance:read:team).
+// ?department_id= filtra por departamento
 router.get('/all', authenticateToken, (req, res) => {
   try {
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'supervisor';
-
-    if (!isAdmin) {
+    // attendance:read:all incluye attendance:read:team
+    if (!can(req.user, 'attendance:read:team')) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para ver esta informacion'
@@ -241,23 +241,27 @@ router.get('/all', authenticateToken, (req, res) => {
     }
 
     const { date } = req.query;
-    const targetDate = date || getTodayDate();
+    const targetDate = date || getTodayDate(req);
+    const scope = scopeUserIds(req, 'attendance');
+    const inDepartment = departmentFilter(req);
 
-    let attendance = db.find('attendance', a => a.date === targetDate);
+    let attendance = req.db.where('attendance', { date: targetDate })
+      .filter(a => inScope(scope, a.user_id) && inScope(inDepartment, a.user_id));
 
     // Agregar info de usuarios
-    const users = db.getAll('users');
     attendance = attendance.map(a => {
-      const user = users.find(u => u.id === a.user_id);
+      const user = req.db.getById('users', a.user_id);
       return {
         ...a,
         username: user ? user.username : 'Desconocido',
-        user_email: user ? user.email : null
+        user_email: user ? user.email : null,
+        user_timezone: user ? timezoneOf(user) : null
       };
     });
 
     // Obtener breaks de hoy para cada usuario
-    const breaks = db.find('breaks', b => b.date === targetDate);
+    const breaks = req.db.where('breaks', { date: targetDate })
+      .filter(b => inScope(scope, b.user_id) && inScope(inDepartment, b.user_id));
 
     attendance = attendance.map(a => {
       const userBreaks = breaks.filter(b => b.user_id === a.user_id);
@@ -275,6 +279,7 @@ router.get('/all', authenticateToken, (req, res) => {
       }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error obteniendo asistencia:', error);
     res.status(500).json({
       success: false,
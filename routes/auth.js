@@ -1,13 +1,44 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const db = require('../database/db');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireSession, blockImpersonation, requirePermission } = require('../middleware/auth');
+const { can, getRole, canGrantRole } = require('../lib/permissions');
+const sessions = require('../lib/sessions');
+const loginThrottle = require('../lib/login-throttle');
+const twoFactor = require('../lib/two-factor');
+const passwordResets = require('../lib/password-resets');
+const invitations = require('../lib/invitations');
+const { assignment } = require('../lib/departments');
+const impersonation = require('../lib/impersonation');
+const { isActiveUser } = require('../lib/offboarding');
+const { sendMail } = require('../lib/mailer');
+const { checkPassword, policyMessage } = require('../lib/password-policy');
+const { handleValidationError } = require('../middleware/errors');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'mi_trabajo_virtual_secret_key_2024';
+
+// Registro abierto (cualquiera crea una cuenta de empleado). Desactivado por defecto:
+// los usuarios entran por invitacion (ver routes/invitations.js). OPEN_REGISTRATION=true lo habilita
+const OPEN_REGISTRATION = process.env.OPEN_REGISTRATION === 'true';
+
+// Responder 429 mientras dure la espera del bloqueo de intentos
+const tooManyAttempts = (res, wait) => {
+  const seconds = Math.ceil(wait / 1000);
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({ success: false, message: `Demasiados intentos fallidos. Intenta de nuevo en ${seconds} segundos` });
+};
+
+// Login completo: sesion nueva y datos del usuario
+const completeLogin = (user, req) => {
+  loginThrottle.recordSuccess(user);
+  const { token, refreshToken, expiresIn } = sessions.createSession(user, req);
+  const { password: _, ...userWithoutPassword } = user;
+  return { token, refreshToken, expiresIn, user: userWithoutPassword };
+};
 
 // POST /api/auth/login
+// Con verificacion en dos pasos la contrasena no da un token de acceso sino un
+// challengeToken para POST /login/2fa (o para configurarla si el rol la exige).
 router.post('/login', async (req, res) => {
   try {
     const { username, password } = req.body;
@@ -16,52 +47,100 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Usuario y contraseña son requeridos' });
     }
 
-    const user = db.findOne('users', u => u.username === username || u.email === username);
+    // Las cuentas de servicio no inician sesion: solo usan API keys
+    const user = db.findOne('users', u => (u.username === username || u.email === username) && !u.is_service_account);
+
+    // Demasiados fallos recientes de la cuenta o de la IP: ni se comprueba la contrasena.
+    // El intento queda reservado mientras dura la comprobacion (ver beginAttempt)
+    const wait = loginThrottle.beginAttempt(user, req.ip);
+    if (wait > 0) return tooManyAttempts(res, wait);
+
+    let validPassword = false;
+    try {
+      validPassword = Boolean(user) && await bcrypt.compare(password, user.password);
+    } finally {
+      loginThrottle.endAttempt(user, req.ip);
+    }
 
     if (!user) {
+      loginThrottle.recordFailure(null, req.ip);
       return res.status(401).json({ success: false, message: 'Credenciales inválidas' });
     }
 
-    const validPassword = await bcrypt.compare(password, user.password);
-
     if (!validPassword) {
+      loginThrottle.recordFailure(user, req.ip);
       return res.status(401).json({ success: false, message: 'Credenciales inválidas' });
     }
 
-    const token = jwt.sign(
-      { id: user.id, username: user.username, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    if (!isActiveUser(user)) {
+      return res.status(403).json({ success: false, message: 'Tu usuario esta desactivado' });
+    }
 
-    const { password: _, ...userWithoutPassword } = user;
+    const organization = db.getById('organizations', user.org_id);
 
-    res.json({
-      success: true,
-      message: 'Login exitoso',
-      data: { token, user: userWithoutPassword }
-    });
+    if (!organization || (!organization.is_active && !can(user, 'organizations:manage'))) {
+      return res.status(403).json({ success: false, message: 'Tu organizacion no esta activa' });
+    }
+
+    // Los fallos de la cuenta se olvidan recien al completar el segundo paso
+    if (twoFactor.isEnabled(user.id)) {
+      return res.json({
+        success: true,
+        message: 'Ingresa el codigo de verificacion',
+        data: { twoFactorRequired: true, challengeToken: twoFactor.createChallenge(user, 'verify') }
+      });
+    }
+
+    if (twoFactor.isRequired(user)) {
+      return res.json({
+        success: true,
+        message: 'Debes configurar la verificacion en dos pasos',
+        data: { twoFactorSetupRequired: true, challengeToken: twoFactor.createChallenge(user, 'enroll') }
+      });
+    }
+
+    res.json({ success: true, message: 'Login exitoso', data: completeLogin(user, req) });
   } catch (error) {
     console.error('Error en login:', error);
     res.status(500).json({ success: false, message: 'Error del servidor' });
   }
 });
 
-// POST /api/auth/register
+// POST /api/auth/register - Solo con OPEN_REGISTRATION=true
 router.post('/register', async (req, res) => {
   try {
-    const { username, email, password } = req.body;
+    if (!OPEN_REGISTRATION) {
+      return res.status(403).json({ success: false, message: 'El registro esta deshabilitado. Pide una invitacion al administrador' });
+    }
+
+    const { username, email, password, organization: slug } = req.body;
 
     if (!username || !password) {
       return res.status(400).json({ success: false, message: 'Usuario y contraseña son requeridos' });
     }
 
-    const existingUser = db.findOne('users', u => u.username === username || u.email === email);
+    // Organizacion indicada por su slug; si solo hay una, se usa esa
+    const organizations = db.where('organizations', { is_active: true });
+    const organization = slug
+      ? organizations.find(o => o.slug === slug)
+      : (organizations.length === 1 ? organizations[0] : null);
+
+    if (!organization) {
+      return res.status(400).json({ success: false, message: 'Organizacion invalida' });
+    }
+
+    // Incluye usuarios en la papelera: al restaurarlos no debe haber duplicados
+    const existingUser = db.findOne('users', u => u.username === username || u.email === email, { withDeleted: true });
 
     if (existingUser) {
       return res.status(400).json({ success: false, message: 'El usuario o email ya existe' });
     }
 
+    const passwordErrors = checkPassword(password, { username });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ success: false, message: policyMessage(passwordErrors) });
+    }
+
     const hashedPassword = await bcrypt.hash(password, 10);
 
     const newUser = db.insert('users', {
@@ -69,31 +148,135 @@ router.post('/register', async (req, res) => {
       email: email || null,
       password: hashedPassword,
       role: 'employee',
-      avatar: null
+      avatar: null,
+      org_id: organization.id
     });
 
-    const token = jwt.sign(
-      { id: newUser.id, username: newUser.username, role: newUser.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const { token, refreshToken, expiresIn } = sessions.createSession(newUser, req);
 
     const { password: _, ...userWithoutPassword } = newUser;
 
     res.status(201).json({
       success: true,
       message: 'Usuario creado',
-      data: { token, user: userWithoutPassword }
+      data: { token, refreshToken, expiresIn, user: userWithoutPassword }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error en registro:', error);
     res.status(500).json({ success: false, message: 'Error del servidor' });
   }
 });
 
+// GET /api/auth/invitation?token= - Datos de una invitacion antes de aceptarla
+router.get('/invitation', (req, res) => {
+  try {
+    const { error, invitation } = invitations.findInvitation(req.query.token);
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const organization = db.getById('organizations', invitation.org_id);
+    const { email, role, department, first_name, last_name, expires_at } = invitation;
+
+    res.json({ success: true, data: { invitation: { email, role, department, first_name, last_name, expires_at, organization: organization.name } } });
+  } catch (error) {
+    console.error('Error obteniendo invitacion:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
+// POST /api/auth/accept-invitation - Crear la cuenta con una invitacion (token de un solo uso).
+// El rol, el departamento y el email los eligio quien invito.
+router.post('/accept-invitation', async (req, res) => {
+  try {
+    const { token, username, password, first_name, last_name } = req.body;
+
+    if (!token || !username || !password) {
+      return res.status(400).json({ success: false, message: 'El token, el usuario y la contraseña son requeridos' });
+    }
+
+    const { error, invitation } = invitations.findInvitation(token);
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const organization = db.getById('organizations', invitation.org_id);
+
+    if (!organization || !organization.is_active) {
+      return res.status(403).json({ success: false, message: 'La organizacion no esta activa' });
+    }
+
+    // El rol pudo eliminarse despues de invitar
+    if (!getRole(invitation.org_id, invitation.role)) {
+      return res.status(400).json({ success: false, message: 'El rol de la invitacion ya no existe, pide una nueva' });
+    }
+
+    // Incluye usuarios en la papelera: al restaurarlos no debe haber duplicados
+    const existingUser = db.findOne('users', u => u.username === username || (invitation.email && u.email === invitation.email), { withDeleted: true });
+
+    if (existingUser) {
+      return res.status(400).json({ success: false, message: 'El usuario o email ya existe' });
+    }
+
+    const passwordErrors = checkPassword(password, { username });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ success: false, message: policyMessage(passwordErrors) });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Crear el usuario y marcar la invitacion juntos (y solo si sigue pendiente)
+    const newUser = db.transaction(tx => {
+      if (invitations.status(tx.getById('invitations', invitation.id)) !== 'pending') return null;
+
+      // El departamento o el responsable pudieron eliminarse despues de invitar
+      const department = invitation.department_id ? tx.getById('departments', invitation.department_id) : null;
+      const manager = invitation.manager_id ? tx.getById('users', invitation.manager_id) : null;
+
+      const user = tx.insert('users', {
+        username,
+        email: invitation.email,
+        password: hashedPassword,
+        role: invitation.role,
+        first_name: first_name || invitation.first_name || null,
+        last_name: last_name || invitation.last_name || null,
+        ...assignment(department),
+        manager_id: manager ? manager.id : null,
+        avatar: null,
+        org_id: invitation.org_id
+      });
+      tx.update('invitations', invitation.id, { accepted_at: new Date().toISOString(), accepted_user_id: user.id });
+      return user;
+    });
+
+    if (!newUser) {
+      return res.status(400).json({ success: false, message: 'La invitacion ya fue usada' });
+    }
+
+    // Igual que en el login: si el rol exige verificacion en dos pasos, primero se configura
+    if (twoFactor.isRequired(newUser)) {
+      return res.status(201).json({
+        success: true,
+        message: 'Cuenta creada. Debes configurar la verificacion en dos pasos',
+        data: { twoFactorSetupRequired: true, challengeToken: twoFactor.createChallenge(newUser, 'enroll') }
+      });
+    }
+
+    res.status(201).json({ success: true, message: 'Cuenta creada', data: completeLogin(newUser, req) });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error aceptando invitacion:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
 // GET /api/auth/me
 router.get('/me', authenticateToken, (req, res) => {
   try {
+    // Sin req.db: un super_admin puede estar trabajando en otra organizacion
     const user = db.getById('users', req.user.id);
 
     if (!user) {
@@ -101,12 +284,457 @@ router.get('/me', authenticateToken, (req, res) => {
     }
 
     const { password: _, ...userWithoutPassword } = user;
+    const organization = db.getById('organizations', req.user.org_id);
+    // Durante una suplantacion, quien suplanta (para mostrarlo en la interfaz)
+    const impersonator = req.user.impersonator_id ? db.getById('users', req.user.impersonator_id) : null;
 
-    res.json({ success: true, data: { user: userWithoutPassword } });
+    res.json({
+      success: true,
+      data: {
+        user: userWithoutPassword,
+        organization,
+        twoFactor: twoFactor.status(user),
+        impersonator: impersonator ? { id: impersonator.id, username: impersonator.username } : null
+      }
+    });
   } catch (error) {
     console.error('Error:', error);
     res.status(500).json({ success: false, message: 'Error del servidor' });
   }
 });
 
+// POST /api/auth/refresh - Cambiar el refresh token por un par nuevo
+router.post('/refresh', (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'refreshToken es requerido' });
+    }
+
+    const result = sessions.rotateSession(refreshToken);
+
+    if (result.error) {
+      return res.status(401).json({ success: false, message: result.error });
+    }
+
+    const { token, refreshToken: newRefreshToken, expiresIn } = result;
+
+    res.json({ success: true, data: { token, refreshToken: newRefreshToken, expiresIn } });
+  } catch (error) {
+    console.error('Error renovando sesion:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
+// POST /api/auth/logout - Cerrar la sesion actual (tambien termina una suplantacion)
+router.post('/logout', authenticateToken, requireSession, (req, res) => {
+  try {
+    if (req.session.impersonator_id) {
+      sessions.revokeSession(req.session, 'impersonation_ended');
+      impersonation.endImpersonation(req.session, req);
+      return res.json({ success: true, message: 'Suplantacion terminada' });
+    }
+
+    sessions.revokeSession(req.session, 'logout');
+    res.json({ success: true, message: 'Sesion cerrada' });
+  } catch (error) {
+    console.error('Error cerrando sesion:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
+// POST /api/auth/impersonate/:userId - Entrar como otro usuario de la organizacion (soporte).
+// Devuelve un token corto sin refresh token; la sesion del admin sigue abierta.
+router.post('/impersonate/:userId', authenticateToken, requireSession, blockImpersonation, requirePermission('users:impersonate'), (req, res) => {
+  try {
+    const target = req.db.getById('users', req.params.userId);
+
+    if (!target || target.is_service_account) {
+      return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+    }
+
+    if (target.id === req.user.id) {
+      return res.status(400).json({ success: false, message: 'No puedes suplantarte a ti mismo' });
+    }
+
+    if (!isActiveUser(target)) {
+      return res.status(400).json({ success: false, message: 'El usuario esta desactivado' });
+    }
+
+    // Solo a usuarios con permisos que uno ya tiene
+    if (!canGrantRole(req.user, req.db.orgId, target.role)) {
+      return res.status(403).json({ success: false, message: 'No tienes permisos para suplantar a este usuario' });
+    }
+
+    const { token, expiresIn } = impersonation.startImpersonation(target, req.user, req);
+    const { password: _, ...userWithoutPassword } = target;
+
+    res.json({
+      success: true,
+      message: `Suplantando a ${target.username}`,
+      data: { token, expiresIn, user: userWithoutPassword, impersonator_id: req.user.id }
+    });
+  } catch (error) {
+    console.error('Error al suplantar usuario:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
+// GET /api/auth/sessions - Sesiones activas propias.
+// Un admin puede ver las de otro usuario de su organizacion con ?user_id=
+router.get('/sessions', authenticateToken, requireSession, (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const targetId = req.query.user_id ? db.parseId(req.query.user_id) : userId;
+
+    if (targetId !== userId && !can(req.user, 'sessions:manage')) {
+      return res.status(403).json({ success: false, message: 'No tienes permisos para ver estas sesiones' });
+    }
+
+    if (targetId !== userId && !req.db.getById('users', targetId)) {
+      return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+    }
+
+    const now = new Date().toISOString();
+    const active = db.where('sessions', { user_id: targetId, revoked_at: null }, { orderBy: 'last_used_at', order: 'desc' })
+      .filter(s => s.expires_at > now)
+      .map(s => ({ ...sessions.publicSession(s), current: s.id === req.session.id }));
+
+    res.json({ success: true, data: { sessions: active } });
+  } catch (error) {
+    console.error('Error listando sesiones:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
+// DELETE /api/auth/sessions - Cerrar todas las sesiones propias menos la actual
+router.delete('/sessions', authenticateToken, requireSession, blockImpersonation, (req, res) => {
+  try {
+    const revoked = sessions.revokeUserSessions(req.user.id, 'logout_all', req.session.id);
+    res.json({ success: true, message: 'Sesiones cerradas', data: { revoked } });
+  } catch (error) {
+    console.error('Error cerrando sesiones:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Cerrar una sesion propia (o de un usuario de la organizacion si es admin)
+router.delete('/sessions/:id', authenticateToken, requireSession, blockImpersonation, (req, res) => {
+  try {
+    const session = db.getById('sessions', req.params.id);
+    // La sesion debe ser propia o de un usuario visible en la organizacion actual
+    const allowed = session && (session.user_id === req.user.id ||
+      (can(req.user, 'sessions:manage') && req.db.getById('users', session.user_id)));
+
+    if (!allowed) {
+      return res.status(404).json({ success: false, message: 'Sesion no encontrada' });
+    }
+
+    sessions.revokeSession(session, session.user_id === req.user.id ? 'logout' : 'revoked_by_admin');
+
+    res.json({ success: true, message: 'Sesion cerrada' });
+  } catch (error) {
+    console.error('Error cerrando sesion:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
+// PUT /api/auth/password - Cambiar la contrasena propia.
+// Se cierran las demas sesiones del usuario; la actual sigue abierta.
+router.put('/password', authenticateToken, requireSession, blockImpersonation, async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({ success: false, message: 'La contraseña actual y la nueva son requeridas' });
+    }
+
+    const user = db.getById('users', userId);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+    }
+
+    const validPassword = await bcrypt.compare(current_password, user.password);
+
+    if (!validPassword) {
+      return res.status(401).json({ success: false, message: 'La contraseña actual no es correcta' });
+    }
+
+    const passwordErrors = checkPassword(new_password, { username: user.username });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ success: false, message: policyMessage(passwordErrors) });
+    }
+
+    if (await bcrypt.compare(new_password, user.password)) {
+      return res.status(400).json({ success: false, message: 'La nueva contraseña debe ser distinta a la actual' });
+    }
+
+    db.update('users', userId, {
+      password: await bcrypt.hash(new_password, 10),
+      password_changed_at: new Date().toISOString()
+    }, { actor: userId });
+
+    passwordResets.invalidateResets(userId);
+    const revoked = sessions.revokeUserSessions(userId, 'password_changed', req.session.id);
+
+    res.json({ success: true, message: 'Contraseña actualizada', data: { revoked } });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error cambiando contraseña:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
+// POST /api/auth/forgot-password - Enviar un enlace de recuperacion por correo.
+// Responde lo mismo exista o no el usuario, para no revelar cuentas.
+router.post('/forgot-password', async (req, res) => {
+  const message = 'Si la cuenta existe, recibiras un correo con instrucciones';
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'El email es requerido' });
+    }
+
+    const user = db.findOne('users', u => u.email === email && !u.is_service_account && isActiveUser(u));
+    const organization = user && db.getById('organizations', user.org_id);
+
+    if (user && organization && (organization.is_active || can(user, 'organizations:manage'))) {
+      const { url } = passwordResets.createResetToken(user, req);
+
+      await sendMail({
+        to: user.email,
+        subject: 'Recupera tu contraseña',
+        text: `Hola ${user.first_name || user.username},\n\n` +
+          `Recibimos una solicitud para cambiar tu contraseña. Usa este enlace antes de ` +
+          `${passwordResets.PASSWORD_RESET_TTL_MINUTES} minutos:\n\n${url}\n\n` +
+          'Si no fuiste tu, ignora este correo: tu contraseña no cambiara.'
+      });
+    }
+
+    res.json({ success: true, message });
+  } catch (error) {
+    console.error('Error en recuperacion de contraseña:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
+// POST /api/auth/reset-password - Elegir una contraseña nueva con el token del correo.
+// El token se usa una sola vez y se cierran todas las sesiones del usuario.
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ success: false, message: 'El token y la contraseña son requeridos' });
+    }
+
+    const { error, user } = passwordResets.findReset(token);
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const passwordErrors = checkPassword(password, { username: user.username });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ success: false, message: policyMessage(passwordErrors) });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Marca el token (y cualquier otro pendiente) como usado junto con el cambio
+    db.transaction(tx => {
+      tx.update('users', user.id, {
+        password: hashedPassword,
+        password_changed_at: new Date().toISOString()
+      }, { actor: user.id });
+      passwordResets.invalidateResets(user.id);
+    });
+    sessions.revokeUserSessions(user.id, 'password_reset');
+
+    // Quien demuestra ser el dueño del correo no tiene que esperar el fin del bloqueo
+    const throttle = loginThrottle.findThrottle('account', String(user.id));
+    if (throttle && loginThrottle.isLocked(throttle)) {
+      loginThrottle.unlock(throttle, { actor: user.id, reason: 'password_reset' });
+    }
+
+    res.json({ success: true, message: 'Contraseña restablecida, ya puedes iniciar sesion' });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error restableciendo contraseña:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
+// Usuario del challenge de configuracion (rol con verificacion obligatoria que aun no la tiene)
+const requireEnrollChallenge = (req, res, next) => {
+  const user = twoFactor.readChallenge(req.body.challengeToken, 'enroll');
+
+  if (!user) {
+    return res.status(401).json({ success: false, message: 'La verificacion expiro, inicia sesion de nuevo' });
+  }
+
+  req.challengeUser = user;
+  next();
+};
+
+// Generar el secreto y el URI otpauth:// para la app autenticadora
+const setupTwoFactor = (req, res) => {
+  try {
+    const user = req.challengeUser || db.getById('users', req.user.id);
+
+    if (twoFactor.isEnabled(user.id)) {
+      return res.status(409).json({ success: false, message: 'La verificacion en dos pasos ya esta activada' });
+    }
+
+    const { secret, otpauthUri } = twoFactor.startEnrollment(user);
+
+    res.json({
+      success: true,
+      message: 'Escanea el codigo en tu app y confirma con un codigo',
+      data: { secret, otpauthUri }
+    });
+  } catch (error) {
+    console.error('Error configurando verificacion en dos pasos:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+};
+
+// Confirmar la configuracion con un codigo. Los codigos de recuperacion se muestran solo aqui.
+// Durante el login (challenge de configuracion) tambien se inicia la sesion.
+const enableTwoFactor = (req, res) => {
+  try {
+    const user = req.challengeUser || db.getById('users', req.user.id);
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'El codigo es requerido' });
+    }
+
+    const recoveryCodes = twoFactor.enable(user, code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({ success: false, message: 'Codigo invalido o configuracion no iniciada' });
+    }
+
+    const data = req.challengeUser ? { ...completeLogin(user, req), recoveryCodes } : { recoveryCodes };
+
+    res.json({
+      success: true,
+      message: 'Verificacion en dos pasos activada. Guarda los codigos de recuperacion',
+      data
+    });
+  } catch (error) {
+    console.error('Error activando verificacion en dos pasos:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+};
+
+// POST /api/auth/login/2fa - Segundo paso del login: challengeToken + code (o recoveryCode)
+router.post('/login/2fa', (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ success: false, message: 'challengeToken y code (o recoveryCode) son requeridos' });
+    }
+
+    const user = twoFactor.readChallenge(challengeToken, 'verify');
+
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'La verificacion expiro, inicia sesion de nuevo' });
+    }
+
+    // Los codigos cuentan como intentos de login para el bloqueo
+    const wait = loginThrottle.checkLogin(user, req.ip);
+    if (wait > 0) return tooManyAttempts(res, wait);
+
+    if (!twoFactor.verify(user, { code, recoveryCode }, { ip: req.ip })) {
+      loginThrottle.recordFailure(user, req.ip);
+      return res.status(401).json({ success: false, message: 'Codigo de verificacion invalido' });
+    }
+
+    res.json({ success: true, message: 'Login exitoso', data: completeLogin(user, req) });
+  } catch (error) {
+    console.error('Error en verificacion de login:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
+// POST /api/auth/login/2fa/setup y /login/2fa/enable - Configuracion obligatoria durante el login
+router.post('/login/2fa/setup', requireEnrollChallenge, setupTwoFactor);
+router.post('/login/2fa/enable', requireEnrollChallenge, enableTwoFactor);
+
+// GET /api/auth/2fa - Estado de la verificacion en dos pasos propia
+router.get('/2fa', authenticateToken, requireSession, (req, res) => {
+  try {
+    const user = db.getById('users', req.user.id);
+    res.json({ success: true, data: twoFactor.status(user) });
+  } catch (error) {
+    console.error('Error obteniendo verificacion en dos pasos:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
+// POST /api/auth/2fa/setup y /2fa/enable - Activarla desde una sesion
+router.post('/2fa/setup', authenticateToken, requireSession, blockImpersonation, setupTwoFactor);
+router.post('/2fa/enable', authenticateToken, requireSession, blockImpersonation, enableTwoFactor);
+
+// POST /api/auth/2fa/recovery-codes - Generar codigos de recuperacion nuevos (pide un codigo)
+router.post('/2fa/recovery-codes', authenticateToken, requireSession, blockImpersonation, (req, res) => {
+  try {
+    const user = db.getById('users', req.user.id);
+
+    if (!twoFactor.isEnabled(user.id)) {
+      return res.status(400).json({ success: false, message: 'La verificacion en dos pasos no esta activada' });
+    }
+
+    if (!twoFactor.verify(user, { code: req.body.code }, { ip: req.ip })) {
+      return res.status(401).json({ success: false, message: 'Codigo de verificacion invalido' });
+    }
+
+    const recoveryCodes = twoFactor.regenerateRecoveryCodes(user);
+
+    res.json({ success: true, message: 'Codigos de recuperacion generados', data: { recoveryCodes } });
+  } catch (error) {
+    console.error('Error generando codigos de recuperacion:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
+// POST /api/auth/2fa/disable - Desactivarla (pide contraseña y codigo). No se puede si el rol la exige.
+router.post('/2fa/disable', authenticateToken, requireSession, blockImpersonation, async (req, res) => {
+  try {
+    const user = db.getById('users', req.user.id);
+    const { password, code, recoveryCode } = req.body;
+
+    if (twoFactor.isRequired(user)) {
+      return res.status(403).json({ success: false, message: 'Tu rol requiere verificacion en dos pasos' });
+    }
+
+    if (!twoFactor.isEnabled(user.id)) {
+      return res.status(400).json({ success: false, message: 'La verificacion en dos pasos no esta activada' });
+    }
+
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ success: false, message: 'La contraseña no es correcta' });
+    }
+
+    if (!twoFactor.verify(user, { code, recoveryCode }, { ip: req.ip })) {
+      return res.status(401).json({ success: false, message: 'Codigo de verificacion invalido' });
+    }
+
+    twoFactor.disable(user, { actor: user.id });
+
+    res.json({ success: true, message: 'Verificacion en dos pasos desactivada' });
+  } catch (error) {
+    console.error('Error desactivando verificacion en dos pasos:', error);
+    res.status(500).json({ success: false, message: 'Error del servidor' });
+  }
+});
+
 module.exports = router;
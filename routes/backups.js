@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Copias de seguridad: afectan a todas las organizaciones, solo super_admin
+router.use(authenticateToken);
+router.use(requirePermission('backups:manage'));
+
+// GET / - Listar copias con tamano y fecha
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { snapshots: db.listSnapshots() }
+    });
+  } catch (error) {
+    console.error('Error al listar copias:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST / - Crear una copia de toda la base
+router.post('/', (req, res) => {
+  try {
+    const snapshot = db.snapshot('manual');
+
+    res.status(201).json({
+      success: true,
+      message: 'Copia creada exitosamente',
+      data: { snapshot }
+    });
+  } catch (error) {
+    console.error('Error al crear copia:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /:name/download - Descargar una copia
+router.get('/:name/download', (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!db.listSnapshots().some(s => s.name === name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Copia no encontrada'
+      });
+    }
+
+    res.download(db.snapshotPath(name), name);
+  } catch (error) {
+    console.error('Error al descargar copia:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /:name/restore - Restaurar una copia (antes se guarda el estado actual)
+router.post('/:name/restore', (req, res) => {
+  try {
+    const result = db.restoreSnapshot(req.params.name);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Copia no encontrada'
+      });
+    }
+
+    console.log(`Copia ${req.params.name} restaurada por el usuario ${req.user.id || req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Copia restaurada exitosamente',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error al restaurar copia:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /:name - Eliminar una copia
+router.delete('/:name', (req, res) => {
+  try {
+    if (!db.deleteSnapshot(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Copia no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Copia eliminada'
+    });
+  } catch (error) {
+    console.error('Error al eliminar copia:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
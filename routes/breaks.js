@@ -1,12 +1,17 @@
 const express = require('express');
-const db = require('../database/db');
 const { authenticateToken } = require('../middleware/auth');
+const { can } = require('../lib/permissions');
+const { scopeUserIds, inScope } = require('../lib/teams');
+const { departmentFilter } = require('../lib/departments');
+const { localDate } = require('../lib/schedule');
+const { openAttendance, currentAttendance, attendanceBreaks, activeBreak: findActiveBreak } = require('../lib/workday');
+const { handleValidationError } = require('../middleware/errors');
 
 const router = express.Router();
 
-// Obtener fecha actual en formato YYYY-MM-DD
-const getTodayDate = () => {
-  return new Date().toISOString().split('T')[0];
+// Fecha actual (YYYY-MM-DD) en la zona horaria del usuario (lib/schedule.js)
+const getTodayDate = (req) => {
+  return localDate(req.db.getById('users', req.user.id || req.user.userId));
 };
 
 // Tipos de break permitidos con duraciones maximas (en minutos)
@@ -22,7 +27,6 @@ router.post('/start', authenticateToken, (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
     const { type } = req.body;
-    const today = getTodayDate();
 
     // Validar tipo de break
     if (!type || !BREAK_TYPES[type]) {
@@ -32,10 +36,8 @@ router.post('/start', authenticateToken, (req, res) => {
       });
     }
 
-    // Verificar que hay una asistencia activa hoy
-    const attendance = db.findOne('attendance', a =>
-      a.user_id === userId && a.date === today && a.clock_in && !a.clock_out
-    );
+    // Verificar que hay una asistencia activa (la del turno en curso, aunque empezara ayer)
+    const attendance = openAttendance(req.db, userId);
 
     if (!attendance) {
       return res.status(400).json({
@@ -45,9 +47,8 @@ router.post('/start', authenticateToken, (req, res) => {
     }
 
     // Verificar que no hay un break activo
-    const activeBreak = db.findOne('breaks', b =>
-      b.user_id === userId && b.date === today && !b.end_time
-    );
+    const shiftBreaks = attendanceBreaks(req.db, attendance);
+    const activeBreak = findActiveBreak(req.db, userId);
 
     if (activeBreak) {
       return res.status(400).json({
@@ -56,11 +57,9 @@ router.post('/start', authenticateToken, (req, res) => {
       });
     }
 
-    // Verificar si ya tomo este tipo de break hoy (excepto 'other')
+    // Verificar si ya tomo este tipo de break en la jornada (excepto 'other')
     if (type !== 'other') {
-      const existingBreak = db.findOne('breaks', b =>
-        b.user_id === userId && b.date === today && b.type === type
-      );
+      const existingBreak = shiftBreaks.find(b => b.type === type);
 
       if (existingBreak) {
         return res.status(400).json({
@@ -71,11 +70,12 @@ router.post('/start', authenticateToken, (req, res) => {
     }
 
     // Crear nuevo break
-    const newBreak = db.insert('breaks', {
+    const newBreak = req.db.insert('breaks', {
       user_id: userId,
+      attendance_id: attendance.id,
       type,
       start_time: new Date().toISOString(),
-      date: today
+      date: attendance.date
     });
 
     res.status(201).json({
@@ -87,6 +87,7 @@ router.post('/start', authenticateToken, (req, res) => {
       }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error iniciando break:', error);
     res.status(500).json({
       success: false,
@@ -99,12 +100,9 @@ router.post('/start', authenticateToken, (req, res) => {
 router.post('/end', authenticateToken, (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
-    const today = getTodayDate();
 
     // Buscar break activo
-    const activeBreak = db.findOne('breaks', b =>
-      b.user_id === userId && b.date === today && !b.end_time
-    );
+    const activeBreak = findActiveBreak(req.db, userId);
 
     if (!activeBreak) {
       return res.status(400).json({
@@ -119,7 +117,7 @@ router.post('/end', authenticateToken, (req, res) => {
     const durationMinutes = Math.round((endTime - startTime) / (1000 * 60));
 
     // Actualizar break
-    const updatedBreak = db.update('breaks', activeBreak.id, {
+    const updatedBreak = req.db.update('breaks', activeBreak.id, {
       end_time: new Date().toISOString(),
       duration_minutes: durationMinutes
     });
@@ -140,6 +138,7 @@ router.post('/end', authenticateToken, (req, res) => {
       }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error terminando break:', error);
     res.status(500).json({
       success: false,
@@ -152,10 +151,10 @@ router.post('/end', authenticateToken, (req, res) => {
 router.get('/today', authenticateToken, (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
-    const today = getTodayDate();
+    const today = getTodayDate(req);
 
-    const breaks = db.find('breaks', b => b.user_id === userId && b.date === today)
-      .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+    // Breaks de la jornada abierta (puede ser de ayer en un turno nocturno) o de la de hoy
+    const breaks = attendanceBreaks(req.db, currentAttendance(req.db, userId, today));
 
     // Verificar si hay un break activo
     const activeBreak = breaks.find(b => !b.end_time);
@@ -196,11 +195,8 @@ router.get('/today', authenticateToken, (req, res) => {
 router.get('/active', authenticateToken, (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
-    const today = getTodayDate();
 
-    const activeBreak = db.findOne('breaks', b =>
-      b.user_id === userId && b.date === today && !b.end_time
-    );
+    const activeBreak = findActiveBreak(req.db, userId);
 
     if (!activeBreak) {
       return res.json({
@@ -239,7 +235,8 @@ router.get('/history', authenticateToken, (req, res) => {
     const userId = req.user.id || req.user.userId;
     const { limit = 50, offset = 0, from, to } = req.query;
 
-    let history = db.find('breaks', b => b.user_id === userId);
+    // Ordenar por fecha y hora descendente
+    let history = req.db.where('breaks', { user_id: userId }, { orderBy: ['date', 'start_time'], order: 'desc' });
 
     // Filtrar por fechas
     if (from) {
@@ -249,21 +246,15 @@ router.get('/history', authenticateToken, (req, res) => {
       history = history.filter(b => b.date <= to);
     }
 
-    // Ordenar por fecha y hora descendente
-    history.sort((a, b) => {
-      const dateCompare = new Date(b.date) - new Date(a.date);
-      if (dateCompare !== 0) return dateCompare;
-      return new Date(b.start_time) - new Date(a.start_time);
-    });
-
     // Aplicar paginacion
-    history = history.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+    const { items, pagination } = req.db.paginate(history, { limit, offset });
 
     res.json({
       success: true,
-      data: { history }
+      data: { history: items, pagination }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error obteniendo historial de breaks:', error);
     res.status(500).json({
       success: false,
@@ -272,12 +263,12 @@ router.get('/history', authenticateToken, (req, res) => {
   }
 });
 
-// GET /api/breaks/all - Obtener todos los breaks (admin)
+// GET /api/breaks/all - Obtener todos los breaks (los de su equipo con breaks:read:team).
+// ?department_id= filtra por departamento
 router.get('/all', authenticateToken, (req, res) => {
   try {
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'supervisor';
-
-    if (!isAdmin) {
+    // breaks:read:all incluye breaks:read:team
+    if (!can(req.user, 'breaks:read:team')) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para ver esta informacion'
@@ -285,14 +276,16 @@ router.get('/all', authenticateToken, (req, res) => {
     }
 
     const { date } = req.query;
-    const targetDate = date || getTodayDate();
+    const targetDate = date || getTodayDate(req);
+    const scope = scopeUserIds(req, 'breaks');
+    const inDepartment = departmentFilter(req);
 
-    let breaks = db.find('breaks', b => b.date === targetDate);
+    let breaks = req.db.where('breaks', { date: targetDate }, { orderBy: 'start_time', order: 'desc' })
+      .filter(b => inScope(scope, b.user_id) && inScope(inDepartment, b.user_id));
 
     // Agregar info de usuarios
-    const users = db.getAll('users');
     breaks = breaks.map(b => {
-      const user = users.find(u => u.id === b.user_id);
+      const user = req.db.getById('users', b.user_id);
       return {
         ...b,
         username: user ? user.username : 'Desconocido',
@@ -300,9 +293,6 @@ router.get('/all', authenticateToken, (req, res) => {
       };
     });
 
-    // Ordenar por hora de inicio
-    breaks.sort((a, b) => new Date(b.start_time) - new Date(a.start_time));
-
     res.json({
       success: true,
       data: {
@@ -311,6 +301,7 @@ router.get('/all', authenticateToken, (req, res) => {
       }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error obteniendo breaks:', error);
     res.status(500).json({
       success: false,
@@ -1,6 +1,7 @@
 const express = require('express');
-const db = require('../database/db');
 const { authenticateToken } = require('../middleware/auth');
+const { can } = require('../lib/permissions');
+const { handleValidationError } = require('../middleware/errors');
 
 const router = express.Router();
 
@@ -11,25 +12,31 @@ router.use(authenticateToken);
 router.get('/conversations', (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'supervisor';
+    const isAdmin = can(req.user, 'chat:support');
 
-    const users = db.getAll('users');
-    const messages = db.getAll('chat_messages') || [];
+    const users = req.db.getAll('users');
+    // Quienes atienden el chat (permiso chat:support) y quienes escriben
+    const isSupport = (user) => can(user, 'chat:support');
 
     if (isAdmin) {
       // Admin ve lista de empleados con sus ultimos mensajes
-      const employees = users.filter(u => u.role === 'employee');
+      const employees = users.filter(u => !isSupport(u));
+
+      // Mensajes no leidos dirigidos a este admin, agrupados por remitente
+      const unreadBySender = new Map();
+      req.db.where('chat_messages', { to_user_id: userId, read_at: null }).forEach(m => {
+        unreadBySender.set(m.from_user_id, (unreadBySender.get(m.from_user_id) || 0) + 1);
+      });
 
       const conversations = employees.map(emp => {
         // Mensajes entre este empleado y cualquier admin
-        const empMessages = messages.filter(m =>
-          (m.from_user_id === emp.id) || (m.to_user_id === emp.id)
-        ).sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        const empMessages = [
+          ...req.db.where('chat_messages', { from_user_id: emp.id }),
+          ...req.db.where('chat_messages', { to_user_id: emp.id })
+        ];
 
-        const lastMessage = empMessages[0];
-        const unreadCount = empMessages.filter(m =>
-          m.from_user_id === emp.id && m.to_user_id === userId && !m.read_at
-        ).length;
+        const [lastMessage] = req.db.sortBy(empMessages, 'created_at', 'desc');
+        const unreadCount = unreadBySender.get(emp.id) || 0;
 
         return {
           userId: emp.id,
@@ -59,7 +66,7 @@ router.get('/conversations', (req, res) => {
       });
     } else {
       // Empleado ve su conversacion con admin
-      const admins = users.filter(u => u.role === 'admin');
+      const admins = users.filter(isSupport);
       const admin = admins[0];
 
       if (!admin) {
@@ -69,14 +76,11 @@ router.get('/conversations', (req, res) => {
         });
       }
 
-      const myMessages = messages.filter(m =>
-        (m.from_user_id === userId && m.to_user_id === admin.id) ||
-        (m.from_user_id === admin.id && m.to_user_id === userId)
-      );
-
-      const unreadCount = myMessages.filter(m =>
-        m.from_user_id === admin.id && m.to_user_id === userId && !m.read_at
-      ).length;
+      const unreadCount = req.db.where('chat_messages', {
+        from_user_id: admin.id,
+        to_user_id: userId,
+        read_at: null
+      }).length;
 
       res.json({
         success: true,
@@ -104,11 +108,10 @@ router.get('/conversations', (req, res) => {
 router.get('/messages/:userId', (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
-    const otherUserId = parseInt(req.params.userId);
+    const otherUserId = req.db.parseId(req.params.userId);
     const { limit = 50 } = req.query;
 
-    const users = db.getAll('users');
-    const otherUser = users.find(u => u.id === otherUserId);
+    const otherUser = req.db.getById('users', otherUserId);
 
     if (!otherUser) {
       return res.status(404).json({
@@ -117,16 +120,11 @@ router.get('/messages/:userId', (req, res) => {
       });
     }
 
-    let messages = db.getAll('chat_messages') || [];
-
-    // Filtrar mensajes entre estos dos usuarios
-    messages = messages.filter(m =>
-      (m.from_user_id === userId && m.to_user_id === otherUserId) ||
-      (m.from_user_id === otherUserId && m.to_user_id === userId)
-    );
-
-    // Ordenar por fecha ascendente
-    messages.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    // Mensajes entre estos dos usuarios, ordenados por fecha ascendente
+    let messages = req.db.sortBy([
+      ...req.db.where('chat_messages', { from_user_id: userId, to_user_id: otherUserId }),
+      ...req.db.where('chat_messages', { from_user_id: otherUserId, to_user_id: userId })
+    ], 'created_at');
 
     // Tomar los ultimos N mensajes
     messages = messages.slice(-parseInt(limit));
@@ -141,7 +139,7 @@ router.get('/messages/:userId', (req, res) => {
     // Marcar como leidos los mensajes recibidos
     messages.forEach(m => {
       if (m.from_user_id === otherUserId && !m.read_at) {
-        db.update('chat_messages', m.id, { read_at: new Date().toISOString() });
+        req.db.update('chat_messages', m.id, { read_at: new Date().toISOString() });
       }
     });
 
@@ -157,6 +155,7 @@ router.get('/messages/:userId', (req, res) => {
       }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error obteniendo mensajes:', error);
     res.status(500).json({
       success: false,
@@ -185,8 +184,7 @@ router.post('/messages', (req, res) => {
       });
     }
 
-    const users = db.getAll('users');
-    const toUser = users.find(u => u.id === parseInt(to_user_id));
+    const toUser = req.db.getById('users', parseInt(to_user_id));
 
     if (!toUser) {
       return res.status(404).json({
@@ -195,7 +193,7 @@ router.post('/messages', (req, res) => {
       });
     }
 
-    const message = db.insert('chat_messages', {
+    const message = req.db.insert('chat_messages', {
       from_user_id: userId,
       to_user_id: parseInt(to_user_id),
       content: content.trim(),
@@ -214,6 +212,7 @@ router.post('/messages', (req, res) => {
       }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error enviando mensaje:', error);
     res.status(500).json({
       success: false,
@@ -227,10 +226,7 @@ router.get('/unread', (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
 
-    const messages = db.getAll('chat_messages') || [];
-    const unreadCount = messages.filter(m =>
-      m.to_user_id === userId && !m.read_at
-    ).length;
+    const unreadCount = req.db.where('chat_messages', { to_user_id: userId, read_at: null }).length;
 
     res.json({
       success: true,
@@ -0,0 +1,286 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationError } = require('../middleware/errors');
+const { can } = require('../lib/permissions');
+const { findByName, assignment } = require('../lib/departments');
+
+// Departamentos de la organizacion. Todos los ven; con departments:manage se
+// crean, editan y se asignan sus miembros.
+router.use(authenticateToken);
+
+// Departamento con su responsable y cantidad de miembros
+const describe = (req, department) => {
+  const head = department.head_id ? req.db.getById('users', department.head_id) : null;
+  return {
+    ...department,
+    head_username: head ? head.username : null,
+    member_count: req.db.where('users', { department_id: department.id }).length
+  };
+};
+
+// Validar nombre (si se envia) y responsable. Devuelve el mensaje de error o null.
+const checkDepartment = (req, { name, head_id }, currentId = null) => {
+  if (name !== undefined) {
+    if (!name || !String(name).trim()) return 'El nombre es requerido';
+    const existing = findByName(req.db, name);
+    if (existing && existing.id !== currentId) return 'Ya existe un departamento con ese nombre';
+  }
+  if (head_id !== undefined && head_id !== null && !req.db.getById('users', head_id)) {
+    return 'Responsable no encontrado';
+  }
+  return null;
+};
+
+// GET / - Departamentos de la organizacion
+router.get('/', (req, res) => {
+  try {
+    const departments = req.db.sortBy(req.db.getAll('departments'), 'name', 'asc')
+      .map(department => describe(req, department));
+
+    res.json({
+      success: true,
+      data: { departments }
+    });
+  } catch (error) {
+    console.error('Error al listar departamentos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /:id - Departamento; los miembros solo con users:read:all o departments:manage
+router.get('/:id', (req, res) => {
+  try {
+    const department = req.db.getById('departments', req.params.id);
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Departamento no encontrado'
+      });
+    }
+
+    const canSeeMembers = can(req.user, 'users:read:all') || can(req.user, 'departments:manage');
+    const members = canSeeMembers
+      ? req.db.where('users', { department_id: department.id })
+        .map(({ id, username, first_name, last_name, role }) => ({ id, username, first_name, last_name, role }))
+      : undefined;
+
+    res.json({
+      success: true,
+      data: { department: { ...describe(req, department), members } }
+    });
+  } catch (error) {
+    console.error('Error al obtener departamento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST / - Crear un departamento ({ name, description, head_id })
+router.post('/', requirePermission('departments:manage'), (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { name, description, head_id = null } = req.body;
+
+    const invalid = checkDepartment(req, { name: name === undefined ? '' : name, head_id });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const department = req.db.insert('departments', {
+      name: String(name).trim(),
+      description: description || null,
+      head_id,
+      created_by: userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Departamento creado',
+      data: { department: describe(req, department) }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al crear departamento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// PUT /:id - Editar nombre, descripcion o responsable
+router.put('/:id', requirePermission('departments:manage'), (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { name, description, head_id } = req.body;
+    const department = req.db.getById('departments', req.params.id);
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Departamento no encontrado'
+      });
+    }
+
+    const invalid = checkDepartment(req, { name, head_id }, department.id);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const changes = {};
+    if (name !== undefined) changes.name = String(name).trim();
+    if (description !== undefined) changes.description = description;
+    if (head_id !== undefined) changes.head_id = head_id;
+
+    // Al renombrar, los miembros conservan el nombre nuevo en users.department
+    const updated = req.db.transaction(tx => {
+      const updated = tx.update('departments', department.id, changes, { actor: userId });
+      if (changes.name && changes.name !== department.name) {
+        tx.where('users', { department_id: department.id })
+          .forEach(user => tx.update('users', user.id, assignment(updated), { actor: userId }));
+      }
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: 'Departamento actualizado',
+      data: { department: describe(req, updated) }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al actualizar departamento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /:id - Eliminar un departamento; sus miembros quedan sin departamento
+router.delete('/:id', requirePermission('departments:manage'), (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const department = req.db.getById('departments', req.params.id);
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Departamento no encontrado'
+      });
+    }
+
+    const members = req.db.where('users', { department_id: department.id }, { withDeleted: true });
+
+    req.db.transaction(tx => {
+      members.forEach(user => tx.update('users', user.id, assignment(null), { actor: userId }));
+      tx.delete('departments', department.id, { actor: userId });
+    });
+
+    res.json({
+      success: true,
+      message: `Departamento eliminado (${members.length} miembro(s) sin departamento)`
+    });
+  } catch (error) {
+    console.error('Error al eliminar departamento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /:id/members - Agregar usuarios ({ user_ids }). Dejan su departamento anterior.
+router.post('/:id/members', requirePermission('departments:manage'), (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { user_ids } = req.body;
+    const department = req.db.getById('departments', req.params.id);
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Departamento no encontrado'
+      });
+    }
+
+    if (!Array.isArray(user_ids) || user_ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'user_ids debe ser una lista de usuarios'
+      });
+    }
+
+    const users = user_ids.map(id => req.db.getById('users', id));
+    if (users.some(user => !user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Algun usuario no existe'
+      });
+    }
+
+    req.db.transaction(tx => {
+      users
+        .filter(user => user.department_id !== department.id)
+        .forEach(user => tx.update('users', user.id, assignment(department), { actor: userId }));
+    });
+
+    res.json({
+      success: true,
+      message: 'Miembros agregados',
+      data: { department: describe(req, department) }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al agregar miembros:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /:id/members/:userId - Quitar a un usuario del departamento
+router.delete('/:id/members/:userId', requirePermission('departments:manage'), (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const department = req.db.getById('departments', req.params.id);
+    const member = req.db.getById('users', req.params.userId);
+
+    if (!department || !member || member.department_id !== department.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'El usuario no pertenece a este departamento'
+      });
+    }
+
+    req.db.update('users', member.id, assignment(null), { actor: userId });
+
+    res.json({
+      success: true,
+      message: 'Usuario quitado del departamento',
+      data: { department: describe(req, department) }
+    });
+  } catch (error) {
+    console.error('Error al quitar miembro:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { authenticateToken } = require('../middleware/auth');
+const { handleValidationError } = require('../middleware/errors');
+const { can } = require('../lib/permissions');
+const { scopeUserIds, inScope } = require('../lib/teams');
+
+// Aplicar autenticacion a todas las rutas
+router.use(authenticateToken);
+
+// Incidentes y permisos tambien los ve el responsable del autor (lib/teams.js)
+const ownOrTeam = (resource) => (req, userId, record) =>
+  record.user_id === userId || inScope(scopeUserIds(req, resource), record.user_id);
+
+// Quien puede ver el historial de cada recurso (mismas reglas que su GET)
+const canView = {
+  tasks: (req, userId, record) => record.user_id === userId || can(req.user, 'tasks:read:all'),
+  notes: (req, userId, record) => record.user_id === userId || can(req.user, 'notes:read:all'),
+  incidents: ownOrTeam('incidents'),
+  permissions: ownOrTeam('permissions'),
+  announcements: (req) => can(req.user, 'announcements:history'),
+  users: (req, userId, record) => record.id === userId || can(req.user, 'users:read:all'),
+  roles: (req) => can(req.user, 'roles:manage'),
+  departments: (req) => can(req.user, 'departments:manage')
+};
+
+// GET /api/:resource/:id/history - Historial de cambios de un registro
+router.get('/', (req, res) => {
+  try {
+    const { resource, id } = req.params;
+    const userId = req.user.id || req.user.userId;
+    const { limit = 50, offset = 0 } = req.query;
+
+    if (!req.db.revisionTables.includes(resource)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ruta no encontrada'
+      });
+    }
+
+    // Tambien se puede consultar el historial de registros en la papelera
+    const record = req.db.getById(resource, id, { withDeleted: true });
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registro no encontrado'
+      });
+    }
+
+    if (!canView[resource](req, userId, record)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para ver este historial'
+      });
+    }
+
+    // Agregar el nombre de quien hizo cada cambio
+    const users = req.db.getAll('users', { withDeleted: true });
+    const revisions = req.db.history(resource, record.id).map(revision => {
+      const actor = revision.actor_id ? users.find(u => u.id === revision.actor_id) : null;
+      return {
+        ...revision,
+        actor_username: actor ? actor.username : null
+      };
+    });
+
+    const { items, pagination } = req.db.paginate(revisions, { limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        revisions: items,
+        pagination
+      }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al obtener historial:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../database/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { can } = require('../lib/permissions');
+const { scopeUserIds, inScope } = require('../lib/teams');
+const { handleValidationError } = require('../middleware/errors');
 
 // Aplicar autenticacion a todas las rutas
 router.use(authenticateToken);
@@ -11,14 +13,11 @@ router.get('/', (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
     const { status, category } = req.query;
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'supervisor';
 
-    let incidents = db.getAll('incidents');
-
-    // Si no es admin, solo ver sus propios incidentes
-    if (!isAdmin) {
-      incidents = incidents.filter(i => i.user_id === userId);
-    }
+    // Sus propios incidentes, los asignados a el y los que puede ver (todos o los de su equipo)
+    const scope = scopeUserIds(req, 'incidents');
+    let incidents = req.db.getAll('incidents')
+      .filter(i => i.user_id === userId || i.assigned_to === userId || inScope(scope, i.user_id));
 
     // Filtrar por status
     if (status) {
@@ -34,14 +33,16 @@ router.get('/', (req, res) => {
     incidents.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
 
     // Agregar info de usuarios (si tenemos acceso)
-    const users = db.getAll('users');
+    const users = req.db.getAll('users');
     incidents = incidents.map(i => {
       const reporter = users.find(u => u.id === i.user_id);
       const resolver = i.resolved_by ? users.find(u => u.id === i.resolved_by) : null;
+      const assignee = i.assigned_to ? users.find(u => u.id === i.assigned_to) : null;
       return {
         ...i,
         reported_by: reporter ? reporter.username : 'Unknown',
-        resolved_by_username: resolver ? resolver.username : null
+        resolved_by_username: resolver ? resolver.username : null,
+        assigned_to_username: assignee ? assignee.username : null
       };
     });
 
@@ -77,7 +78,7 @@ router.post('/', (req, res) => {
     const incidentCategory = validCategories.includes(category) ? category : 'general';
     const incidentPriority = validPriorities.includes(priority) ? priority : 'medium';
 
-    const newIncident = db.insert('incidents', {
+    const newIncident = req.db.insert('incidents', {
       user_id: userId,
       title,
       description,
@@ -87,7 +88,7 @@ router.post('/', (req, res) => {
     });
 
     // Agregar info del usuario que reporta
-    const users = db.getAll('users');
+    const users = req.db.getAll('users');
     const reporter = users.find(u => u.id === userId);
 
     res.status(201).json({
@@ -99,6 +100,7 @@ router.post('/', (req, res) => {
       }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error al reportar incidente:', error);
     res.status(500).json({
       success: false,
@@ -113,10 +115,9 @@ router.put('/:id/status', (req, res) => {
     const { id } = req.params;
     const userId = req.user.id || req.user.userId;
     const { status, resolution_notes } = req.body;
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'supervisor';
 
     // Verificar que el incidente existe
-    const existingIncident = db.getById('incidents', id);
+    const existingIncident = req.db.getById('incidents', id);
 
     if (!existingIncident) {
       return res.status(404).json({
@@ -125,8 +126,13 @@ router.put('/:id/status', (req, res) => {
       });
     }
 
-    // Solo admin/supervisor puede cambiar estado, o el usuario puede cancelar su propio incidente
-    if (!isAdmin && existingIncident.user_id !== userId) {
+    // incidents:manage solo sirve para los incidentes que puede ver.
+    // Quien tiene el incidente asignado lo gestiona igual que un responsable.
+    const canManage = existingIncident.assigned_to === userId || (can(req.user, 'incidents:manage') &&
+      inScope(scopeUserIds(req, 'incidents'), existingIncident.user_id));
+
+    // Con incidents:manage se cambia cualquier estado; el usuario puede cancelar su propio incidente
+    if (!canManage && existingIncident.user_id !== userId) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para modificar este incidente'
@@ -141,8 +147,8 @@ router.put('/:id/status', (req, res) => {
       });
     }
 
-    // Si no es admin, solo puede poner en 'open' o 'closed'
-    if (!isAdmin && !['open', 'closed'].includes(status)) {
+    // Sin incidents:manage, solo puede poner en 'open' o 'closed'
+    if (!canManage && !['open', 'closed'].includes(status)) {
       return res.status(403).json({
         success: false,
         message: 'Solo puedes abrir o cerrar tu propio incidente'
@@ -160,12 +166,13 @@ router.put('/:id/status', (req, res) => {
       updates.resolved_by = userId;
     }
 
-    const updatedIncident = db.update('incidents', id, updates);
+    const updatedIncident = req.db.update('incidents', id, updates, { actor: userId });
 
     // Agregar info de usuarios
-    const users = db.getAll('users');
+    const users = req.db.getAll('users');
     const reporter = users.find(u => u.id === updatedIncident.user_id);
     const resolver = updatedIncident.resolved_by ? users.find(u => u.id === updatedIncident.resolved_by) : null;
+    const assignee = updatedIncident.assigned_to ? users.find(u => u.id === updatedIncident.assigned_to) : null;
 
     res.json({
       success: true,
@@ -173,10 +180,12 @@ router.put('/:id/status', (req, res) => {
       data: {
         ...updatedIncident,
         reported_by: reporter ? reporter.username : 'Unknown',
-        resolved_by_username: resolver ? resolver.username : null
+        resolved_by_username: resolver ? resolver.username : null,
+        assigned_to_username: assignee ? assignee.username : null
       }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error al actualizar estado del incidente:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationError } = require('../middleware/errors');
+const { getRole, canGrantRole } = require('../lib/permissions');
+const invitations = require('../lib/invitations');
+const { resolveDepartment } = require('../lib/departments');
+
+// Invitaciones para sumar usuarios a la organizacion (reemplazan al registro abierto).
+// El invitado la acepta con POST /api/auth/accept-invitation.
+router.use(authenticateToken);
+router.use(requirePermission('users:manage'));
+
+// GET / - Invitaciones de la organizacion (?status=pending|accepted|revoked|expired|all, pending por defecto)
+router.get('/', (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const users = req.db.getAll('users', { withDeleted: true });
+    const list = req.db.sortBy(req.db.getAll('invitations'), 'id', 'desc')
+      .map(invitations.publicInvitation)
+      .filter(invitation => status === 'all' || invitation.status === status)
+      .map(invitation => {
+        const inviter = users.find(u => u.id === invitation.invited_by);
+        return { ...invitation, invited_by_username: inviter ? inviter.username : null };
+      });
+
+    res.json({
+      success: true,
+      data: { invitations: list }
+    });
+  } catch (error) {
+    console.error('Error al listar invitaciones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST / - Invitar ({ email, role, department_id o department }). Si hay email se envia el enlace;
+// el token tambien se devuelve (una sola vez) para compartirlo por otro medio.
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { email, role = 'employee' } = req.body;
+
+    if (!getRole(req.db.orgId, role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rol invalido'
+      });
+    }
+
+    // Solo se invita con roles cuyos permisos uno ya tiene
+    if (!canGrantRole(req.user, req.db.orgId, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para asignar este rol'
+      });
+    }
+
+    const { changes: departmentFields, error: invalidDepartment } = resolveDepartment(req.db, req.body);
+    if (invalidDepartment) {
+      return res.status(400).json({
+        success: false,
+        message: invalidDepartment
+      });
+    }
+
+    if (email) {
+      if (db.findOne('users', u => u.email === email, { withDeleted: true })) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ya existe un usuario con ese email'
+        });
+      }
+
+      const pending = req.db.where('invitations', { email })
+        .some(invitation => invitations.status(invitation) === 'pending');
+      if (pending) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ya hay una invitacion pendiente para ese email'
+        });
+      }
+    }
+
+    const { token, url, invitation } = invitations.createInvitation(req.db, {
+      email,
+      role,
+      ...departmentFields,
+      invitedBy: userId
+    });
+
+    if (email) {
+      await invitations.sendInvitationMail(invitation, url, req.user);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: email ? 'Invitacion enviada' : 'Invitacion creada',
+      data: { invitation: invitations.publicInvitation(invitation), token, url }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al crear invitacion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /:id - Revocar una invitacion pendiente
+router.delete('/:id', (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const invitation = req.db.getById('invitations', req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitacion no encontrada'
+      });
+    }
+
+    if (invitations.status(invitation) !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Solo se pueden revocar invitaciones pendientes'
+      });
+    }
+
+    const revoked = req.db.update('invitations', invitation.id, {
+      revoked_at: new Date().toISOString(),
+      revoked_by: userId
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitacion revocada',
+      data: { invitation: invitations.publicInvitation(revoked) }
+    });
+  } catch (error) {
+    console.error('Error al revocar invitacion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
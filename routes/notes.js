@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../database/db');
 const { authenticateToken } = require('../middleware/auth');
+const { handleValidationError } = require('../middleware/errors');
 
 // Aplicar autenticacion a todas las rutas
 router.use(authenticateToken);
@@ -12,7 +12,7 @@ router.get('/', (req, res) => {
     const userId = req.user.id || req.user.userId;
     const { pinned } = req.query;
 
-    let notes = db.find('notes', n => n.user_id === userId);
+    let notes = req.db.find('notes', n => n.user_id === userId);
 
     // Filtrar por pinned
     if (pinned !== undefined) {
@@ -54,7 +54,7 @@ router.post('/', (req, res) => {
       });
     }
 
-    const newNote = db.insert('notes', {
+    const newNote = req.db.insert('notes', {
       user_id: userId,
       title,
       content: content || null,
@@ -68,6 +68,7 @@ router.post('/', (req, res) => {
       data: newNote
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error al crear nota:', error);
     res.status(500).json({
       success: false,
@@ -79,12 +80,12 @@ router.post('/', (req, res) => {
 // PUT /:id - Actualizar nota
 router.put('/:id', (req, res) => {
   try {
-    const { id } = req.params;
+    const id = req.db.parseId(req.params.id);
     const userId = req.user.id || req.user.userId;
     const { title, content, color, is_pinned } = req.body;
 
     // Verificar que la nota existe y pertenece al usuario
-    const existingNote = db.findOne('notes', n => n.id === id && n.user_id === userId);
+    const existingNote = req.db.findOne('notes', n => n.id === id && n.user_id === userId);
 
     if (!existingNote) {
       return res.status(404).json({
@@ -101,7 +102,7 @@ router.put('/:id', (req, res) => {
       updated_at: new Date().toISOString()
     };
 
-    const updatedNote = db.update('notes', id, updates);
+    const updatedNote = req.db.update('notes', id, updates, { actor: userId });
 
     res.json({
       success: true,
@@ -109,6 +110,7 @@ router.put('/:id', (req, res) => {
       data: updatedNote
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error al actualizar nota:', error);
     res.status(500).json({
       success: false,
@@ -120,11 +122,11 @@ router.put('/:id', (req, res) => {
 // DELETE /:id - Eliminar nota
 router.delete('/:id', (req, res) => {
   try {
-    const { id } = req.params;
+    const id = req.db.parseId(req.params.id);
     const userId = req.user.id || req.user.userId;
 
     // Verificar que la nota existe y pertenece al usuario
-    const existingNote = db.findOne('notes', n => n.id === id && n.user_id === userId);
+    const existingNote = req.db.findOne('notes', n => n.id === id && n.user_id === userId);
 
     if (!existingNote) {
       return res.status(404).json({
@@ -133,7 +135,7 @@ router.delete('/:id', (req, res) => {
       });
     }
 
-    db.delete('notes', id);
+    req.db.delete('notes', id, { actor: userId });
 
     res.json({
       success: true,
@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken, requireSession, blockImpersonation, requirePermission } = require('../middleware/auth');
+const { signAccessToken } = require('../lib/sessions');
+const { handleValidationError } = require('../middleware/errors');
+
+// Aplicar autenticacion a todas las rutas
+router.use(authenticateToken);
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// GET /current - Organizacion en la que se esta trabajando
+router.get('/current', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { organization: db.getById('organizations', req.user.org_id) }
+    });
+  } catch (error) {
+    console.error('Error al obtener organizacion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET / - Listar organizaciones con su cantidad de usuarios (super_admin)
+router.get('/', requirePermission('organizations:manage'), (req, res) => {
+  try {
+    const organizations = db.getAll('organizations').map(org => ({
+      ...org,
+      users: db.where('users', { org_id: org.id }).length
+    }));
+
+    res.json({
+      success: true,
+      data: { organizations }
+    });
+  } catch (error) {
+    console.error('Error al listar organizaciones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST / - Crear organizacion (super_admin)
+router.post('/', requirePermission('organizations:manage'), (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { name, slug } = req.body;
+
+    if (!name || !slug) {
+      return res.status(400).json({
+        success: false,
+        message: 'El nombre y el slug son requeridos'
+      });
+    }
+
+    if (!SLUG_PATTERN.test(slug)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El slug solo puede tener minusculas, numeros y guiones'
+      });
+    }
+
+    if (db.findOne('organizations', o => o.slug === slug)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe una organizacion con ese slug'
+      });
+    }
+
+    const organization = db.insert('organizations', {
+      name,
+      slug,
+      is_active: true,
+      created_by: userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Organizacion creada exitosamente',
+      data: { organization }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al crear organizacion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// PUT /:id - Renombrar o activar/desactivar una organizacion (super_admin)
+router.put('/:id', requirePermission('organizations:manage'), (req, res) => {
+  try {
+    const { name, is_active } = req.body;
+
+    if (!db.getById('organizations', req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organizacion no encontrada'
+      });
+    }
+
+    const organization = db.update('organizations', req.params.id, { name, is_active });
+
+    res.json({
+      success: true,
+      message: 'Organizacion actualizada',
+      data: { organization }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al actualizar organizacion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /:id/switch - Cambiar de organizacion (super_admin).
+// La sesion pasa a esa organizacion y se devuelve un token de acceso nuevo;
+// el usuario no cambia de organizacion.
+router.post('/:id/switch', requireSession, blockImpersonation, requirePermission('organizations:manage'), (req, res) => {
+  try {
+    const organization = db.getById('organizations', req.params.id);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organizacion no encontrada'
+      });
+    }
+
+    const user = db.getById('users', req.user.id || req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    const session = db.update('sessions', req.session.id, { org_id: organization.id });
+
+    console.log(`El usuario ${user.username} cambio a la organizacion ${organization.slug}`);
+
+    res.json({
+      success: true,
+      message: `Trabajando en ${organization.name}`,
+      data: {
+        token: signAccessToken(user, session),
+        organization
+      }
+    });
+  } catch (error) {
+    console.error('Error al cambiar de organizacion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
-const db = require('../database/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, blockImpersonation, requirePermission } = require('../middleware/auth');
+const { scopeUserIds, inScope } = require('../lib/teams');
+const { departmentFilter } = require('../lib/departments');
+const { handleValidationError } = require('../middleware/errors');
 
 const router = express.Router();
 
@@ -23,13 +25,25 @@ const calculateDays = (from, to) => {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1;
 };
 
+// Listar las fechas (YYYY-MM-DD) entre dos fechas, inclusive
+const listDates = (from, to) => {
+  const dates = [];
+  const current = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+  while (current <= end) {
+    dates.push(current.toISOString().split('T')[0]);
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+  return dates;
+};
+
 // GET /api/permissions - Obtener permisos del usuario
 router.get('/', authenticateToken, (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
     const { status, limit = 50, offset = 0 } = req.query;
 
-    let permissions = db.find('permissions', p => p.user_id === userId);
+    let permissions = req.db.find('permissions', p => p.user_id === userId);
 
     // Filtrar por status
     if (status) {
@@ -58,12 +72,16 @@ router.get('/', authenticateToken, (req, res) => {
   }
 });
 
-// GET /api/permissions/all - Obtener todos los permisos (admin/supervisor)
-router.get('/all', authenticateToken, requireRole('admin', 'supervisor'), (req, res) => {
+// GET /api/permissions/all - Obtener todos los permisos (los de su equipo con permissions:read:team).
+// ?department_id= filtra por departamento
+router.get('/all', authenticateToken, requirePermission('permissions:read:all', 'permissions:read:team'), (req, res) => {
   try {
     const { status, limit = 100, offset = 0 } = req.query;
+    const scope = scopeUserIds(req, 'permissions');
+    const inDepartment = departmentFilter(req);
 
-    let permissions = db.getAll('permissions');
+    let permissions = req.db.getAll('permissions')
+      .filter(p => inScope(scope, p.user_id) && inScope(inDepartment, p.user_id));
 
     // Filtrar por status
     if (status) {
@@ -74,7 +92,7 @@ router.get('/all', authenticateToken, requireRole('admin', 'supervisor'), (req,
     permissions.sort((a, b) => new Date(b.date_requested || b.created_at) - new Date(a.date_requested || a.created_at));
 
     // Agregar info de usuarios
-    const users = db.getAll('users');
+    const users = req.db.getAll('users');
     permissions = permissions.map(p => {
       const user = users.find(u => u.id === p.user_id);
       const approver = p.approved_by ? users.find(u => u.id === p.approved_by) : null;
@@ -99,6 +117,7 @@ router.get('/all', authenticateToken, requireRole('admin', 'supervisor'), (req,
       }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error obteniendo permisos:', error);
     res.status(500).json({
       success: false,
@@ -108,15 +127,16 @@ router.get('/all', authenticateToken, requireRole('admin', 'supervisor'), (req,
 });
 
 // GET /api/permissions/pending - Permisos pendientes de aprobar
-router.get('/pending', authenticateToken, requireRole('admin', 'supervisor'), (req, res) => {
+router.get('/pending', authenticateToken, requirePermission('permissions:read:all', 'permissions:read:team'), (req, res) => {
   try {
-    let permissions = db.find('permissions', p => p.status === 'pending');
+    const scope = scopeUserIds(req, 'permissions');
+    let permissions = req.db.find('permissions', p => p.status === 'pending' && inScope(scope, p.user_id));
 
     // Ordenar por fecha de solicitud ascendente (los mas viejos primero)
     permissions.sort((a, b) => new Date(a.date_requested || a.created_at) - new Date(b.date_requested || b.created_at));
 
     // Agregar info de usuarios
-    const users = db.getAll('users');
+    const users = req.db.getAll('users');
     permissions = permissions.map(p => {
       const user = users.find(u => u.id === p.user_id);
       return {
@@ -145,9 +165,7 @@ router.get('/pending', authenticateToken, requireRole('admin', 'supervisor'), (r
 router.get('/:id', authenticateToken, (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'supervisor';
-
-    const permission = db.getById('permissions', req.params.id);
+    const permission = req.db.getById('permissions', req.params.id);
 
     if (!permission) {
       return res.status(404).json({
@@ -157,23 +175,24 @@ router.get('/:id', authenticateToken, (req, res) => {
     }
 
     // Verificar permisos de acceso
-    if (!isAdmin && permission.user_id !== userId) {
+    if (permission.user_id !== userId && !inScope(scopeUserIds(req, 'permissions'), permission.user_id)) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permiso para ver esta solicitud'
       });
     }
 
-    // Agregar info del aprobador
-    if (permission.approved_by) {
-      const users = db.getAll('users');
-      const approver = users.find(u => u.id === permission.approved_by);
-      permission.approved_by_username = approver ? approver.username : null;
-    }
+    // Agregar info del aprobador (sin modificar el registro guardado)
+    const approver = permission.approved_by ? req.db.getById('users', permission.approved_by) : null;
 
     res.json({
       success: true,
-      data: { permission }
+      data: {
+        permission: {
+          ...permission,
+          ...(permission.approved_by && { approved_by_username: approver ? approver.username : null })
+        }
+      }
     });
   } catch (error) {
     console.error('Error obteniendo permiso:', error);
@@ -213,7 +232,7 @@ router.post('/', authenticateToken, (req, res) => {
 
     const daysRequested = calculateDays(date_from, date_to);
 
-    const permission = db.insert('permissions', {
+    const permission = req.db.insert('permissions', {
       user_id: userId,
       type,
       reason: reason || null,
@@ -230,6 +249,7 @@ router.post('/', authenticateToken, (req, res) => {
       data: { permission }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error creando permiso:', error);
     res.status(500).json({
       success: false,
@@ -239,10 +259,10 @@ router.post('/', authenticateToken, (req, res) => {
 });
 
 // PUT /api/permissions/:id/approve - Aprobar permiso
-router.put('/:id/approve', authenticateToken, requireRole('admin', 'supervisor'), (req, res) => {
+router.put('/:id/approve', authenticateToken, blockImpersonation, requirePermission('permissions:approve'), (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
-    const permission = db.getById('permissions', req.params.id);
+    const permission = req.db.getById('permissions', req.params.id);
 
     if (!permission) {
       return res.status(404).json({
@@ -251,6 +271,14 @@ router.put('/:id/approve', authenticateToken, requireRole('admin', 'supervisor')
       });
     }
 
+    // Solo se procesan solicitudes de usuarios que uno puede ver (su equipo si es supervisor)
+    if (!inScope(scopeUserIds(req, 'permissions'), permission.user_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No puedes procesar solicitudes de usuarios fuera de tu equipo'
+      });
+    }
+
     if (permission.status !== 'pending') {
       return res.status(400).json({
         success: false,
@@ -258,18 +286,35 @@ router.put('/:id/approve', authenticateToken, requireRole('admin', 'supervisor')
       });
     }
 
-    const updated = db.update('permissions', req.params.id, {
-      status: 'approved',
-      approved_by: userId,
-      approved_at: new Date().toISOString()
+    // Aprobar y registrar los dias de permiso en la asistencia en un solo paso
+    const { updated, attendance } = req.db.transaction(tx => {
+      const updated = tx.update('permissions', permission.id, {
+        status: 'approved',
+        approved_by: userId,
+        approved_at: new Date().toISOString()
+      }, { actor: userId });
+
+      // Los dias que ya tienen registro de asistencia no se tocan
+      const attendance = listDates(permission.date_from, permission.date_to)
+        .filter(date => tx.where('attendance', { user_id: permission.user_id, date }).length === 0)
+        .map(date => tx.insert('attendance', {
+          user_id: permission.user_id,
+          date,
+          status: 'on_leave',
+          permission_id: permission.id,
+          notes: PERMISSION_TYPES[permission.type] || permission.type
+        }));
+
+      return { updated, attendance };
     });
 
     res.json({
       success: true,
       message: 'Permiso aprobado',
-      data: { permission: updated }
+      data: { permission: updated, attendance }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error aprobando permiso:', error);
     res.status(500).json({
       success: false,
@@ -279,12 +324,12 @@ router.put('/:id/approve', authenticateToken, requireRole('admin', 'supervisor')
 });
 
 // PUT /api/permissions/:id/reject - Rechazar permiso
-router.put('/:id/reject', authenticateToken, requireRole('admin', 'supervisor'), (req, res) => {
+router.put('/:id/reject', authenticateToken, blockImpersonation, requirePermission('permissions:approve'), (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
     const { rejection_reason } = req.body;
 
-    const permission = db.getById('permissions', req.params.id);
+    const permission = req.db.getById('permissions', req.params.id);
 
     if (!permission) {
       return res.status(404).json({
@@ -293,6 +338,14 @@ router.put('/:id/reject', authenticateToken, requireRole('admin', 'supervisor'),
       });
     }
 
+    // Solo se procesan solicitudes de usuarios que uno puede ver (su equipo si es supervisor)
+    if (!inScope(scopeUserIds(req, 'permissions'), permission.user_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No puedes procesar solicitudes de usuarios fuera de tu equipo'
+      });
+    }
+
     if (permission.status !== 'pending') {
       return res.status(400).json({
         success: false,
@@ -300,12 +353,12 @@ router.put('/:id/reject', authenticateToken, requireRole('admin', 'supervisor'),
       });
     }
 
-    const updated = db.update('permissions', req.params.id, {
+    const updated = req.db.update('permissions', req.params.id, {
       status: 'rejected',
       approved_by: userId,
       approved_at: new Date().toISOString(),
       rejection_reason: rejection_reason || null
-    });
+    }, { actor: userId });
 
     res.json({
       success: true,
@@ -313,6 +366,7 @@ router.put('/:id/reject', authenticateToken, requireRole('admin', 'supervisor'),
       data: { permission: updated }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error rechazando permiso:', error);
     res.status(500).json({
       success: false,
@@ -326,7 +380,7 @@ router.put('/:id/cancel', authenticateToken, (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
 
-    const permission = db.findOne('permissions', p => p.id === req.params.id && p.user_id === userId);
+    const permission = req.db.findOne('permissions', p => p.id === req.db.parseId(req.params.id) && p.user_id === userId);
 
     if (!permission) {
       return res.status(404).json({
@@ -342,9 +396,9 @@ router.put('/:id/cancel', authenticateToken, (req, res) => {
       });
     }
 
-    const updated = db.update('permissions', req.params.id, {
+    const updated = req.db.update('permissions', permission.id, {
       status: 'cancelled'
-    });
+    }, { actor: userId });
 
     res.json({
       success: true,
@@ -352,6 +406,7 @@ router.put('/:id/cancel', authenticateToken, (req, res) => {
       data: { permission: updated }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error cancelando permiso:', error);
     res.status(500).json({
       success: false,
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../database/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { can } = require('../lib/permissions');
+const { scopeUserIds, inScope } = require('../lib/teams');
+const { handleValidationError } = require('../middleware/errors');
 
 // Aplicar autenticacion a todas las rutas
 router.use(authenticateToken);
@@ -20,7 +22,7 @@ router.post('/daily', (req, res) => {
     const reportDate = date || getTodayDate();
 
     // Verificar si ya existe un reporte para hoy
-    const existingReport = db.findOne('daily_reports', r => r.user_id === userId && r.date === reportDate);
+    const existingReport = req.db.findOne('daily_reports', r => r.user_id === userId && r.date === reportDate);
 
     if (existingReport) {
       // Actualizar reporte existente
@@ -34,7 +36,7 @@ router.post('/daily', (req, res) => {
         updated_at: new Date().toISOString()
       };
 
-      const updatedReport = db.update('daily_reports', existingReport.id, updates);
+      const updatedReport = req.db.update('daily_reports', existingReport.id, updates);
 
       return res.json({
         success: true,
@@ -47,7 +49,7 @@ router.post('/daily', (req, res) => {
     const validMoods = ['great', 'good', 'okay', 'bad', 'terrible'];
     const reportMood = validMoods.includes(mood) ? mood : null;
 
-    const newReport = db.insert('daily_reports', {
+    const newReport = req.db.insert('daily_reports', {
       user_id: userId,
       date: reportDate,
       tasks_completed: tasks_completed || null,
@@ -64,6 +66,7 @@ router.post('/daily', (req, res) => {
       data: newReport
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error al crear reporte diario:', error);
     res.status(500).json({
       success: false,
@@ -77,19 +80,23 @@ router.get('/daily', (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
     const { from, to, limit, user_id } = req.query;
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'supervisor';
+    // Con reports:read:all se ven los de todos; con reports:read:team, los de su equipo
+    const scope = scopeUserIds(req, 'reports');
+    const canReadOthers = can(req.user, 'reports:read:team');
+    const visible = (id) => id === userId || inScope(scope, id);
 
     let reports;
 
-    // Si es admin y se especifica user_id, mostrar reportes de ese usuario
-    if (isAdmin && user_id) {
-      reports = db.find('daily_reports', r => r.user_id === user_id);
-    } else if (isAdmin && !user_id) {
-      // Admin sin filtro de user_id ve todos los reportes
-      reports = db.getAll('daily_reports');
+    // Con user_id, mostrar reportes de ese usuario (si lo puede ver)
+    if (canReadOthers && user_id) {
+      const targetId = req.db.parseId(user_id);
+      reports = visible(targetId) ? req.db.where('daily_reports', { user_id: targetId }) : [];
+    } else if (canReadOthers && !user_id) {
+      // Sin filtro de user_id ve todos los reportes que puede ver
+      reports = req.db.find('daily_reports', r => visible(r.user_id));
     } else {
       // Usuario normal solo ve sus propios reportes
-      reports = db.find('daily_reports', r => r.user_id === userId);
+      reports = req.db.find('daily_reports', r => r.user_id === userId);
     }
 
     // Filtrar por fechas
@@ -109,7 +116,7 @@ router.get('/daily', (req, res) => {
     }
 
     // Agregar info de usuarios
-    const users = db.getAll('users');
+    const users = req.db.getAll('users');
     reports = reports.map(r => {
       const user = users.find(u => u.id === r.user_id);
       return {
@@ -139,7 +146,7 @@ router.get('/daily/today', (req, res) => {
     const userId = req.user.id || req.user.userId;
     const today = getTodayDate();
 
-    const report = db.findOne('daily_reports', r => r.user_id === userId && r.date === today);
+    const report = req.db.findOne('daily_reports', r => r.user_id === userId && r.date === today);
 
     if (!report) {
       return res.json({
@@ -176,7 +183,7 @@ router.get('/daily/:date', (req, res) => {
       });
     }
 
-    const report = db.findOne('daily_reports', r => r.user_id === userId && r.date === date);
+    const report = req.db.findOne('daily_reports', r => r.user_id === userId && r.date === date);
 
     if (!report) {
       return res.json({
@@ -199,8 +206,8 @@ router.get('/daily/:date', (req, res) => {
   }
 });
 
-// GET /summary - Resumen de reportes (admin)
-router.get('/summary', requireRole('admin', 'supervisor'), (req, res) => {
+// GET /summary - Resumen de reportes (de su equipo con reports:read:team)
+router.get('/summary', requirePermission('reports:read:all', 'reports:read:team'), (req, res) => {
   try {
     const { from, to } = req.query;
     const today = getTodayDate();
@@ -208,8 +215,10 @@ router.get('/summary', requireRole('admin', 'supervisor'), (req, res) => {
     const dateFrom = from || today;
     const dateTo = to || today;
 
-    const users = db.getAll('users').filter(u => u.role !== 'admin');
-    const reports = db.getAll('daily_reports').filter(r => r.date >= dateFrom && r.date <= dateTo);
+    const scope = scopeUserIds(req, 'reports');
+    const users = req.db.getAll('users')
+      .filter(u => !['super_admin', 'admin'].includes(u.role) && inScope(scope, u.id));
+    const reports = req.db.getAll('daily_reports').filter(r => r.date >= dateFrom && r.date <= dateTo);
 
     // Obtener resumen de reportes por usuario
     const summary = users.map(u => {
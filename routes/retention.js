@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationError } = require('../middleware/errors');
+
+// Politicas de retencion: afectan a todas las organizaciones, solo super_admin
+router.use(authenticateToken);
+router.use(requirePermission('retention:manage'));
+
+// Validar dias y accion (los demas campos los valida el esquema)
+const checkPolicy = ({ days, action }) => {
+  if (days !== undefined && !(parseInt(days) >= 1)) {
+    return 'Los dias deben ser un numero entero mayor a 0';
+  }
+  if (action !== undefined && !db.retentionActions.includes(action)) {
+    return `Accion invalida. Opciones: ${db.retentionActions.join(', ')}`;
+  }
+  return null;
+};
+
+// GET / - Listar politicas y tablas disponibles
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        policies: db.getAll('retention_policies'),
+        tables: Object.keys(db.retentionFields),
+        actions: db.retentionActions
+      }
+    });
+  } catch (error) {
+    console.error('Error al listar politicas de retencion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST / - Crear politica
+router.post('/', (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { table_name, days, action, is_active } = req.body;
+
+    if (!table_name || days === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'La tabla y los dias son requeridos'
+      });
+    }
+
+    if (!db.retentionFields[table_name]) {
+      return res.status(400).json({
+        success: false,
+        message: `Tabla sin soporte de retencion. Opciones: ${Object.keys(db.retentionFields).join(', ')}`
+      });
+    }
+
+    const invalid = checkPolicy({ days, action });
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    if (db.where('retention_policies', { table_name }).length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe una politica para esta tabla'
+      });
+    }
+
+    const policy = db.insert('retention_policies', {
+      table_name,
+      days,
+      action,
+      is_active,
+      created_by: userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Politica creada exitosamente',
+      data: { policy }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al crear politica de retencion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// PUT /:id - Actualizar dias, accion o estado
+router.put('/:id', (req, res) => {
+  try {
+    const { days, action, is_active } = req.body;
+
+    if (!db.getById('retention_policies', req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Politica no encontrada'
+      });
+    }
+
+    const invalid = checkPolicy({ days, action });
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const policy = db.update('retention_policies', req.params.id, { days, action, is_active });
+
+    res.json({
+      success: true,
+      message: 'Politica actualizada',
+      data: { policy }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al actualizar politica de retencion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /:id - Eliminar politica
+router.delete('/:id', (req, res) => {
+  try {
+    if (!db.delete('retention_policies', req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Politica no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Politica eliminada'
+    });
+  } catch (error) {
+    console.error('Error al eliminar politica de retencion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Aplicar una politica (dryRun: solo contar los registros afectados)
+const runPolicy = (dryRun) => (req, res) => {
+  try {
+    const policy = db.getById('retention_policies', req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Politica no encontrada'
+      });
+    }
+
+    const result = db.applyRetention(policy, { dryRun });
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Se eliminarian ${result.matched} registros de ${policy.table_name}`
+        : `Se ${policy.action === 'archive' ? 'archivaron' : 'eliminaron'} ${result.matched} registros de ${policy.table_name}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error al aplicar politica de retencion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// POST /:id/dry-run - Contar los registros que se eliminarian, sin tocarlos
+router.post('/:id/dry-run', runPolicy(true));
+
+// POST /:id/run - Aplicar la politica ahora
+router.post('/:id/run', runPolicy(false));
+
+module.exports = router;
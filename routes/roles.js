@@ -0,0 +1,226 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationError } = require('../middleware/errors');
+const permissions = require('../lib/permissions');
+
+// Roles de la organizacion: los incluidos (admin, supervisor, employee) se pueden
+// ajustar y se pueden crear otros (ej. "rrhh", "lider-equipo") sin tocar codigo.
+router.use(authenticateToken);
+
+// Validar la lista de permisos de un rol. Devuelve el mensaje de error o null.
+// No se pueden dar permisos de plataforma ni permisos que uno no tiene.
+const checkPermissions = (req, list) => {
+  if (!Array.isArray(list)) return 'permissions debe ser una lista';
+
+  const unknown = list.filter(p => !permissions.PERMISSIONS[p]);
+  if (unknown.length > 0) return `Permisos desconocidos: ${unknown.join(', ')}`;
+
+  const platform = list.filter(p => permissions.PLATFORM_PERMISSIONS.includes(p));
+  if (platform.length > 0) return `Permisos reservados para super_admin: ${platform.join(', ')}`;
+
+  const missing = list.filter(p => !permissions.can(req.user, p));
+  if (missing.length > 0) return `No puedes otorgar permisos que no tienes: ${missing.join(', ')}`;
+
+  return null;
+};
+
+// GET / - Roles de la organizacion y catalogo de permisos
+router.get('/', requirePermission('roles:manage', 'users:manage'), (req, res) => {
+  try {
+    const catalog = Object.entries(permissions.PERMISSIONS)
+      .filter(([name]) => !permissions.PLATFORM_PERMISSIONS.includes(name))
+      .map(([name, description]) => ({ name, description }));
+
+    res.json({
+      success: true,
+      data: {
+        roles: permissions.listRoles(req.db.orgId),
+        permissions: catalog
+      }
+    });
+  } catch (error) {
+    console.error('Error al listar roles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST / - Crear un rol propio
+router.post('/', requirePermission('roles:manage'), (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { name, description, permissions: list = [] } = req.body;
+
+    if (!name || !permissions.ROLE_NAME_PATTERN.test(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El nombre es requerido y solo puede tener minusculas, numeros, guiones y guiones bajos'
+      });
+    }
+
+    if (permissions.getRole(req.db.orgId, name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe un rol con ese nombre'
+      });
+    }
+
+    const invalid = checkPermissions(req, list);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    req.db.insert('roles', {
+      name,
+      description: description || null,
+      permissions: list,
+      created_by: userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rol creado exitosamente',
+      data: { role: permissions.getRole(req.db.orgId, name) }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al crear rol:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// PUT /:name - Cambiar descripcion o permisos de un rol (incluido o propio)
+router.put('/:name', requirePermission('roles:manage'), (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { name } = req.params;
+    const { description, permissions: list } = req.body;
+    const role = permissions.getRole(req.db.orgId, name);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rol no encontrado'
+      });
+    }
+
+    if (name === 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'El rol super_admin no se puede modificar'
+      });
+    }
+
+    // No se puede editar un rol con mas permisos que los propios
+    if (!permissions.canGrantRole(req.user, req.db.orgId, name)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para modificar este rol'
+      });
+    }
+
+    if (list !== undefined) {
+      const invalid = checkPermissions(req, list);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: invalid
+        });
+      }
+
+      // Evitar quedarse sin acceso a la gestion de roles
+      if (name === req.user.role && !list.includes('roles:manage')) {
+        return res.status(400).json({
+          success: false,
+          message: 'No puedes quitar roles:manage a tu propio rol'
+        });
+      }
+    }
+
+    const changes = {};
+    if (description !== undefined) changes.description = description;
+    if (list !== undefined) changes.permissions = list;
+
+    // Los roles incluidos se guardan la primera vez que se modifican
+    if (role.id) {
+      req.db.update('roles', role.id, changes, { actor: userId });
+    } else {
+      req.db.insert('roles', {
+        name,
+        description: role.description,
+        permissions: role.permissions,
+        created_by: userId,
+        ...changes
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rol actualizado',
+      data: { role: permissions.getRole(req.db.orgId, name) }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al actualizar rol:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /:name - Eliminar un rol propio (sin usuarios) o volver un rol incluido a sus permisos originales
+router.delete('/:name', requirePermission('roles:manage'), (req, res) => {
+  try {
+    const { name } = req.params;
+    const role = permissions.getRole(req.db.orgId, name);
+
+    if (!role || !role.id) {
+      return res.status(404).json({
+        success: false,
+        message: role ? 'El rol no tiene cambios' : 'Rol no encontrado'
+      });
+    }
+
+    if (!permissions.canGrantRole(req.user, req.db.orgId, name)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para modificar este rol'
+      });
+    }
+
+    if (!role.built_in) {
+      const users = req.db.where('users', { role: name }, { withDeleted: true });
+      if (users.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `El rol esta asignado a ${users.length} usuario(s)`
+        });
+      }
+    }
+
+    req.db.delete('roles', role.id);
+
+    res.json({
+      success: true,
+      message: role.built_in ? 'Rol restablecido a sus permisos originales' : 'Rol eliminado'
+    });
+  } catch (error) {
+    console.error('Error al eliminar rol:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationError } = require('../middleware/errors');
+const { can } = require('../lib/permissions');
+const loginThrottle = require('../lib/login-throttle');
+
+// Seguridad del login y suplantaciones. Con security:manage se ven las cuentas de la
+// organizacion; los bloqueos y eventos por IP (sin organizacion) piden security:global.
+router.use(authenticateToken);
+router.use(requirePermission('security:manage'));
+
+const isGlobal = (req) => can(req.user, 'security:global');
+
+// Bloqueo visible para quien consulta
+const canSee = (req, throttle) => throttle.scope === 'ip'
+  ? isGlobal(req)
+  : Boolean(req.db.getById('users', throttle.user_id, { withDeleted: true }));
+
+// Agregar el nombre de usuario a bloqueos y eventos
+const withUsername = (users, record) => {
+  const user = record.user_id ? users.find(u => u.id === record.user_id) : null;
+  return { ...record, username: user ? user.username : null };
+};
+
+// GET /locks - Cuentas (e IPs) bloqueadas en este momento
+router.get('/locks', (req, res) => {
+  try {
+    const users = req.db.getAll('users', { withDeleted: true });
+    const locks = loginThrottle.activeLocks()
+      .filter(throttle => canSee(req, throttle))
+      .map(throttle => withUsername(users, throttle));
+
+    res.json({
+      success: true,
+      data: {
+        locks,
+        policy: loginThrottle.config
+      }
+    });
+  } catch (error) {
+    console.error('Error al listar bloqueos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /locks/:id/unlock - Desbloquear una cuenta o IP
+router.post('/locks/:id/unlock', (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const throttle = db.getById('login_throttles', req.params.id);
+
+    if (!throttle || !loginThrottle.isLocked(throttle) || !canSee(req, throttle)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bloqueo no encontrado'
+      });
+    }
+
+    loginThrottle.unlock(throttle, { actor: userId });
+
+    res.json({
+      success: true,
+      message: throttle.scope === 'ip' ? `IP ${throttle.key} desbloqueada` : 'Cuenta desbloqueada'
+    });
+  } catch (error) {
+    console.error('Error al desbloquear:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /events - Registro de seguridad (?event=&user_id=&limit=&offset=)
+router.get('/events', (req, res) => {
+  try {
+    const { event, user_id, limit = 50, offset = 0 } = req.query;
+
+    let events = req.db.getAll('security_events');
+    // Los eventos por IP no tienen organizacion
+    if (isGlobal(req)) {
+      events = events.concat(db.where('security_events', { org_id: null }));
+    }
+
+    if (event) events = events.filter(e => e.event === event);
+    if (user_id) events = events.filter(e => e.user_id === db.parseId(user_id));
+
+    const users = req.db.getAll('users', { withDeleted: true });
+    events = req.db.sortBy(events, 'id', 'desc').map(e => withUsername(users, e));
+
+    const { items, pagination } = req.db.paginate(events, { limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        events: items,
+        pagination
+      }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al obtener registro de seguridad:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Sesion de suplantacion con los nombres de ambos usuarios (sin hashes)
+const describeImpersonation = (users, session) => {
+  const user = users.find(u => u.id === session.user_id);
+  const impersonator = users.find(u => u.id === session.impersonator_id);
+  return {
+    id: session.id,
+    user_id: session.user_id,
+    username: user ? user.username : null,
+    impersonator_id: session.impersonator_id,
+    impersonator_username: impersonator ? impersonator.username : null,
+    ip: session.ip,
+    user_agent: session.user_agent,
+    started_at: session.created_at,
+    expires_at: session.expires_at,
+    ended_at: session.revoked_at,
+    active: !session.revoked_at && session.expires_at > new Date().toISOString()
+  };
+};
+
+// Suplantacion de la organizacion actual, o null
+const findImpersonation = (req, id) => {
+  const session = db.getById('sessions', id);
+  return session && session.impersonator_id && session.org_id === req.db.orgId ? session : null;
+};
+
+// GET /impersonations - Suplantaciones en la organizacion (?user_id=&impersonator_id=&limit=&offset=)
+router.get('/impersonations', (req, res) => {
+  try {
+    const { user_id, impersonator_id, limit = 50, offset = 0 } = req.query;
+
+    let sessions = db.find('sessions', s => s.impersonator_id && s.org_id === req.db.orgId);
+    if (user_id) sessions = sessions.filter(s => s.user_id === db.parseId(user_id));
+    if (impersonator_id) sessions = sessions.filter(s => s.impersonator_id === db.parseId(impersonator_id));
+
+    const users = req.db.getAll('users', { withDeleted: true });
+    const actions = req.db.getAll('impersonation_actions');
+    const list = req.db.sortBy(sessions, 'id', 'desc').map(session => ({
+      ...describeImpersonation(users, session),
+      actions: actions.filter(a => a.session_id === session.id).length
+    }));
+
+    const { items, pagination } = req.db.paginate(list, { limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        impersonations: items,
+        pagination
+      }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al listar suplantaciones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /impersonations/:id - Una suplantacion y lo que se modifico durante ella
+router.get('/impersonations/:id', (req, res) => {
+  try {
+    const session = findImpersonation(req, req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Suplantacion no encontrada'
+      });
+    }
+
+    const users = req.db.getAll('users', { withDeleted: true });
+    const actions = req.db.where('impersonation_actions', { session_id: session.id }, { orderBy: 'id', order: 'asc' });
+
+    res.json({
+      success: true,
+      data: {
+        impersonation: describeImpersonation(users, session),
+        actions
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener suplantacion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
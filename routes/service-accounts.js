@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken, requireSession, blockImpersonation, requirePermission } = require('../middleware/auth');
+const { handleValidationError } = require('../middleware/errors');
+const { getRole, canGrantRole } = require('../lib/permissions');
+const apiKeys = require('../lib/api-keys');
+
+// Cuentas de servicio: usuarios sin login para las integraciones (ej. nomina).
+// Tienen un rol como cualquier usuario y acceden solo con API keys.
+// Se eliminan como cualquier usuario (DELETE /api/users/:id), lo que revoca sus keys.
+router.use(authenticateToken);
+router.use(requireSession);
+router.use(blockImpersonation);
+router.use(requirePermission('api_keys:manage'));
+
+// Cuenta de servicio de la organizacion, o null
+const findAccount = (req, id) => {
+  const user = req.db.getById('users', id);
+  return user && user.is_service_account ? user : null;
+};
+
+const publicAccount = ({ password, ...account }, keys) => ({
+  ...account,
+  active_keys: keys.filter(key => key.user_id === account.id && apiKeys.isActive(key)).length
+});
+
+// GET / - Cuentas de servicio de la organizacion
+router.get('/', (req, res) => {
+  try {
+    const keys = req.db.getAll('api_keys');
+    const accounts = req.db.find('users', u => u.is_service_account)
+      .map(account => publicAccount(account, keys));
+
+    res.json({
+      success: true,
+      data: { accounts }
+    });
+  } catch (error) {
+    console.error('Error al listar cuentas de servicio:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST / - Crear una cuenta de servicio ({ username, role, name })
+router.post('/', (req, res) => {
+  try {
+    const { username, role = 'employee', name } = req.body;
+
+    if (!username) {
+      return res.status(400).json({
+        success: false,
+        message: 'El usuario es requerido'
+      });
+    }
+
+    // Los nombres de usuario son unicos en todas las organizaciones (ver POST /api/users)
+    if (db.findOne('users', u => u.username === username, { withDeleted: true })) {
+      return res.status(409).json({
+        success: false,
+        message: 'El usuario ya existe'
+      });
+    }
+
+    if (!getRole(req.db.orgId, role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rol invalido'
+      });
+    }
+
+    if (!canGrantRole(req.user, req.db.orgId, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para asignar este rol'
+      });
+    }
+
+    // Contrasena aleatoria que nadie conoce: la cuenta no inicia sesion
+    const account = req.db.insert('users', {
+      username,
+      password: bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), 10),
+      role,
+      first_name: name || null,
+      is_service_account: true
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cuenta de servicio creada',
+      data: { account: publicAccount(account, []) }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al crear cuenta de servicio:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /:id/keys - API keys de una cuenta de servicio
+router.get('/:id/keys', (req, res) => {
+  try {
+    const account = findAccount(req, req.params.id);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cuenta de servicio no encontrada'
+      });
+    }
+
+    const keys = req.db.where('api_keys', { user_id: account.id }, { orderBy: 'id', order: 'desc' })
+      .map(apiKeys.publicKey);
+
+    res.json({
+      success: true,
+      data: {
+        keys,
+        scopes: apiKeys.availableScopes(account)
+      }
+    });
+  } catch (error) {
+    console.error('Error al listar API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /:id/keys - Crear una API key para la cuenta. La key solo se muestra en esta respuesta.
+router.post('/:id/keys', (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { name, scopes = [], expires_in_days } = req.body;
+    const account = findAccount(req, req.params.id);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cuenta de servicio no encontrada'
+      });
+    }
+
+    // Solo se crean keys para cuentas con permisos que uno ya tiene
+    if (!canGrantRole(req.user, req.db.orgId, account.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para crear keys de esta cuenta'
+      });
+    }
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'El nombre es requerido'
+      });
+    }
+
+    const invalid = apiKeys.checkScopes(account, scopes);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const { days, error } = apiKeys.parseExpiry(expires_in_days);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { apiKey, key } = apiKeys.createKey(req.db, account, { name, scopes, days, actor: userId });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key creada. Guardala ahora: no se volvera a mostrar',
+      data: { apiKey, key: apiKeys.publicKey(key) }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al crear API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
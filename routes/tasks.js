@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../database/db');
 const { authenticateToken } = require('../middleware/auth');
+const { handleValidationError } = require('../middleware/errors');
 
 // Aplicar autenticacion a todas las rutas
 router.use(authenticateToken);
@@ -12,7 +12,7 @@ router.get('/', (req, res) => {
     const userId = req.user.id || req.user.userId;
     const { status, priority } = req.query;
 
-    let tasks = db.find('tasks', t => t.user_id === userId);
+    let tasks = req.db.find('tasks', t => t.user_id === userId);
 
     // Filtrar por status
     if (status) {
@@ -56,7 +56,7 @@ router.post('/', (req, res) => {
     const validPriorities = ['low', 'medium', 'high', 'urgent'];
     const taskPriority = validPriorities.includes(priority) ? priority : 'medium';
 
-    const newTask = db.insert('tasks', {
+    const newTask = req.db.insert('tasks', {
       user_id: userId,
       title,
       description: description || null,
@@ -71,6 +71,7 @@ router.post('/', (req, res) => {
       data: newTask
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error al crear tarea:', error);
     res.status(500).json({
       success: false,
@@ -82,12 +83,12 @@ router.post('/', (req, res) => {
 // PUT /:id - Actualizar tarea
 router.put('/:id', (req, res) => {
   try {
-    const { id } = req.params;
+    const id = req.db.parseId(req.params.id);
     const userId = req.user.id || req.user.userId;
     const { title, description, status, priority, due_date } = req.body;
 
     // Verificar que la tarea existe y pertenece al usuario
-    const existingTask = db.findOne('tasks', t => t.id === id && t.user_id === userId);
+    const existingTask = req.db.findOne('tasks', t => t.id === id && t.user_id === userId);
 
     if (!existingTask) {
       return res.status(404).json({
@@ -114,7 +115,7 @@ router.put('/:id', (req, res) => {
       updates.completed_at = null;
     }
 
-    const updatedTask = db.update('tasks', id, updates);
+    const updatedTask = req.db.update('tasks', id, updates, { actor: userId });
 
     res.json({
       success: true,
@@ -122,6 +123,7 @@ router.put('/:id', (req, res) => {
       data: updatedTask
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error al actualizar tarea:', error);
     res.status(500).json({
       success: false,
@@ -133,11 +135,11 @@ router.put('/:id', (req, res) => {
 // DELETE /:id - Eliminar tarea
 router.delete('/:id', (req, res) => {
   try {
-    const { id } = req.params;
+    const id = req.db.parseId(req.params.id);
     const userId = req.user.id || req.user.userId;
 
     // Verificar que la tarea existe y pertenece al usuario
-    const existingTask = db.findOne('tasks', t => t.id === id && t.user_id === userId);
+    const existingTask = req.db.findOne('tasks', t => t.id === id && t.user_id === userId);
 
     if (!existingTask) {
       return res.status(404).json({
@@ -146,7 +148,7 @@ router.delete('/:id', (req, res) => {
       });
     }
 
-    db.delete('tasks', id);
+    req.db.delete('tasks', id, { actor: userId });
 
     res.json({
       success: true,
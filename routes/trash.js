@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationError } = require('../middleware/errors');
+
+// Papelera: solo administradores
+router.use(authenticateToken);
+router.use(requirePermission('trash:manage'));
+
+// Quitar datos sensibles de los registros que se devuelven
+const sanitize = (table, record) => {
+  if (table !== 'users') return record;
+  const { password, ...rest } = record;
+  return rest;
+};
+
+// Verificar que la tabla tenga borrado logico
+const checkTable = (req, res, next) => {
+  if (!req.db.softDeleteTables.includes(req.params.table)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tabla sin papelera'
+    });
+  }
+  next();
+};
+
+// GET / - Cantidad de registros en la papelera por tabla
+router.get('/', (req, res) => {
+  try {
+    const tables = {};
+    req.db.softDeleteTables.forEach(table => {
+      tables[table] = req.db.trash(table).length;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        tables,
+        retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener papelera:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /:table - Registros eliminados de una tabla
+router.get('/:table', checkTable, (req, res) => {
+  try {
+    const { table } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    const records = req.db.trash(table).map(record => sanitize(table, record));
+    const { items, pagination } = req.db.paginate(records, { limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        records: items,
+        pagination
+      }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error al listar papelera:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /:table/:id/restore - Restaurar un registro (y lo que se elimino con el)
+router.post('/:table/:id/restore', checkTable, (req, res) => {
+  try {
+    const { table, id } = req.params;
+
+    const restored = req.db.restore(table, id, { actor: req.user.id || req.user.userId });
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registro no encontrado en la papelera'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Registro restaurado exitosamente',
+      data: { record: sanitize(table, restored) }
+    });
+  } catch (error) {
+    console.error('Error al restaurar registro:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /:table/:id - Eliminar definitivamente un registro de la papelera
+router.delete('/:table/:id', checkTable, (req, res) => {
+  try {
+    const { table, id } = req.params;
+
+    if (!req.db.purge(table, id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registro no encontrado en la papelera'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Registro eliminado definitivamente'
+    });
+  } catch (error) {
+    console.error('Error al purgar registro:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
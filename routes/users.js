@@ -1,23 +1,91 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const db = require('../database/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationError } = require('../middleware/errors');
+const { ValidationError } = require('../database/errors');
+const { checkPassword, policyMessage } = require('../lib/password-policy');
+const twoFactor = require('../lib/two-factor');
+const { can, getRole, canGrantRole } = require('../lib/permissions');
+const { teamMemberIds, createsCycle } = require('../lib/teams');
+const { resolveDepartment } = require('../lib/departments');
+const { isActiveUser, deactivateUser, reactivateUser, openWork, offboardUser } = require('../lib/offboarding');
+const userImport = require('../lib/user-import');
+const directory = require('../lib/user-directory');
+const { isValidTimezone, isValidLocale, checkSchedule } = require('../lib/schedule');
 
 const router = express.Router();
 
-// GET /api/users - Listar usuarios (admin/supervisor)
-router.get('/', authenticateToken, requireRole('admin', 'supervisor'), (req, res) => {
+// Id del usuario de la ruta (/:id). Un id invalido (ej. "5abc") es un 400.
+const targetIdFrom = (req) => {
+  const id = req.db.parseId(req.params.id);
+  if (id === null) {
+    throw new ValidationError('users', [{ field: 'id', message: 'id debe ser un ID valido' }]);
+  }
+  return id;
+};
+
+// Validar el responsable de un usuario (targetId null al crear). Devuelve el mensaje de error o null.
+const checkManager = (req, targetId, managerId) => {
+  if (managerId === null) return null;
+  if (managerId === targetId) return 'Un usuario no puede ser su propio responsable';
+  if (!req.db.getById('users', managerId)) return 'Responsable no encontrado';
+  if (targetId && createsCycle(req.db, targetId, managerId)) {
+    return 'El responsable no puede ser alguien de su propio equipo';
+  }
+  return null;
+};
+
+// null quita el responsable; un id invalido queda en 0 (no existe)
+const parseManagerId = (req, value) => (value === null || value === '' ? null : req.db.parseId(value) || 0);
+
+// Campos del perfil que edita el propio usuario; los protegidos solo con users:manage
+const PROFILE_FIELDS = ['timezone', 'locale', 'phone'];
+const PROTECTED_PROFILE_FIELDS = ['job_title', 'hire_date', 'work_schedule'];
+
+// Campos de perfil enviados en el body que se pueden guardar ('' los borra)
+const profileUpdates = (body, canManage) => {
+  const updates = {};
+  [...PROFILE_FIELDS, ...(canManage ? PROTECTED_PROFILE_FIELDS : [])].forEach(field => {
+    if (body[field] !== undefined) updates[field] = body[field] === '' ? null : body[field];
+  });
+  return updates;
+};
+
+// Validar zona horaria, idioma y horario (lib/schedule.js). Devuelve el mensaje de error o null.
+const checkProfile = ({ timezone, locale, work_schedule }) => {
+  if (timezone && !isValidTimezone(timezone)) return 'Zona horaria invalida (usa un nombre IANA, ej. America/Lima)';
+  if (locale && !isValidLocale(locale)) return 'Idioma invalido (ej. es-PE)';
+  if (work_schedule !== undefined) return checkSchedule(work_schedule);
+  return null;
+};
+
+// GET /api/users - Listar usuarios (users:read:all). Filtros y orden: ver lib/user-directory.js
+// (?q=&role=&department_id=&status=&sort=&order=), paginado con ?limit=&offset=
+router.get('/', authenticateToken, requirePermission('users:read:all'), (req, res) => {
   try {
-    let users = db.getAll('users');
+    const { limit = 50, offset = 0 } = req.query;
+    const { users, error } = directory.sortUsers(req, directory.filterUsers(req));
 
-    // Remover passwords de la respuesta
-    users = users.map(({ password, ...user }) => user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { items, pagination } = req.db.paginate(users, { limit, offset });
 
     res.json({
       success: true,
-      data: { users }
+      data: {
+        // Remover passwords de la respuesta
+        users: items.map(({ password, ...user }) => user),
+        pagination
+      }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error listando usuarios:', error);
     res.status(500).json({
       success: false,
@@ -26,21 +94,162 @@ router.get('/', authenticateToken, requireRole('admin', 'supervisor'), (req, res
   }
 });
 
+// GET /api/users/directory - Directorio de companeros para cualquier usuario: solo usuarios
+// activos y datos basicos. Acepta ?q=&department_id=&sort=&order=&limit=&offset=
+router.get('/directory', authenticateToken, (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const colleagues = directory.filterUsers(req, {
+      q: req.query.q,
+      status: 'active',
+      searchFields: directory.DIRECTORY_SEARCH_FIELDS
+    }).filter(u => !u.is_service_account);
+    const { users, error } = directory.sortUsers(req, colleagues, directory.DIRECTORY_SORT_FIELDS);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { items, pagination } = req.db.paginate(users, { limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        users: items.map(directory.directoryEntry),
+        pagination
+      }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error obteniendo directorio:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/users/team - Usuarios que reportan al usuario (directa o indirectamente)
+router.get('/team', authenticateToken, (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const team = teamMemberIds(req.db, userId);
+
+    const users = req.db.find('users', u => team.includes(u.id))
+      .map(({ password, ...user }) => user);
+
+    res.json({
+      success: true,
+      data: { users }
+    });
+  } catch (error) {
+    console.error('Error listando equipo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/users/export - Usuarios en CSV (users:read:all). Mismos filtros que GET /api/users.
+// Las columnas sirven para POST /api/users/import. No incluye las cuentas de servicio.
+router.get('/export', authenticateToken, requirePermission('users:read:all'), (req, res) => {
+  try {
+    const users = directory.filterUsers(req).filter(u => !u.is_service_account);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="usuarios-${new Date().toISOString().split('T')[0]}.csv"`);
+    res.send(userImport.exportUsers(req.db.sortBy(users, 'id', 'asc')));
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error exportando usuarios:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/users/import - Importar usuarios desde un CSV (users:manage). El CSV va como
+// cuerpo text/csv (opciones en la query) o en JSON { csv, mode, dry_run }.
+// mode: password (contrasena temporal, por defecto) o invite. dry_run=true solo valida.
+// Si alguna fila tiene errores no se crea nada; el reporte trae los errores de cada fila.
+router.post('/import', authenticateToken, requirePermission('users:manage'), express.text({ type: 'text/csv', limit: '2mb' }), async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const isCsvBody = typeof req.body === 'string';
+    const options = isCsvBody ? req.query : { ...req.query, ...req.body };
+    const { mode = 'password' } = options;
+    const dryRun = options.dry_run === true || options.dry_run === 'true';
+
+    if (!userImport.IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `mode debe ser uno de: ${userImport.IMPORT_MODES.join(', ')}`
+      });
+    }
+
+    const { rows, error } = userImport.readImportFile(isCsvBody ? req.body : options.csv, mode);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const planned = userImport.planImport(req, rows, mode);
+    const invalid = planned.filter(entry => entry.errors.length > 0).length;
+    const summary = { total: planned.length, valid: planned.length - invalid, invalid };
+
+    if (dryRun || invalid > 0) {
+      return res.status(invalid > 0 && !dryRun ? 400 : 200).json({
+        success: !invalid || dryRun,
+        message: invalid > 0
+          ? `${invalid} fila(s) con errores: ${dryRun ? 'corrigelas antes de importar' : 'no se importo ningun usuario'}`
+          : 'El archivo es valido',
+        data: { dry_run: dryRun, mode, summary, rows: planned.map(userImport.reportRow) }
+      });
+    }
+
+    const results = mode === 'invite'
+      ? await userImport.createInvitations(req, planned, userId)
+      : userImport.createAccounts(req, planned, userId);
+
+    res.status(201).json({
+      success: true,
+      message: mode === 'invite'
+        ? `${results.length} invitacion(es) creada(s)`
+        : `${results.length} usuario(s) creado(s). Comparte las contrasenas temporales: no se volveran a mostrar`,
+      data: { dry_run: false, mode, summary, rows: results }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error importando usuarios:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
 // GET /api/users/:id - Obtener usuario por ID
 router.get('/:id', authenticateToken, (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
-    const targetId = parseInt(req.params.id);
+    const targetId = targetIdFrom(req);
 
-    // Solo admin/supervisor puede ver otros usuarios
-    if (userId !== targetId && !['admin', 'supervisor'].includes(req.user.role)) {
+    // Ver a otros usuarios requiere users:read:all
+    if (userId !== targetId && !can(req.user, 'users:read:all')) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para ver este usuario'
       });
     }
 
-    const user = db.getById('users', targetId);
+    const user = req.db.getById('users', targetId);
 
     if (!user) {
       return res.status(404).json({
@@ -57,6 +266,7 @@ router.get('/:id', authenticateToken, (req, res) => {
       data: { user: userWithoutPassword }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error obteniendo usuario:', error);
     res.status(500).json({
       success: false,
@@ -65,10 +275,10 @@ router.get('/:id', authenticateToken, (req, res) => {
   }
 });
 
-// POST /api/users - Crear usuario (solo admin)
-router.post('/', authenticateToken, requireRole('admin'), (req, res) => {
+// POST /api/users - Crear usuario (users:manage)
+router.post('/', authenticateToken, requirePermission('users:manage'), (req, res) => {
   try {
-    const { username, email, password, role, first_name, last_name, department } = req.body;
+    const { username, email, password, role, first_name, last_name, manager_id } = req.body;
 
     if (!username || !password) {
       return res.status(400).json({
@@ -78,7 +288,9 @@ router.post('/', authenticateToken, requireRole('admin'), (req, res) => {
     }
 
     // Verificar si existe
-    const existingUser = db.findOne('users', u => u.username === username || (email && u.email === email));
+    // Usuario y email son unicos en todas las organizaciones (el login no pide organizacion).
+    // Incluye usuarios en la papelera: al restaurarlos no debe haber duplicados
+    const existingUser = db.findOne('users', u => u.username === username || (email && u.email === email), { withDeleted: true });
 
     if (existingUser) {
       return res.status(409).json({
@@ -87,18 +299,72 @@ router.post('/', authenticateToken, requireRole('admin'), (req, res) => {
       });
     }
 
+    const passwordErrors = checkPassword(password, { username });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: policyMessage(passwordErrors)
+      });
+    }
+
+    const userRole = role || 'employee';
+
+    if (!getRole(req.db.orgId, userRole)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rol invalido'
+      });
+    }
+
+    // Solo se asignan roles con permisos que uno ya tiene
+    if (!canGrantRole(req.user, req.db.orgId, userRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para asignar este rol'
+      });
+    }
+
+    const managerId = manager_id === undefined ? null : parseManagerId(req, manager_id);
+    const invalidManager = checkManager(req, null, managerId);
+    if (invalidManager) {
+      return res.status(400).json({
+        success: false,
+        message: invalidManager
+      });
+    }
+
+    // Departamento por id (department_id) o por nombre (department)
+    const { changes: departmentFields, error: invalidDepartment } = resolveDepartment(req.db, req.body);
+    if (invalidDepartment) {
+      return res.status(400).json({
+        success: false,
+        message: invalidDepartment
+      });
+    }
+
+    const profile = profileUpdates(req.body, true);
+    const invalidProfile = checkProfile(profile);
+    if (invalidProfile) {
+      return res.status(400).json({
+        success: false,
+        message: invalidProfile
+      });
+    }
+
     const hashedPassword = bcrypt.hashSync(password, 10);
-    const validRoles = ['admin', 'supervisor', 'employee'];
-    const userRole = validRoles.includes(role) ? role : 'employee';
 
-    const newUser = db.insert('users', {
+    const newUser = req.db.insert('users', {
       username,
       email: email || null,
       password: hashedPassword,
       role: userRole,
       first_name: first_name || null,
       last_name: last_name || null,
-      department: department || null,
+      department: null,
+      department_id: null,
+      ...departmentFields,
+      ...profile,
+      manager_id: managerId,
       avatar: null
     });
 
@@ -111,6 +377,7 @@ router.post('/', authenticateToken, requireRole('admin'), (req, res) => {
       data: { user: userWithoutPassword }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error creando usuario:', error);
     res.status(500).json({
       success: false,
@@ -122,21 +389,21 @@ router.post('/', authenticateToken, requireRole('admin'), (req, res) => {
 // PUT /api/users/:id - Actualizar usuario
 router.put('/:id', authenticateToken, (req, res) => {
   try {
-    const { first_name, last_name, email, department, role, avatar } = req.body;
-    const targetId = parseInt(req.params.id);
+    const { first_name, last_name, email, role, avatar, manager_id } = req.body;
+    const targetId = targetIdFrom(req);
     const userId = req.user.id || req.user.userId;
 
     const isSelf = userId === targetId;
-    const isAdmin = req.user.role === 'admin';
+    const canManage = can(req.user, 'users:manage');
 
-    if (!isSelf && !isAdmin) {
+    if (!isSelf && !canManage) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para editar este usuario'
       });
     }
 
-    const existing = db.getById('users', targetId);
+    const existing = req.db.getById('users', targetId);
 
     if (!existing) {
       return res.status(404).json({
@@ -145,9 +412,84 @@ router.put('/:id', authenticateToken, (req, res) => {
       });
     }
 
+    // A otro usuario solo se lo edita si uno podria asignarle su rol: cambiar el email
+    // de un admin superior permitiria recuperar su contrasena
+    if (!isSelf && !canGrantRole(req.user, req.db.orgId, existing.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para modificar este usuario'
+      });
+    }
+
+    // Campos que solo cambia users:manage (el departamento tambien departments:manage).
+    // Enviarlos sin permiso es un 403: no se ignoran en silencio.
+    const canAssignDepartment = canManage || can(req.user, 'departments:manage');
+    const forbidden = [
+      ...(canManage ? [] : ['role', 'manager_id', ...PROTECTED_PROFILE_FIELDS]),
+      ...(canAssignDepartment ? [] : ['department', 'department_id'])
+    ].filter(field => req.body[field] !== undefined);
+    if (forbidden.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `No tienes permisos para cambiar: ${forbidden.join(', ')}`
+      });
+    }
+
+    if (role !== undefined && !getRole(req.db.orgId, role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rol invalido'
+      });
+    }
+
+    // Solo se cambia el rol si uno tiene todos los permisos del rol actual y del nuevo
+    if (role !== undefined &&
+        (!canGrantRole(req.user, req.db.orgId, role) || !canGrantRole(req.user, req.db.orgId, existing.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para cambiar este rol'
+      });
+    }
+
+    // Con el email se recupera la contrasena: no se cambia durante una suplantacion
+    if (email !== undefined && req.user.impersonator_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Esta accion no se permite mientras suplantas a un usuario'
+      });
+    }
+
+    const managerId = manager_id !== undefined ? parseManagerId(req, manager_id) : undefined;
+    if (managerId !== undefined) {
+      const invalidManager = checkManager(req, targetId, managerId);
+      if (invalidManager) {
+        return res.status(400).json({
+          success: false,
+          message: invalidManager
+        });
+      }
+    }
+
+    const { changes: departmentFields, error: invalidDepartment } = resolveDepartment(req.db, req.body);
+    if (invalidDepartment) {
+      return res.status(400).json({
+        success: false,
+        message: invalidDepartment
+      });
+    }
+
+    const profile = profileUpdates(req.body, canManage);
+    const invalidProfile = checkProfile(profile);
+    if (invalidProfile) {
+      return res.status(400).json({
+        success: false,
+        message: invalidProfile
+      });
+    }
+
     // Verificar email duplicado
     if (email) {
-      const emailExists = db.findOne('users', u => u.email === email && u.id !== targetId);
+      const emailExists = db.findOne('users', u => u.email === email && u.id !== targetId, { withDeleted: true });
       if (emailExists) {
         return res.status(409).json({
           success: false,
@@ -156,15 +498,15 @@ router.put('/:id', authenticateToken, (req, res) => {
       }
     }
 
-    const updates = {};
+    const updates = { ...departmentFields, ...profile };
     if (first_name !== undefined) updates.first_name = first_name;
     if (last_name !== undefined) updates.last_name = last_name;
     if (email !== undefined) updates.email = email;
-    if (department !== undefined) updates.department = department;
     if (avatar !== undefined) updates.avatar = avatar;
-    if (role !== undefined && isAdmin) updates.role = role;
+    if (role !== undefined) updates.role = role;
+    if (managerId !== undefined) updates.manager_id = managerId;
 
-    const updatedUser = db.update('users', targetId, updates);
+    const updatedUser = req.db.update('users', targetId, updates, { actor: userId });
     const { password, ...userWithoutPassword } = updatedUser;
 
     res.json({
@@ -173,6 +515,7 @@ router.put('/:id', authenticateToken, (req, res) => {
       data: { user: userWithoutPassword }
     });
   } catch (error) {
+    if (handleValidationError(error, res)) return;
     console.error('Error actualizando usuario:', error);
     res.status(500).json({
       success: false,
@@ -180,35 +523,226 @@ router.put('/:id', authenticateToken, (req, res) => {
     });
   }
 });
+// Usuario de la ruta (/:id) que el admin puede dar de baja: { target } o { status, message }
+// Usuario de la organizacion que el admin puede dar de baja: { target } o { status, message }
+const findOffboardTarget = (req) => {
+  const userId = req.user.id || req.user.userId;
+  const target = req.db.getById('users', targetIdFrom(req));
+
+  if (!target) return { status: 404, message: 'Usuario no encontrado' };
+  if (target.id === userId) return { status: 400, message: 'No puedes desactivarte a ti mismo' };
+  if (!canGrantRole(req.user, req.db.orgId, target.role)) {
+    return { status: 403, message: 'No tienes permisos para modificar este usuario' };
+  }
+  return { target };
+};
+
+// POST /api/users/:id/deactivate - Desactivar (users:manage). Cierra sus sesiones y revoca sus API keys.
+router.post('/:id/deactivate', authenticateToken, requirePermission('users:manage'), (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { target, status, message } = findOffboardTarget(req);
+
+    if (!target) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!isActiveUser(target)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El usuario ya esta desactivado'
+      });
+    }
+
+    const { password, ...user } = deactivateUser(req.db, target, { actor: userId, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Usuario desactivado',
+      data: { user }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error desactivando usuario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
 
-// DELETE /api/users/:id - Eliminar usuario (solo admin)
-router.delete('/:id', authenticateToken, requireRole('admin'), (req, res) => {
+// POST /api/users/:id/reactivate - Reactivar un usuario desactivado (users:manage)
+router.post('/:id/reactivate', authenticateToken, requirePermission('users:manage'), (req, res) => {
   try {
-    const targetId = parseInt(req.params.id);
     const userId = req.user.id || req.user.userId;
+    const { target, status, message } = findOffboardTarget(req);
+
+    if (!target) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
 
-    if (userId === targetId) {
+    if (isActiveUser(target)) {
       return res.status(400).json({
         success: false,
-        message: 'No puedes eliminarte a ti mismo'
+        message: 'El usuario ya esta activo'
       });
     }
 
-    const deleted = db.delete('users', targetId);
+    const { password, ...user } = reactivateUser(req.db, target, { actor: userId, ip: req.ip });
 
-    if (!deleted) {
+    res.json({
+      success: true,
+      message: 'Usuario reactivado',
+      data: { user }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error reactivando usuario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/users/:id/offboard - Baja completa (users:manage): cierra su asistencia y breaks
+// abiertos, cancela sus solicitudes pendientes, pasa sus tareas e incidentes abiertos a
+// reassign_to (por defecto su responsable) y lo desactiva. Sus registros se conservan.
+router.post('/:id/offboard', authenticateToken, requirePermission('users:manage'), (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { reassign_to } = req.body;
+    const { target, status, message } = findOffboardTarget(req);
+
+    if (!target) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    // Solo hace falta a quien reasignar si tiene tareas o incidentes abiertos
+    const { tasks, incidents } = openWork(req.db, target.id);
+    const hasOpenWork = tasks.length > 0 || incidents.length > 0;
+    const reassignId = reassign_to !== undefined && reassign_to !== null
+      ? req.db.parseId(reassign_to) || 0
+      : target.manager_id;
+    const reassignTo = hasOpenWork && reassignId ? req.db.getById('users', reassignId) : null;
+
+    if (hasOpenWork && !reassignId) {
+      return res.status(400).json({
+        success: false,
+        message: 'El usuario tiene tareas o incidentes abiertos: indica a quien reasignarlos (reassign_to)'
+      });
+    }
+
+    if (hasOpenWork && (!reassignTo || !isActiveUser(reassignTo) || reassignTo.id === target.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El usuario al que se reasigna debe ser otro usuario activo'
+      });
+    }
+
+    const { user: updated, summary } = offboardUser(req.db, target, { actor: userId, ip: req.ip, reassignTo });
+    const { password, ...user } = updated;
+
+    res.json({
+      success: true,
+      message: 'Baja completada',
+      data: {
+        user,
+        summary: { ...summary, reassigned_to: reassignTo ? reassignTo.id : null }
+      }
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error en la baja del usuario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /api/users/:id - Eliminar usuario (users:manage). No se borra: se desactiva,
+// asi su asistencia, permisos e historial se conservan y no los alcanza la purga.
+router.delete('/:id', authenticateToken, requirePermission('users:manage'), (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { target, status, message } = findOffboardTarget(req);
+
+    if (!target) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!isActiveUser(target)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El usuario ya esta desactivado'
+      });
+    }
+
+    deactivateUser(req.db, target, { actor: userId, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Usuario desactivado'
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) return;
+    console.error('Error eliminando usuario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /api/users/:id/two-factor - Quitar la verificacion en dos pasos de un usuario
+// que perdio su dispositivo (users:manage). Si su rol la exige, la configura en el proximo login.
+router.delete('/:id/two-factor', authenticateToken, requirePermission('users:manage'), (req, res) => {
+  try {
+    const targetId = targetIdFrom(req);
+    const userId = req.user.id || req.user.userId;
+    const target = req.db.getById('users', targetId);
+
+    if (!target) {
       return res.status(404).json({
         success: false,
         message: 'Usuario no encontrado'
       });
     }
 
+    if (!canGrantRole(req.user, req.db.orgId, target.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para modificar este usuario'
+      });
+    }
+
+    if (!twoFactor.disable(target, { actor: userId, event: 'two_factor_reset' })) {
+      return res.status(400).json({
+        success: false,
+        message: 'El usuario no tiene verificacion en dos pasos'
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Usuario eliminado'
+      message: 'Verificacion en dos pasos eliminada'
     });
   } catch (error) {
-    console.error('Error eliminando usuario:', error);
+    if (handleValidationError(error, res)) return;
+    console.error('Error quitando verificacion en dos pasos:', error);
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor'
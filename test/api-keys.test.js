@@ -0,0 +1,73 @@
+const { ADMIN, api, tokenFor } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+
+describe('API keys', () => {
+  let admin;
+
+  before(async () => {
+    admin = await tokenFor(ADMIN);
+  });
+
+  const createKey = async (body) => {
+    const res = await api('POST', '/api/api-keys', { token: admin, body: { name: 'Integracion', ...body } });
+    assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+    return res.body.data;
+  };
+
+  test('una key actua como su usuario pero solo con sus scopes; sin write solo consulta', async () => {
+    const { apiKey, key } = await createKey({ scopes: ['users:read:all'] });
+    assert.match(apiKey, /^lvk_/);
+    assert.ok(!('key_hash' in key));
+
+    assert.strictEqual((await api('GET', '/api/users', { token: apiKey })).status, 200);
+    assert.strictEqual((await api('GET', '/api/trash', { token: apiKey })).status, 403);
+    assert.strictEqual((await api('POST', '/api/tasks', { token: apiKey, body: { title: 'x' } })).status, 403);
+
+    // Las keys no administran keys ni sesiones
+    assert.strictEqual((await api('GET', '/api/api-keys', { token: apiKey })).status, 403);
+  });
+
+  test('con el scope write modifica; revocada deja de funcionar', async () => {
+    const { apiKey, key } = await createKey({ scopes: ['write'] });
+    assert.strictEqual((await api('POST', '/api/tasks', { token: apiKey, body: { title: 'Desde la integracion' } })).status, 201);
+
+    assert.strictEqual((await api('DELETE', `/api/api-keys/${key.id}`, { token: admin })).status, 200);
+    assert.strictEqual((await api('GET', '/api/tasks', { token: apiKey })).status, 401);
+    assert.strictEqual((await api('GET', '/api/tasks', { token: 'lvk_inventada' })).status, 401);
+  });
+
+  test('no se dan scopes desconocidos ni permisos que el usuario no tiene', async () => {
+    const post = (body) => api('POST', '/api/api-keys', { token: admin, body: { name: 'x', ...body } });
+    assert.strictEqual((await post({ scopes: ['todo'] })).status, 400);
+    assert.strictEqual((await post({ scopes: ['backups:manage'] })).status, 400);
+    assert.strictEqual((await post({ scopes: 'users:read:all' })).status, 400);
+  });
+
+  test('una cuenta de servicio no inicia sesion y usa keys con los permisos de su rol', async () => {
+    const created = await api('POST', '/api/service-accounts', {
+      token: admin,
+      body: { username: 'nomina', role: 'supervisor', name: 'Nomina' }
+    });
+    assert.strictEqual(created.status, 201);
+    const { id } = created.body.data.account;
+
+    const login = await api('POST', '/api/auth/login', { body: { username: 'nomina', password: 'cualquiera' } });
+    assert.strictEqual(login.status, 401);
+
+    const denied = await api('POST', `/api/service-accounts/${id}/keys`, {
+      token: admin,
+      body: { name: 'Nomina', scopes: ['users:manage'] }
+    });
+    assert.strictEqual(denied.status, 400);
+
+    const keyRes = await api('POST', `/api/service-accounts/${id}/keys`, {
+      token: admin,
+      body: { name: 'Nomina', scopes: ['attendance:read:team'] }
+    });
+    assert.strictEqual(keyRes.status, 201);
+    const { apiKey } = keyRes.body.data;
+    assert.strictEqual((await api('GET', '/api/attendance/all', { token: apiKey })).status, 200);
+    assert.strictEqual((await api('GET', '/api/users', { token: apiKey })).status, 403);
+  });
+});
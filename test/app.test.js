@@ -0,0 +1,23 @@
+const { ADMIN, api, loginAs } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// DB_DRIVER=sqlite npm test corre la misma suite sobre SQLite
+test('la API arranca sobre el almacen configurado y permite iniciar sesion', async () => {
+  const health = await api('GET', '/api/health');
+  assert.strictEqual(health.status, 200);
+
+  const { token, user } = await loginAs(ADMIN);
+  assert.ok(token);
+  assert.strictEqual(user.username, 'admin');
+  assert.strictEqual(user.password, undefined);
+
+  const me = await api('GET', '/api/auth/me', { token });
+  assert.strictEqual(me.status, 200);
+});
+
+test('una ruta inexistente responde 404', async () => {
+  const res = await api('GET', '/api/no-existe');
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(res.body.success, false);
+});
@@ -0,0 +1,50 @@
+const { ADMIN, EMPLOYEE, api, tokenFor, makeSuperAdmin } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+
+describe('copias de seguridad', () => {
+  let token;
+
+  before(async () => {
+    // Un admin de organizacion no administra copias
+    assert.strictEqual((await api('GET', '/api/backups', { token: await tokenFor(ADMIN) })).status, 403);
+    await makeSuperAdmin(ADMIN.username);
+    token = await tokenFor(ADMIN);
+  });
+
+  test('restaurar una copia devuelve la base a ese momento y guarda el estado anterior', async () => {
+    const created = await api('POST', '/api/backups', { token });
+    assert.strictEqual(created.status, 201);
+    const { name } = created.body.data.snapshot;
+
+    const employee = await tokenFor(EMPLOYEE);
+    const task = (await api('POST', '/api/tasks', { token: employee, body: { title: 'Despues de la copia' } })).body.data;
+
+    const restored = await api('POST', `/api/backups/${name}/restore`, { token });
+    assert.strictEqual(restored.status, 200);
+    assert.ok(restored.body.data.previous.name);
+
+    const db = require('../database/db');
+    assert.strictEqual(db.getById('tasks', task.id), undefined);
+
+    // El estado anterior a restaurar queda como otra copia
+    const list = await api('GET', '/api/backups', { token });
+    const names = list.body.data.snapshots.map(s => s.name);
+    assert.ok(names.includes(name));
+    assert.ok(names.includes(restored.body.data.previous.name));
+  });
+
+  test('descargar y eliminar copias; los nombres desconocidos o con rutas no existen', async () => {
+    const { name } = (await api('POST', '/api/backups', { token })).body.data.snapshot;
+
+    const download = await api('GET', `/api/backups/${name}/download`, { token });
+    assert.strictEqual(download.status, 200);
+    assert.ok(Array.isArray(download.body.tables.users));
+    assert.strictEqual(download.body._meta.reason, 'manual');
+
+    assert.strictEqual((await api('DELETE', `/api/backups/${name}`, { token })).status, 200);
+    assert.strictEqual((await api('GET', `/api/backups/${name}/download`, { token })).status, 404);
+    assert.strictEqual((await api('POST', '/api/backups/no-existe.json/restore', { token })).status, 404);
+    assert.strictEqual((await api('DELETE', '/api/backups/..%2Fdatabase.json', { token })).status, 404);
+  });
+});
@@ -0,0 +1,41 @@
+const { ADMIN, api, tokenFor, createUser } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+
+describe('filtro por departamento', () => {
+  let admin;
+  let department;
+  let member;
+
+  before(async () => {
+    admin = await tokenFor(ADMIN);
+    const created = await api('POST', '/api/departments', { token: admin, body: { name: 'Soporte' } });
+    assert.strictEqual(created.status, 201);
+    department = created.body.data.department;
+    member = await createUser(admin, { department_id: department.id });
+    await createUser(admin);
+  });
+
+  test('department_id devuelve solo los miembros del departamento', async () => {
+    const res = await api('GET', `/api/users?department_id=${department.id}`, { token: admin });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.data.users.map(u => u.id), [member.id]);
+  });
+
+  test('un department_id invalido es un 400 y no la lista de usuarios sin departamento', async () => {
+    const lists = [
+      '/api/users',
+      '/api/users/directory',
+      '/api/users/export',
+      '/api/attendance/all',
+      '/api/breaks/all',
+      '/api/permissions/all'
+    ];
+
+    for (const url of lists) {
+      const res = await api('GET', `${url}?department_id=abc`, { token: admin });
+      assert.strictEqual(res.status, 400, url);
+      assert.strictEqual(res.body.errors[0].field, 'department_id', url);
+    }
+  });
+});
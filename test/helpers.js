@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+
+// Ayudas para los tests. node --test corre cada archivo en su propio proceso:
+// este modulo le da una carpeta temporal con su propia base, copias y correos.
+// Hay que requerirlo antes que cualquier modulo de la aplicacion.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mtv-test-'));
+
+process.env.NODE_ENV = 'test';
+process.env.DB_DRIVER = process.env.DB_DRIVER || 'json';
+process.env.DB_JSON_FILE = path.join(dir, 'database.json');
+process.env.DB_SQLITE_FILE = path.join(dir, 'database.sqlite');
+process.env.BACKUP_DIR = path.join(dir, 'backups');
+process.env.ARCHIVE_DIR = path.join(dir, 'archive');
+process.env.LOGIN_DELAY_MS = process.env.LOGIN_DELAY_MS || '10';
+
+// Al salir: guardar y cerrar la base (si se uso) y borrar la carpeta
+process.on('exit', () => {
+  const dbModule = require.resolve('../database/db');
+  if (require.cache[dbModule]) require.cache[dbModule].exports.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Usuarios de los datos semilla
+const ADMIN = { username: 'admin', password: 'admin123' };
+const EMPLOYEE = { username: 'rock', password: '123456' };
+
+// Correos enviados durante el test (en memoria)
+const mails = [];
+
+let server = null;
+let baseUrl = null;
+
+// Al terminar todos los tests del archivo
+after(() => server && server.close());
+
+// Levantar la aplicacion en un puerto libre (una vez por archivo)
+async function startServer() {
+  if (baseUrl) return baseUrl;
+
+  require('../lib/mailer').setTransport(async (message) => {
+    mails.push(message);
+    return { id: String(mails.length) };
+  });
+
+  const app = require('../index');
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return baseUrl;
+}
+
+// Peticion a la API: devuelve { status, body, headers }
+async function api(method, url, { token, body, headers = {} } = {}) {
+  const base = await startServer();
+  const isText = typeof body === 'string';
+  const response = await fetch(base + url, {
+    method,
+    headers: {
+      ...(body !== undefined ? { 'Content-Type': isText ? 'text/csv' : 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : (isText ? body : JSON.stringify(body))
+  });
+
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    // Respuesta que no es JSON (CSV, por ejemplo)
+  }
+  return { status: response.status, body: parsed, headers: response.headers };
+}
+
+// Iniciar sesion y devolver la respuesta completa del login
+async function loginAs({ username, password }) {
+  const res = await api('POST', '/api/auth/login', { body: { username, password } });
+  if (res.status !== 200) {
+    throw new Error(`Login de ${username} fallo: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+  return res.body.data;
+}
+
+// Token de acceso de un usuario
+async function tokenFor(credentials) {
+  return (await loginAs(credentials)).token;
+}
+
+// Crear un usuario como `token` y devolverlo con su contrasena
+async function createUser(token, fields = {}) {
+  const user = {
+    username: `user${Math.random().toString(36).slice(2, 8)}`,
+    password: 'Secreto24x!',
+    ...fields
+  };
+  const res = await api('POST', '/api/users', { token, body: user });
+  if (res.status !== 201) {
+    throw new Error(`No se pudo crear ${user.username}: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+  return { ...res.body.data.user, password: user.password };
+}
+
+// Dar el rol super_admin (como `npm run super-admin`). Sus sesiones se cierran:
+// hay que pedir un token nuevo.
+async function makeSuperAdmin(username) {
+  await startServer();
+  const { error, user } = require('../lib/super-admin').grantSuperAdmin(username);
+  if (error) throw new Error(error);
+  return user;
+}
+
+module.exports = {
+  dir,
+  ADMIN,
+  EMPLOYEE,
+  mails,
+  startServer,
+  api,
+  loginAs,
+  tokenFor,
+  createUser,
+  makeSuperAdmin
+};
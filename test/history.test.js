@@ -0,0 +1,53 @@
+const { ADMIN, api, tokenFor, createUser } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+
+describe('historial de cambios', () => {
+  let admin;
+  let owner;
+  let ownerToken;
+
+  before(async () => {
+    admin = await tokenFor(ADMIN);
+    owner = await createUser(admin);
+    ownerToken = await tokenFor(owner);
+  });
+
+  test('cada cambio guarda los valores anteriores y nuevos y quien lo hizo', async () => {
+    const task = (await api('POST', '/api/tasks', { token: ownerToken, body: { title: 'Borrador' } })).body.data;
+    await api('PUT', `/api/tasks/${task.id}`, { token: ownerToken, body: { title: 'Final', status: 'in_progress' } });
+    await api('DELETE', `/api/tasks/${task.id}`, { token: ownerToken });
+    await api('POST', `/api/trash/tasks/${task.id}/restore`, { token: admin });
+
+    const res = await api('GET', `/api/tasks/${task.id}/history`, { token: ownerToken });
+    assert.strictEqual(res.status, 200);
+
+    const [restore, remove, update] = res.body.data.revisions;
+    assert.deepStrictEqual([restore.action, remove.action, update.action], ['restore', 'delete', 'update']);
+    assert.deepStrictEqual(update.changes.title, { from: 'Borrador', to: 'Final' });
+    assert.deepStrictEqual(update.changes.status, { from: 'pending', to: 'in_progress' });
+    assert.strictEqual(update.actor_username, owner.username);
+    assert.strictEqual(restore.actor_username, ADMIN.username);
+  });
+
+  test('la contrasena aparece en el historial sin su valor', async () => {
+    const res = await api('PUT', '/api/auth/password', {
+      token: ownerToken,
+      body: { current_password: owner.password, new_password: 'OtraClave24x!' }
+    });
+    assert.strictEqual(res.status, 200);
+
+    const history = await api('GET', `/api/users/${owner.id}/history`, { token: admin });
+    const change = history.body.data.revisions.find(r => r.changes.password);
+    assert.deepStrictEqual(change.changes.password, { from: '[oculto]', to: '[oculto]' });
+  });
+
+  test('el historial se ve con los mismos permisos que el registro', async () => {
+    const other = await tokenFor(await createUser(admin));
+    const task = (await api('POST', '/api/tasks', { token: admin, body: { title: 'Del admin' } })).body.data;
+
+    assert.strictEqual((await api('GET', `/api/tasks/${task.id}/history`, { token: other })).status, 403);
+    assert.strictEqual((await api('GET', '/api/tasks/999/history', { token: admin })).status, 404);
+    assert.strictEqual((await api('GET', '/api/sessions/1/history', { token: admin })).status, 404);
+  });
+});
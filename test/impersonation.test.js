@@ -0,0 +1,78 @@
+const { ADMIN, api, tokenFor, createUser, makeSuperAdmin } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+
+describe('suplantacion', () => {
+  let admin;
+  let adminId;
+
+  before(async () => {
+    admin = await tokenFor(ADMIN);
+    adminId = (await api('GET', '/api/auth/me', { token: admin })).body.data.user.id;
+  });
+
+  const impersonate = (token, userId) => api('POST', `/api/auth/impersonate/${userId}`, { token });
+
+  test('el admin ve lo que ve el usuario y queda registro de lo que modifica', async () => {
+    const worker = await createUser(admin);
+    const res = await impersonate(admin, worker.id);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data.impersonator_id, adminId);
+    assert.strictEqual(res.body.data.refreshToken, undefined);
+    const { token } = res.body.data;
+
+    const me = await api('GET', '/api/auth/me', { token });
+    assert.strictEqual(me.body.data.user.id, worker.id);
+    assert.strictEqual(me.body.data.impersonator.id, adminId);
+
+    const task = await api('POST', '/api/tasks', { token, body: { title: 'Revisar' } });
+    assert.strictEqual(task.body.data.user_id, worker.id);
+
+    // Ni contrasena, ni API keys, ni suplantar desde la suplantacion
+    const password = await api('PUT', '/api/auth/password', {
+      token,
+      body: { currentPassword: worker.password, newPassword: 'OtraClave24x!' }
+    });
+    assert.strictEqual(password.status, 403);
+    assert.strictEqual((await api('GET', '/api/api-keys', { token })).status, 403);
+    assert.strictEqual((await impersonate(token, adminId)).status, 403);
+
+    assert.strictEqual((await api('POST', '/api/auth/logout', { token })).status, 200);
+    assert.strictEqual((await api('GET', '/api/auth/me', { token })).status, 401);
+    // La sesion del admin sigue abierta
+    assert.strictEqual((await api('GET', '/api/auth/me', { token: admin })).status, 200);
+
+    const list = await api('GET', `/api/security/impersonations?user_id=${worker.id}`, { token: admin });
+    const [session] = list.body.data.impersonations;
+    assert.strictEqual(session.impersonator_username, ADMIN.username);
+    assert.strictEqual(session.active, false);
+    assert.ok(session.ended_at);
+
+    const detail = await api('GET', `/api/security/impersonations/${session.id}`, { token: admin });
+    // Las acciones bloqueadas tambien quedan, con su codigo
+    assert.deepStrictEqual(
+      detail.body.data.actions.map(a => [a.method, a.path, a.status_code]),
+      [['POST', '/api/tasks', 201], ['PUT', '/api/auth/password', 403], ['POST', `/api/auth/impersonate/${adminId}`, 403], ['POST', '/api/auth/logout', 200]]
+    );
+  });
+
+  test('no se suplanta a uno mismo, a desactivados ni a quien tiene mas permisos', async () => {
+    assert.strictEqual((await impersonate(admin, adminId)).status, 400);
+
+    const inactive = await createUser(admin);
+    await api('DELETE', `/api/users/${inactive.id}`, { token: admin });
+    assert.strictEqual((await impersonate(admin, inactive.id)).status, 400);
+
+    const platform = await createUser(admin);
+    await makeSuperAdmin(platform.username);
+    assert.strictEqual((await impersonate(admin, platform.id)).status, 403);
+
+    assert.strictEqual((await impersonate(admin, 999999)).status, 404);
+  });
+
+  test('sin users:impersonate no se suplanta', async () => {
+    const worker = await createUser(admin);
+    const other = await createUser(admin);
+    assert.strictEqual((await impersonate(await tokenFor(worker), other.id)).status, 403);
+  });
+});
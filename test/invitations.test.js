@@ -0,0 +1,57 @@
+const { ADMIN, EMPLOYEE, api, mails, tokenFor } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+
+describe('invitaciones', () => {
+  let admin;
+  let department;
+
+  before(async () => {
+    admin = await tokenFor(ADMIN);
+    department = (await api('POST', '/api/departments', { token: admin, body: { name: 'Ventas' } })).body.data.department;
+  });
+
+  const invite = (body) => api('POST', '/api/invitations', { token: admin, body });
+  const accept = (body) => api('POST', '/api/auth/accept-invitation', { body: { password: 'Secreto24x!', ...body } });
+
+  test('el registro abierto esta deshabilitado', async () => {
+    const res = await api('POST', '/api/auth/register', { body: { username: 'libre', password: 'Secreto24x!' } });
+    assert.strictEqual(res.status, 403);
+  });
+
+  test('la cuenta se crea con el rol y el departamento de la invitacion, una sola vez', async () => {
+    const created = await invite({ email: 'nueva@example.com', role: 'supervisor', department_id: department.id });
+    assert.strictEqual(created.status, 201);
+    const { token } = created.body.data;
+    assert.ok(mails.some(m => m.to === 'nueva@example.com' && m.text.includes(encodeURIComponent(token))));
+
+    const preview = await api('GET', `/api/auth/invitation?token=${encodeURIComponent(token)}`);
+    assert.strictEqual(preview.body.data.invitation.role, 'supervisor');
+
+    const res = await accept({ token, username: 'nueva', role: 'admin' });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.data.user.role, 'supervisor');
+    assert.strictEqual(res.body.data.user.email, 'nueva@example.com');
+    assert.strictEqual(res.body.data.user.department_id, department.id);
+    assert.ok(res.body.data.token);
+
+    assert.strictEqual((await accept({ token, username: 'otra' })).status, 400);
+    // Ya hay un usuario con ese email
+    assert.strictEqual((await invite({ email: 'nueva@example.com' })).status, 409);
+  });
+
+  test('una invitacion revocada o inventada no sirve', async () => {
+    const created = await invite({});
+    const { invitation, token } = created.body.data;
+
+    assert.strictEqual((await api('DELETE', `/api/invitations/${invitation.id}`, { token: admin })).status, 200);
+    assert.strictEqual((await accept({ token, username: 'revocada' })).status, 400);
+    assert.strictEqual((await accept({ token: '999.inventado', username: 'x' })).status, 400);
+  });
+
+  test('solo se invita con roles que uno puede asignar', async () => {
+    assert.strictEqual((await invite({ role: 'super_admin' })).status, 403);
+    assert.strictEqual((await invite({ role: 'inexistente' })).status, 400);
+    assert.strictEqual((await api('POST', '/api/invitations', { token: await tokenFor(EMPLOYEE), body: {} })).status, 403);
+  });
+});
@@ -0,0 +1,92 @@
+const { dir } = require('./helpers');
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// Sin escrituras del archivo completo durante el test: solo cuando se pide
+process.env.DB_FLUSH_DELAY_MS = '600000';
+const { createJsonAdapter } = require('../database/adapters/json');
+
+const stores = [];
+after(() => stores.forEach(store => store.close()));
+
+// Abrir (o reabrir, como tras una caida) el almacen de un archivo
+const open = (name) => {
+  const store = createJsonAdapter({ file: path.join(dir, name), initialData: { widgets: [] }, indexes: {} });
+  stores.push(store);
+  return store;
+};
+
+const journalLines = (name) => fs.readFileSync(path.join(dir, `${name}.journal`), 'utf8').split('\n').filter(Boolean);
+
+describe('almacen JSON', () => {
+  test('los cambios van al journal y se recuperan si el proceso cae antes de escribir el archivo', () => {
+    const store = open('crash.json');
+    const first = store.insert('widgets', { name: 'uno' });
+    store.insert('widgets', { name: 'dos' });
+    store.update('widgets', first.id, { name: 'uno bis' });
+
+    assert.strictEqual(journalLines('crash.json').length, 3);
+    const snapshot = JSON.parse(fs.readFileSync(path.join(dir, 'crash.json'), 'utf8'));
+    assert.deepStrictEqual(snapshot.widgets, []);
+
+    const recovered = open('crash.json');
+    assert.deepStrictEqual(recovered.all('widgets').map(w => w.name), ['uno bis', 'dos']);
+  });
+
+  test('una transaccion se escribe como una sola linea del journal', () => {
+    const store = open('batch.json');
+    store.transaction(() => {
+      store.insert('widgets', { name: 'a' });
+      store.insert('widgets', { name: 'b' });
+    });
+
+    const lines = journalLines('batch.json');
+    assert.strictEqual(lines.length, 1);
+    assert.strictEqual(JSON.parse(lines[0]).op, 'batch');
+    assert.strictEqual(open('batch.json').all('widgets').length, 2);
+  });
+
+  test('una ultima linea cortada se descarta; una linea corrupta en medio impide arrancar', () => {
+    const store = open('torn.json');
+    store.insert('widgets', { name: 'completo' });
+    fs.appendFileSync(path.join(dir, 'torn.json.journal'), '{"seq":2,"op":"ins');
+
+    assert.deepStrictEqual(open('torn.json').all('widgets').map(w => w.name), ['completo']);
+
+    const broken = open('broken.json');
+    broken.insert('widgets', { name: 'x' });
+    broken.insert('widgets', { name: 'y' });
+    const journal = path.join(dir, 'broken.json.journal');
+    const [firstLine, secondLine] = journalLines('broken.json');
+    fs.writeFileSync(journal, `${firstLine.slice(0, 10)}\n${secondLine}\n`);
+
+    assert.throws(() => open('broken.json'), /Journal corrupto en la linea 1/);
+  });
+
+  test('si el archivo principal esta corrupto se usa el respaldo y se reaplica el journal', () => {
+    const store = open('backup.json');
+    store.insert('widgets', { name: 'guardado' });
+    store.flush();
+    store.insert('widgets', { name: 'en el journal' });
+    store.flush();
+
+    const file = path.join(dir, 'backup.json');
+    fs.writeFileSync(file, '{"widgets": [');
+
+    const recovered = open('backup.json');
+    assert.deepStrictEqual(recovered.all('widgets').map(w => w.name), ['guardado', 'en el journal']);
+    // El archivo danado se conserva para revisarlo
+    assert.ok(fs.readdirSync(dir).some(name => name.startsWith('backup.json.corrupt-')));
+  });
+
+  test('sin archivo ni respaldo valido pero con journal, no arranca', () => {
+    const store = open('lost.json');
+    store.insert('widgets', { name: 'x' });
+    fs.writeFileSync(path.join(dir, 'lost.json'), 'no es json');
+    fs.writeFileSync(path.join(dir, 'lost.json.bak'), 'tampoco');
+
+    assert.throws(() => open('lost.json'), /No se puede cargar la base de datos/);
+  });
+});
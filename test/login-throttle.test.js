@@ -0,0 +1,61 @@
+require('./helpers');
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const bcrypt = require('bcryptjs');
+const db = require('../database/db');
+const loginThrottle = require('../lib/login-throttle');
+
+let user;
+
+before(() => {
+  user = db.insert('users', {
+    org_id: 1,
+    username: 'throttled',
+    email: null,
+    password: bcrypt.hashSync('correcta', 4),
+    role: 'employee',
+    first_name: null,
+    last_name: null,
+    department: null,
+    avatar: null
+  });
+});
+
+// Igual que POST /api/auth/login: reservar, comprobar (await) y registrar el resultado
+async function attemptLogin(password, ip) {
+  if (loginThrottle.beginAttempt(user, ip) > 0) return 429;
+
+  let valid = false;
+  try {
+    valid = await bcrypt.compare(password, user.password);
+  } finally {
+    loginThrottle.endAttempt(user, ip);
+  }
+
+  if (!valid) {
+    loginThrottle.recordFailure(user, ip);
+    return 401;
+  }
+  loginThrottle.recordSuccess(user);
+  return 200;
+}
+
+test('intentos simultaneos no pasan todos el control antes del primer fallo', async () => {
+  const results = await Promise.all(Array.from({ length: 40 }, () => attemptLogin('incorrecta', '10.0.0.1')));
+
+  // Solo un intento por cuenta a la vez: el resto espera el retraso
+  assert.strictEqual(results.filter(status => status === 401).length, 1);
+  assert.strictEqual(results.filter(status => status === 429).length, 39);
+});
+
+test('intentos simultaneos de varias cuentas respetan el maximo por IP', async () => {
+  const others = Array.from({ length: 40 }, (_, i) => ({ id: 1000 + i, org_id: 1 }));
+  const maxIp = loginThrottle.config.maxAttempts.ip;
+
+  const allowed = others.filter(other => loginThrottle.beginAttempt(other, '10.0.0.2') === 0);
+  assert.strictEqual(allowed.length, maxIp);
+
+  allowed.forEach(other => loginThrottle.endAttempt(other, '10.0.0.2'));
+  assert.strictEqual(loginThrottle.checkLogin(others[0], '10.0.0.2'), 0);
+});
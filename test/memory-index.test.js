@@ -0,0 +1,72 @@
+const { dir } = require('./helpers');
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createMemoryIndex } = require('../database/adapters/memory-index');
+const { createJsonAdapter } = require('../database/adapters/json');
+
+const records = [
+  { id: 1, user_id: 1, date: '2026-10-19', clock_out: null },
+  { id: 2, user_id: 2, date: '2026-10-19' },
+  { id: 3, user_id: 1, date: '2026-10-20', clock_out: '2026-10-20T17:00:00.000Z' }
+];
+
+describe('indices en memoria', () => {
+  test('where por indice da lo mismo que recorrer la tabla', () => {
+    const index = createMemoryIndex({ attendance: [['user_id'], ['user_id', 'date']] });
+    index.build({ attendance: records });
+    const where = (criteria) => index.where('attendance', criteria, records).map(r => r.id);
+
+    assert.deepStrictEqual(where({ user_id: 1 }), [1, 3]);
+    assert.deepStrictEqual(where({ user_id: 1, date: '2026-10-20' }), [3]);
+    // Un campo fuera del indice se filtra despues; un campo ausente vale null
+    assert.deepStrictEqual(where({ user_id: 1, clock_out: null }), [1]);
+    assert.deepStrictEqual(where({ clock_out: null }), [1, 2]);
+    assert.deepStrictEqual(where({ user_id: [2, 3] }), [2]);
+    assert.deepStrictEqual(where({ user_id: 9 }), []);
+    assert.strictEqual(index.get('attendance', 2), records[1]);
+  });
+
+  test('add y remove mantienen los indices', () => {
+    const index = createMemoryIndex({ tasks: [['user_id']] });
+    index.build({ tasks: [] });
+
+    const task = { id: 1, user_id: 5 };
+    index.add('tasks', task);
+    assert.deepStrictEqual(index.where('tasks', { user_id: 5 }, []), [task]);
+
+    index.remove('tasks', task);
+    index.add('tasks', { ...task, user_id: 6 });
+    assert.deepStrictEqual(index.where('tasks', { user_id: 5 }, []), []);
+    assert.strictEqual(index.where('tasks', { user_id: 6 }, []).length, 1);
+  });
+});
+
+describe('indices del almacen JSON', () => {
+  const store = createJsonAdapter({
+    file: path.join(dir, 'indexed.json'),
+    initialData: { tasks: [] },
+    indexes: { tasks: [['user_id', 'status']] }
+  });
+  after(() => store.close());
+
+  test('siguen al dia despues de update, remove y una transaccion deshecha', () => {
+    const task = store.insert('tasks', { user_id: 1, status: 'pending' });
+    store.insert('tasks', { user_id: 1, status: 'pending' });
+
+    store.update('tasks', task.id, { status: 'completed' });
+    assert.strictEqual(store.where('tasks', { user_id: 1, status: 'pending' }).length, 1);
+    assert.deepStrictEqual(store.where('tasks', { user_id: 1, status: 'completed' }).map(t => t.id), [task.id]);
+
+    assert.throws(() => store.transaction(() => {
+      store.update('tasks', task.id, { status: 'pending' });
+      store.remove('tasks', task.id + 1);
+      throw new Error('falla');
+    }));
+    assert.strictEqual(store.where('tasks', { user_id: 1, status: 'pending' }).length, 1);
+    assert.strictEqual(store.where('tasks', { user_id: 1, status: 'completed' }).length, 1);
+
+    store.remove('tasks', task.id);
+    assert.strictEqual(store.where('tasks', { user_id: 1, status: 'completed' }).length, 0);
+  });
+});
@@ -0,0 +1,59 @@
+const { dir, startServer } = require('./helpers');
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createJsonAdapter } = require('../database/adapters/json');
+const { migrate, migrationStatus, getSchemaVersion } = require('../database/migrator');
+
+const LATEST = Math.max(...fs.readdirSync(path.join(__dirname, '../database/migrations'))
+  .map(file => parseInt(file.split('_')[0])));
+
+// Datos anteriores a las migraciones: sin organizaciones ni campos nuevos
+const legacyData = {
+  users: [
+    { id: 1, username: 'ana', password: 'x', role: 'admin' },
+    { id: 2, username: 'luis', password: 'x', role: 'employee' }
+  ],
+  attendance: [{ id: 1, user_id: 2, date: '2026-10-19', clock_in: '2026-10-19T09:00:00.000Z' }],
+  breaks: [{ id: 1, user_id: 2, date: '2026-10-19', start_time: '2026-10-19T12:00:00.000Z' }],
+  chat_messages: [],
+  incidents: [{ id: 1, user_id: 2, title: 'x', description: 'y', status: 'open' }]
+};
+
+describe('migraciones', () => {
+  const store = createJsonAdapter({ file: path.join(dir, 'legacy.json'), initialData: legacyData, indexes: {} });
+  after(() => store.close());
+
+  test('una base antigua se actualiza en orden hasta la ultima version', () => {
+    assert.strictEqual(getSchemaVersion(store), 0);
+    assert.ok(migrationStatus(store).every(m => m.applied_at === null));
+
+    const applied = migrate(store);
+    assert.strictEqual(applied.length, LATEST);
+    assert.strictEqual(getSchemaVersion(store), LATEST);
+    assert.ok(migrationStatus(store).every(m => m.applied_at !== null));
+
+    const [organization] = store.all('organizations');
+    const users = store.all('users');
+    assert.ok(users.every(u => u.org_id === organization.id && u.is_active === true && u.manager_id === null));
+    assert.strictEqual(store.get('breaks', 1).attendance_id, 1);
+    assert.strictEqual(store.get('incidents', 1).assigned_to, null);
+  });
+
+  test('las migraciones no cambian roles', () => {
+    assert.deepStrictEqual(store.all('users').map(u => u.role), ['admin', 'employee']);
+  });
+
+  test('volver a migrar no hace nada', () => {
+    assert.deepStrictEqual(migrate(store), []);
+    assert.strictEqual(store.all('organizations').length, 1);
+  });
+
+  test('la aplicacion migra la base al arrancar', async () => {
+    await startServer();
+    const db = require('../database/db');
+    assert.strictEqual(db.schemaVersion(), LATEST);
+    assert.deepStrictEqual(db.migrate(), []);
+  });
+});
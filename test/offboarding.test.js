@@ -0,0 +1,83 @@
+const { ADMIN, api, loginAs, tokenFor, createUser } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+
+describe('baja de usuarios', () => {
+  let admin;
+
+  before(async () => {
+    admin = await tokenFor(ADMIN);
+  });
+
+  test('la baja cierra lo pendiente y reasigna el incidente sin cambiar quien lo reporto', async () => {
+    const worker = await createUser(admin);
+    const colleague = await createUser(admin);
+    const session = await loginAs(worker);
+
+    await api('POST', '/api/attendance/clock-in', { token: session.token });
+    await api('POST', '/api/tasks', { token: session.token, body: { title: 'Inventario' } });
+    const incident = await api('POST', '/api/incidents', {
+      token: session.token,
+      body: { title: 'Impresora', description: 'No imprime' }
+    });
+
+    const res = await api('POST', `/api/users/${worker.id}/offboard`, {
+      token: admin,
+      body: { reassign_to: colleague.id }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data.user.is_active, false);
+    assert.deepStrictEqual(res.body.data.summary, {
+      attendance_closed: 1,
+      breaks_closed: 0,
+      permissions_cancelled: 0,
+      tasks_reassigned: 1,
+      incidents_reassigned: 1,
+      reassigned_to: colleague.id
+    });
+
+    // El asignado ve el incidente y lo gestiona; el reporte sigue a nombre del trabajador
+    const colleagueToken = await tokenFor(colleague);
+    const list = await api('GET', '/api/incidents', { token: colleagueToken });
+    const assigned = list.body.data.find(i => i.id === incident.body.data.id);
+    assert.strictEqual(assigned.user_id, worker.id);
+    assert.strictEqual(assigned.reported_by, worker.username);
+    assert.strictEqual(assigned.assigned_to, colleague.id);
+    assert.strictEqual(assigned.assigned_to_username, colleague.username);
+
+    const resolved = await api('PUT', `/api/incidents/${assigned.id}/status`, {
+      token: colleagueToken,
+      body: { status: 'resolved' }
+    });
+    assert.strictEqual(resolved.status, 200);
+
+    // Sin acceso: ni el token anterior ni un login nuevo
+    const me = await api('GET', '/api/auth/me', { token: session.token });
+    assert.strictEqual(me.status, 401);
+    const login = await api('POST', '/api/auth/login', { body: { username: worker.username, password: worker.password } });
+    assert.notStrictEqual(login.status, 200);
+  });
+
+  test('DELETE desactiva al usuario y conserva su historial', async () => {
+    const worker = await createUser(admin);
+    const token = await tokenFor(worker);
+    const clockIn = await api('POST', '/api/attendance/clock-in', { token });
+    await api('POST', '/api/attendance/clock-out', { token });
+
+    const res = await api('DELETE', `/api/users/${worker.id}`, { token: admin });
+    assert.strictEqual(res.status, 200);
+
+    const user = await api('GET', `/api/users/${worker.id}`, { token: admin });
+    assert.strictEqual(user.status, 200);
+    assert.strictEqual(user.body.data.user.is_active, false);
+
+    const date = clockIn.body.data.attendance.date;
+    const attendance = await api('GET', `/api/attendance/all?date=${date}`, { token: admin });
+    assert.ok(attendance.body.data.attendance.some(a => a.id === clockIn.body.data.attendance.id));
+
+    // Ya esta desactivado; y nadie se elimina a si mismo
+    assert.strictEqual((await api('DELETE', `/api/users/${worker.id}`, { token: admin })).status, 400);
+    const self = await api('GET', '/api/auth/me', { token: admin });
+    assert.strictEqual((await api('DELETE', `/api/users/${self.body.data.user.id}`, { token: admin })).status, 400);
+  });
+});
@@ -0,0 +1,71 @@
+const { ADMIN, EMPLOYEE, api, tokenFor, createUser, makeSuperAdmin } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+
+describe('organizaciones', () => {
+  let platform;
+  let beta;
+  let betaAdmin;
+  let rock;
+
+  before(async () => {
+    // Las migraciones no cambian roles: admin sigue siendo admin
+    const admin = await tokenFor(ADMIN);
+    const me = await api('GET', '/api/auth/me', { token: admin });
+    assert.strictEqual(me.body.data.user.role, 'admin');
+    assert.strictEqual((await api('GET', '/api/organizations', { token: admin })).status, 403);
+
+    rock = (await api('GET', '/api/auth/me', { token: await tokenFor(EMPLOYEE) })).body.data.user;
+
+    await makeSuperAdmin(ADMIN.username);
+    platform = await tokenFor(ADMIN);
+
+    const created = await api('POST', '/api/organizations', { token: platform, body: { name: 'Beta', slug: 'beta' } });
+    assert.strictEqual(created.status, 201);
+    beta = created.body.data.organization;
+
+    const switched = await api('POST', `/api/organizations/${beta.id}/switch`, { token: platform });
+    assert.strictEqual(switched.status, 200);
+    betaAdmin = await createUser(switched.body.data.token, { role: 'admin' });
+  });
+
+  test('el super_admin se da de forma explicita y solo a usuarios existentes', async () => {
+    const { grantSuperAdmin } = require('../lib/super-admin');
+    assert.match(grantSuperAdmin('nadie').error, /No existe/);
+
+    const organizations = await api('GET', '/api/organizations', { token: platform });
+    assert.strictEqual(organizations.status, 200);
+    assert.strictEqual(organizations.body.data.organizations.length, 2);
+  });
+
+  test('un admin solo ve y modifica usuarios de su organizacion', async () => {
+    const token = await tokenFor(betaAdmin);
+
+    const users = await api('GET', '/api/users', { token });
+    assert.deepStrictEqual(users.body.data.users.map(u => u.id), [betaAdmin.id]);
+
+    assert.strictEqual((await api('GET', `/api/users/${rock.id}`, { token })).status, 404);
+    assert.strictEqual((await api('PUT', `/api/users/${rock.id}`, { token, body: { first_name: 'X' } })).status, 404);
+    assert.strictEqual((await api('DELETE', `/api/users/${rock.id}`, { token })).status, 404);
+    assert.strictEqual((await api('GET', '/api/organizations', { token })).status, 403);
+  });
+
+  test('los registros de otra organizacion no aparecen en los listados', async () => {
+    const rockToken = await tokenFor(EMPLOYEE);
+    const incident = await api('POST', '/api/incidents', {
+      token: rockToken,
+      body: { title: 'Red', description: 'Sin conexion' }
+    });
+    assert.strictEqual(incident.status, 201);
+
+    const token = await tokenFor(betaAdmin);
+    const incidents = await api('GET', '/api/incidents', { token });
+    assert.deepStrictEqual(incidents.body.data, []);
+
+    const status = await api('PUT', `/api/incidents/${incident.body.data.id}/status`, {
+      token,
+      body: { status: 'resolved' }
+    });
+    assert.strictEqual(status.status, 404);
+  });
+});
@@ -0,0 +1,69 @@
+const { ADMIN, api, mails, loginAs, tokenFor, createUser } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+
+// Token del enlace del ultimo correo enviado a `to`
+const resetTokenFor = (to) => {
+  const mail = mails.filter(m => m.to === to).pop();
+  return decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+};
+
+describe('contrasenas', () => {
+  let admin;
+
+  before(async () => {
+    admin = await tokenFor(ADMIN);
+  });
+
+  test('recuperar la contrasena por correo cierra las sesiones y el enlace sirve una vez', async () => {
+    const user = await createUser(admin, { email: 'olvido@example.com' });
+    const session = await loginAs(user);
+
+    const sent = await api('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+    assert.strictEqual(sent.status, 200);
+    const token = resetTokenFor(user.email);
+
+    const reset = await api('POST', '/api/auth/reset-password', { body: { token, password: 'NuevaClave24x!' } });
+    assert.strictEqual(reset.status, 200);
+
+    assert.strictEqual((await api('GET', '/api/auth/me', { token: session.token })).status, 401);
+    await loginAs({ username: user.username, password: 'NuevaClave24x!' });
+
+    const again = await api('POST', '/api/auth/reset-password', { body: { token, password: 'OtraClave24x!' } });
+    assert.strictEqual(again.status, 400);
+  });
+
+  test('la respuesta no revela si la cuenta existe', async () => {
+    const before = mails.length;
+    const res = await api('POST', '/api/auth/forgot-password', { body: { email: 'nadie@example.com' } });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(mails.length, before);
+  });
+
+  test('una nueva solicitud anula el enlace anterior', async () => {
+    const user = await createUser(admin, { email: 'doble@example.com' });
+    await api('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+    const first = resetTokenFor(user.email);
+    await api('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+
+    const res = await api('POST', '/api/auth/reset-password', { body: { token: first, password: 'NuevaClave24x!' } });
+    assert.strictEqual(res.status, 400);
+  });
+
+  test('cambiar la contrasena pide la actual, aplica la politica y cierra las demas sesiones', async () => {
+    const user = await createUser(admin);
+    const other = await loginAs(user);
+    const current = await loginAs(user);
+    const change = (body) => api('PUT', '/api/auth/password', { token: current.token, body });
+
+    assert.strictEqual((await change({ current_password: 'incorrecta', new_password: 'NuevaClave24x!' })).status, 401);
+    assert.strictEqual((await change({ current_password: user.password, new_password: '123' })).status, 400);
+    assert.strictEqual((await change({ current_password: user.password, new_password: user.password })).status, 400);
+
+    const res = await change({ current_password: user.password, new_password: 'NuevaClave24x!' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data.revoked, 1);
+    assert.strictEqual((await api('GET', '/api/auth/me', { token: other.token })).status, 401);
+    assert.strictEqual((await api('GET', '/api/auth/me', { token: current.token })).status, 200);
+  });
+});
@@ -0,0 +1,68 @@
+const { ADMIN, api, tokenFor, createUser } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+const { can } = require('../lib/permissions');
+
+describe('permisos por rol', () => {
+  let admin;
+
+  before(async () => {
+    admin = await tokenFor(ADMIN);
+  });
+
+  test('can() segun el rol, con :read:all incluyendo :read:team y limitado por scopes', () => {
+    const user = (role, scopes) => ({ role, org_id: 1, scopes });
+
+    assert.strictEqual(can(user('admin'), 'users:manage'), true);
+    assert.strictEqual(can(user('admin'), 'backups:manage'), false);
+    assert.strictEqual(can(user('admin'), 'attendance:read:team'), true);
+    assert.strictEqual(can(user('supervisor'), 'attendance:read:team'), true);
+    assert.strictEqual(can(user('supervisor'), 'attendance:read:all'), false);
+    assert.strictEqual(can(user('employee'), 'users:read:all'), false);
+    assert.strictEqual(can(user('super_admin'), 'backups:manage'), true);
+    assert.strictEqual(can(user('admin', ['users:read:all']), 'users:manage'), false);
+    assert.strictEqual(can(user('inexistente'), 'users:read:all'), false);
+  });
+
+  test('un rol propio da exactamente sus permisos', async () => {
+    const created = await api('POST', '/api/roles', {
+      token: admin,
+      body: { name: 'auditor', permissions: ['users:read:all'] }
+    });
+    assert.strictEqual(created.status, 201);
+
+    const auditor = await tokenFor(await createUser(admin, { role: 'auditor' }));
+    assert.strictEqual((await api('GET', '/api/users', { token: auditor })).status, 200);
+    assert.strictEqual((await api('POST', '/api/users', { token: auditor, body: { username: 'x', password: 'Secreto24x!' } })).status, 403);
+    assert.strictEqual((await api('GET', '/api/trash', { token: auditor })).status, 403);
+  });
+
+  test('los roles incluidos se ajustan por organizacion', async () => {
+    const employee = await tokenFor(await createUser(admin));
+    assert.strictEqual((await api('GET', '/api/users', { token: employee })).status, 403);
+
+    const updated = await api('PUT', '/api/roles/employee', { token: admin, body: { permissions: ['users:read:all'] } });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual((await api('GET', '/api/users', { token: employee })).status, 200);
+
+    await api('PUT', '/api/roles/employee', { token: admin, body: { permissions: [] } });
+    assert.strictEqual((await api('GET', '/api/users', { token: employee })).status, 403);
+  });
+
+  test('no se otorgan permisos de plataforma, desconocidos ni roles superiores', async () => {
+    const post = (body) => api('POST', '/api/roles', { token: admin, body });
+
+    assert.strictEqual((await post({ name: 'copias', permissions: ['backups:manage'] })).status, 400);
+    assert.strictEqual((await post({ name: 'raro', permissions: ['todo:todo'] })).status, 400);
+    assert.strictEqual((await post({ name: 'Mayusculas', permissions: [] })).status, 400);
+    assert.strictEqual((await post({ name: 'admin', permissions: [] })).status, 409);
+    assert.strictEqual((await api('PUT', '/api/roles/super_admin', { token: admin, body: { permissions: [] } })).status, 403);
+    assert.strictEqual((await api('PUT', '/api/roles/admin', { token: admin, body: { permissions: ['users:manage'] } })).status, 400);
+
+    const res = await api('POST', '/api/users', {
+      token: admin,
+      body: { username: 'plataforma', password: 'Secreto24x!', role: 'super_admin' }
+    });
+    assert.strictEqual(res.status, 403);
+  });
+});
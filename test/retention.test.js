@@ -0,0 +1,56 @@
+const { ADMIN, dir, api, tokenFor, makeSuperAdmin } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+describe('retencion de datos', () => {
+  let token;
+  let db;
+
+  before(async () => {
+    await makeSuperAdmin(ADMIN.username);
+    token = await tokenFor(ADMIN);
+    db = require('../database/db');
+  });
+
+  const log = (createdAt) => db.insert('activity_logs', { org_id: 1, user_id: 1, event: 'afk_start', created_at: createdAt });
+
+  test('la prueba cuenta sin borrar y la ejecucion archiva y borra solo lo vencido', async () => {
+    const old = log(daysAgo(40));
+    const recent = log(daysAgo(5));
+
+    const created = await api('POST', '/api/retention', {
+      token,
+      body: { table_name: 'activity_logs', days: 30, action: 'archive' }
+    });
+    assert.strictEqual(created.status, 201);
+    const { id } = created.body.data.policy;
+
+    const dryRun = await api('POST', `/api/retention/${id}/dry-run`, { token });
+    assert.strictEqual(dryRun.body.data.matched, 1);
+    assert.ok(db.getById('activity_logs', old.id));
+
+    const run = await api('POST', `/api/retention/${id}/run`, { token });
+    assert.strictEqual(run.status, 200);
+    assert.strictEqual(run.body.data.removed, 1);
+    assert.strictEqual(db.getById('activity_logs', old.id), undefined);
+    assert.ok(db.getById('activity_logs', recent.id));
+
+    const archived = fs.readFileSync(path.join(dir, 'archive', 'activity_logs.jsonl'), 'utf8')
+      .split('\n').filter(Boolean).map(line => JSON.parse(line));
+    assert.deepStrictEqual(archived.map(r => r.id), [old.id]);
+  });
+
+  test('las politicas invalidas o repetidas se rechazan', async () => {
+    const post = (body) => api('POST', '/api/retention', { token, body });
+
+    assert.strictEqual((await post({ table_name: 'users', days: 30 })).status, 400);
+    assert.strictEqual((await post({ table_name: 'chat_messages', days: 0 })).status, 400);
+    assert.strictEqual((await post({ table_name: 'chat_messages', days: 30, action: 'shred' })).status, 400);
+    assert.strictEqual((await post({ table_name: 'activity_logs', days: 10 })).status, 409);
+  });
+});
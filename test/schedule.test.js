@@ -0,0 +1,104 @@
+const { ADMIN, api, tokenFor, createUser } = require('./helpers');
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const schedule = require('../lib/schedule');
+
+const HOUR_MS = 60 * 60 * 1000;
+// 2026-10-19 es lunes
+const MONDAY_NIGHT = { mon: { start: '22:00', end: '06:00' } };
+
+describe('horario de trabajo', () => {
+  test('acepta turnos que cruzan la medianoche y rechaza inicio igual al fin', () => {
+    assert.strictEqual(schedule.checkSchedule(MONDAY_NIGHT), null);
+    assert.match(schedule.checkSchedule({ mon: { start: '09:00', end: '09:00' } }), /no pueden ser iguales/);
+    assert.match(schedule.checkSchedule({ xyz: null }), /Dia invalido/);
+    assert.match(schedule.checkSchedule({ mon: { start: '9' } }), /HH:MM/);
+  });
+
+  test('la zona por defecto es UTC', () => {
+    assert.strictEqual(schedule.DEFAULT_TIMEZONE, 'UTC');
+    assert.strictEqual(schedule.localDate({}, new Date('2026-10-19T23:30:00Z')), '2026-10-19');
+    assert.strictEqual(schedule.localDate({ timezone: 'Asia/Tokyo' }, new Date('2026-10-19T23:30:00Z')), '2026-10-20');
+  });
+
+  test('una entrada despues del inicio del turno nocturno es tarde, tambien despues de medianoche', () => {
+    const user = { timezone: 'UTC', work_schedule: MONDAY_NIGHT };
+    const at = (iso) => schedule.clockInStatus(user, new Date(iso));
+
+    assert.strictEqual(at('2026-10-19T21:50:00Z'), 'present');
+    assert.strictEqual(at('2026-10-19T22:10:00Z'), 'late');
+    assert.strictEqual(at('2026-10-20T02:00:00Z'), 'late');
+    // El martes no tiene turno: despues del fin del nocturno no hay retraso
+    assert.strictEqual(at('2026-10-20T07:00:00Z'), 'present');
+  });
+
+  test('sin horario la jornada empieza a las 09:00', () => {
+    assert.strictEqual(schedule.clockInStatus({ timezone: 'UTC' }, new Date('2026-10-19T08:59:00Z')), 'present');
+    assert.strictEqual(schedule.clockInStatus({ timezone: 'UTC' }, new Date('2026-10-19T09:01:00Z')), 'late');
+  });
+});
+
+describe('turno que cruza la medianoche', () => {
+  let user;
+  let token;
+
+  // Avanzar el reloj; el token de acceso vence, asi que se inicia sesion de nuevo
+  const advance = async (ms) => {
+    mock.timers.tick(ms);
+    token = await tokenFor(user);
+  };
+
+  before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-19T21:55:00Z') });
+    const admin = await tokenFor(ADMIN);
+    user = await createUser(admin, { timezone: 'UTC', work_schedule: MONDAY_NIGHT });
+    token = await tokenFor(user);
+  });
+
+  after(() => mock.timers.reset());
+
+  test('entrada, breaks y salida funcionan despues de que cambia la fecha local', async () => {
+    const clockIn = await api('POST', '/api/attendance/clock-in', { token });
+    assert.strictEqual(clockIn.status, 201);
+    assert.strictEqual(clockIn.body.data.attendance.date, '2026-10-19');
+    assert.strictEqual(clockIn.body.data.attendance.status, 'present');
+
+    await advance(3 * HOUR_MS); // 00:55 del martes
+    const lunch = await api('POST', '/api/breaks/start', { token, body: { type: 'lunch' } });
+    assert.strictEqual(lunch.status, 201);
+    assert.strictEqual(lunch.body.data.break.attendance_id, clockIn.body.data.attendance.id);
+    assert.strictEqual(lunch.body.data.break.date, '2026-10-19');
+
+    const active = await api('GET', '/api/breaks/active', { token });
+    assert.strictEqual(active.body.data.active, true);
+
+    await advance(HOUR_MS / 2);
+    const end = await api('POST', '/api/breaks/end', { token });
+    assert.strictEqual(end.status, 200);
+    assert.strictEqual(end.body.data.duration, 30);
+
+    // El almuerzo ya se tomo en esta jornada aunque hoy sea otra fecha
+    const again = await api('POST', '/api/breaks/start', { token, body: { type: 'lunch' } });
+    assert.strictEqual(again.status, 400);
+
+    // No se abre otra entrada mientras el turno de ayer sigue abierto
+    const secondClockIn = await api('POST', '/api/attendance/clock-in', { token });
+    assert.strictEqual(secondClockIn.status, 400);
+
+    const today = await api('GET', '/api/attendance/today', { token });
+    assert.strictEqual(today.body.data.date, '2026-10-19');
+    assert.strictEqual(today.body.data.attendance.id, clockIn.body.data.attendance.id);
+    assert.strictEqual(today.body.data.breaks.length, 1);
+
+    const breaksToday = await api('GET', '/api/breaks/today', { token });
+    assert.strictEqual(breaksToday.body.data.breaks.length, 1);
+
+    await advance(4.5 * HOUR_MS + 5 * 60 * 1000); // 06:00 del martes
+    const clockOut = await api('POST', '/api/attendance/clock-out', { token });
+    assert.strictEqual(clockOut.status, 200);
+    assert.strictEqual(clockOut.body.data.attendance.total_hours, 8.08);
+
+    const noShift = await api('POST', '/api/attendance/clock-out', { token });
+    assert.strictEqual(noShift.status, 400);
+  });
+});
@@ -0,0 +1,54 @@
+const { EMPLOYEE, api, loginAs } = require('./helpers');
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const refresh = (refreshToken) => api('POST', '/api/auth/refresh', { body: { refreshToken } });
+const me = (token) => api('GET', '/api/auth/me', { token });
+
+describe('sesiones y refresh tokens', () => {
+  test('cada refresh entrega un par nuevo y el refresh token anterior deja de servir', async () => {
+    const login = await loginAs(EMPLOYEE);
+
+    const first = await refresh(login.refreshToken);
+    assert.strictEqual(first.status, 200);
+    assert.notStrictEqual(first.body.data.refreshToken, login.refreshToken);
+    assert.strictEqual((await me(first.body.data.token)).status, 200);
+
+    const second = await refresh(first.body.data.refreshToken);
+    assert.strictEqual(second.status, 200);
+
+    // Reusar un refresh token ya cambiado: alguien lo copio, se cierra la sesion
+    const reused = await refresh(first.body.data.refreshToken);
+    assert.strictEqual(reused.status, 401);
+    assert.strictEqual((await me(second.body.data.token)).status, 401);
+    assert.strictEqual((await refresh(second.body.data.refreshToken)).status, 401);
+  });
+
+  test('logout cierra la sesion y su refresh token', async () => {
+    const login = await loginAs(EMPLOYEE);
+    assert.strictEqual((await api('POST', '/api/auth/logout', { token: login.token })).status, 200);
+    assert.strictEqual((await me(login.token)).status, 401);
+    assert.strictEqual((await refresh(login.refreshToken)).status, 401);
+  });
+
+  test('se listan las sesiones propias y se cierran las demas', async () => {
+    const other = await loginAs(EMPLOYEE);
+    const current = await loginAs(EMPLOYEE);
+
+    const list = await api('GET', '/api/auth/sessions', { token: current.token });
+    assert.ok(list.body.data.sessions.length >= 2);
+    assert.strictEqual(list.body.data.sessions.filter(s => s.current).length, 1);
+    assert.ok(list.body.data.sessions.every(s => !('refresh_token_hash' in s)));
+
+    const closed = await api('DELETE', '/api/auth/sessions', { token: current.token });
+    assert.ok(closed.body.data.revoked >= 1);
+    assert.strictEqual((await me(other.token)).status, 401);
+    assert.strictEqual((await me(current.token)).status, 200);
+  });
+
+  test('un refresh token ausente o inventado no sirve', async () => {
+    assert.strictEqual((await api('POST', '/api/auth/refresh', { body: {} })).status, 400);
+    assert.strictEqual((await refresh('1.inventado')).status, 401);
+    assert.strictEqual((await refresh('basura')).status, 401);
+  });
+});
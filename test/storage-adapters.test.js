@@ -0,0 +1,92 @@
+const { dir } = require('./helpers');
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createJsonAdapter } = require('../database/adapters/json');
+const { createSqliteAdapter } = require('../database/adapters/sqlite');
+
+// Los dos almacenes tienen que comportarse igual detras de database/db.js
+const adapters = {
+  json: () => createJsonAdapter({ file: path.join(dir, 'contract.json'), initialData: { widgets: [] }, indexes: { widgets: [['owner_id']] } }),
+  sqlite: () => createSqliteAdapter({ file: path.join(dir, 'contract.sqlite'), initialData: { widgets: [] }, indexes: { widgets: [['owner_id']] } })
+};
+
+Object.entries(adapters).forEach(([driver, create]) => {
+  describe(`almacen ${driver}`, () => {
+    const store = create();
+    after(() => store.close());
+
+    test('insert asigna ids y conserva booleanos, objetos y nulls', () => {
+      const first = store.insert('widgets', { name: 'uno', active: true, meta: { tags: ['a'] }, owner_id: 1, notes: null });
+      const second = store.insert('widgets', { name: 'dos', active: false, meta: null, owner_id: 2, notes: null });
+
+      assert.strictEqual(second.id, first.id + 1);
+      assert.deepStrictEqual(store.get('widgets', first.id), {
+        id: first.id, name: 'uno', active: true, meta: { tags: ['a'] }, owner_id: 1, notes: null
+      });
+      assert.strictEqual(store.get('widgets', second.id).active, false);
+    });
+
+    test('where busca por igualdad, por lista de valores y por null', () => {
+      store.insert('widgets', { name: 'tres', active: true, owner_id: 1, notes: 'x' });
+
+      assert.deepStrictEqual(store.where('widgets', { owner_id: 1 }).map(w => w.name), ['uno', 'tres']);
+      assert.deepStrictEqual(store.where('widgets', { owner_id: [2, 3] }).map(w => w.name), ['dos']);
+      assert.deepStrictEqual(store.where('widgets', { notes: null }).map(w => w.name), ['uno', 'dos']);
+      // Un campo que ningun registro tiene vale null
+      assert.strictEqual(store.where('widgets', { missing: null }).length, 3);
+      assert.strictEqual(store.where('widgets', { missing: 'x' }).length, 0);
+    });
+
+    test('update cambia solo los campos enviados y agrega columnas nuevas', () => {
+      const [widget] = store.where('widgets', { name: 'dos' });
+      const updated = store.update('widgets', widget.id, { active: true, color: 'rojo' });
+
+      assert.strictEqual(updated.name, 'dos');
+      assert.strictEqual(updated.active, true);
+      assert.strictEqual(updated.color, 'rojo');
+      assert.strictEqual(store.update('widgets', 999, { name: 'x' }), null);
+    });
+
+    test('remove elimina el registro', () => {
+      const [widget] = store.where('widgets', { name: 'tres' });
+      assert.strictEqual(store.remove('widgets', widget.id), true);
+      assert.strictEqual(store.get('widgets', widget.id), undefined);
+      assert.strictEqual(store.remove('widgets', widget.id), false);
+    });
+
+    test('transaction deshace todo si falla y una anidada se deshace sola', () => {
+      const before = store.all('widgets').map(w => ({ ...w }));
+
+      assert.throws(() => store.transaction(() => {
+        store.insert('widgets', { name: 'temporal', owner_id: 9 });
+        store.update('widgets', before[0].id, { name: 'cambiado' });
+        throw new Error('falla');
+      }), /falla/);
+
+      assert.deepStrictEqual(store.all('widgets'), before);
+      assert.strictEqual(store.where('widgets', { owner_id: 9 }).length, 0);
+
+      const kept = store.transaction(() => {
+        const outer = store.insert('widgets', { name: 'exterior', owner_id: 7 });
+        assert.throws(() => store.transaction(() => {
+          store.update('widgets', outer.id, { name: 'interior' });
+          store.insert('widgets', { name: 'descartado', owner_id: 7 });
+          throw new Error('falla interior');
+        }), /falla interior/);
+        return outer;
+      });
+
+      assert.deepStrictEqual(store.where('widgets', { owner_id: 7 }).map(w => w.name), ['exterior']);
+      assert.strictEqual(store.get('widgets', kept.id).name, 'exterior');
+      // Despues de deshacer los ids siguen sin repetirse
+      assert.ok(store.insert('widgets', { name: 'siguiente' }).id > kept.id);
+    });
+
+    test('all devuelve los registros ordenados por id', () => {
+      const ids = store.all('widgets').map(w => w.id);
+      assert.deepStrictEqual(ids, [...ids].sort((a, b) => a - b));
+      assert.deepStrictEqual(store.all('inexistente'), []);
+    });
+  });
+});
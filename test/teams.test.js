@@ -0,0 +1,64 @@
+const { ADMIN, api, tokenFor, createUser } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+
+describe('equipos por lineas de reporte', () => {
+  let admin;
+  let supervisor;
+  let supervisorToken;
+  let lead;
+  let member;
+  let outsider;
+  const incidents = {};
+
+  before(async () => {
+    admin = await tokenFor(ADMIN);
+    supervisor = await createUser(admin, { role: 'supervisor' });
+    lead = await createUser(admin, { manager_id: supervisor.id });
+    member = await createUser(admin, { manager_id: lead.id });
+    outsider = await createUser(admin);
+    supervisorToken = await tokenFor(supervisor);
+
+    for (const user of [lead, member, outsider]) {
+      const res = await api('POST', '/api/incidents', {
+        token: await tokenFor(user),
+        body: { title: `De ${user.username}`, description: 'x' }
+      });
+      incidents[user.id] = res.body.data.id;
+    }
+  });
+
+  test('el equipo incluye a quienes reportan directa o indirectamente', async () => {
+    const team = await api('GET', '/api/users/team', { token: supervisorToken });
+    assert.deepStrictEqual(team.body.data.users.map(u => u.id).sort((a, b) => a - b), [lead.id, member.id]);
+
+    const leadTeam = await api('GET', '/api/users/team', { token: await tokenFor(lead) });
+    assert.deepStrictEqual(leadTeam.body.data.users.map(u => u.id), [member.id]);
+  });
+
+  test('el supervisor ve y gestiona solo lo de su equipo', async () => {
+    const list = await api('GET', '/api/incidents', { token: supervisorToken });
+    const ids = list.body.data.map(i => i.id);
+    assert.ok(ids.includes(incidents[lead.id]));
+    assert.ok(ids.includes(incidents[member.id]));
+    assert.ok(!ids.includes(incidents[outsider.id]));
+
+    const status = (userId) => api('PUT', `/api/incidents/${incidents[userId]}/status`, {
+      token: supervisorToken,
+      body: { status: 'in_review' }
+    });
+    assert.strictEqual((await status(member.id)).status, 200);
+    assert.strictEqual((await status(outsider.id)).status, 403);
+  });
+
+  test('cambiar el responsable cambia el alcance y no se permiten ciclos', async () => {
+    const cycle = await api('PUT', `/api/users/${supervisor.id}`, { token: admin, body: { manager_id: member.id } });
+    assert.strictEqual(cycle.status, 400);
+    const self = await api('PUT', `/api/users/${lead.id}`, { token: admin, body: { manager_id: lead.id } });
+    assert.strictEqual(self.status, 400);
+
+    await api('PUT', `/api/users/${outsider.id}`, { token: admin, body: { manager_id: supervisor.id } });
+    const list = await api('GET', '/api/incidents', { token: supervisorToken });
+    assert.ok(list.body.data.some(i => i.id === incidents[outsider.id]));
+  });
+});
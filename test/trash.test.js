@@ -0,0 +1,55 @@
+const { ADMIN, EMPLOYEE, api, tokenFor, createUser } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+
+describe('papelera', () => {
+  let admin;
+  let employee;
+
+  before(async () => {
+    admin = await tokenFor(ADMIN);
+    employee = await tokenFor(EMPLOYEE);
+  });
+
+  test('lo eliminado va a la papelera, se restaura y se elimina definitivamente', async () => {
+    const task = (await api('POST', '/api/tasks', { token: employee, body: { title: 'Archivar' } })).body.data;
+    const listed = async () => (await api('GET', '/api/tasks', { token: employee })).body.data.some(t => t.id === task.id);
+
+    assert.strictEqual((await api('DELETE', `/api/tasks/${task.id}`, { token: employee })).status, 200);
+    assert.strictEqual(await listed(), false);
+
+    const trash = await api('GET', '/api/trash/tasks', { token: admin });
+    const trashed = trash.body.data.records.find(t => t.id === task.id);
+    assert.ok(trashed.deleted_at);
+
+    const restored = await api('POST', `/api/trash/tasks/${task.id}/restore`, { token: admin });
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual(restored.body.data.record.deleted_at, null);
+    assert.strictEqual(await listed(), true);
+    // Un registro activo no esta en la papelera
+    assert.strictEqual((await api('POST', `/api/trash/tasks/${task.id}/restore`, { token: admin })).status, 404);
+
+    await api('DELETE', `/api/tasks/${task.id}`, { token: employee });
+    assert.strictEqual((await api('DELETE', `/api/trash/tasks/${task.id}`, { token: admin })).status, 200);
+    assert.strictEqual((await api('POST', `/api/trash/tasks/${task.id}/restore`, { token: admin })).status, 404);
+  });
+
+  test('eliminar un registro manda tambien sus dependientes y restaurarlo los devuelve', async () => {
+    const db = require('../database/db');
+    const user = await createUser(admin);
+    const token = await tokenFor(user);
+    const task = (await api('POST', '/api/tasks', { token, body: { title: 'Propia' } })).body.data;
+
+    db.delete('users', user.id);
+    assert.strictEqual(db.getById('tasks', task.id), undefined);
+    assert.ok(db.getById('tasks', task.id, { withDeleted: true }).deleted_at);
+
+    db.restore('users', user.id);
+    assert.strictEqual(db.getById('tasks', task.id).deleted_at, null);
+  });
+
+  test('solo con trash:manage', async () => {
+    assert.strictEqual((await api('GET', '/api/trash', { token: employee })).status, 403);
+    assert.strictEqual((await api('GET', '/api/trash/sessions', { token: admin })).status, 404);
+  });
+});
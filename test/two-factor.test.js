@@ -0,0 +1,98 @@
+const { ADMIN, api, loginAs, tokenFor, createUser } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+const totp = require('../lib/totp');
+
+process.env.TWO_FACTOR_REQUIRED_ROLES = 'supervisor';
+
+// Cada fallo hace esperar un poco antes del siguiente intento (LOGIN_DELAY_MS)
+const pause = () => new Promise(resolve => setTimeout(resolve, 100));
+
+// Codigo de un periodo futuro (dentro de la ventana): un codigo ya usado no se acepta de nuevo
+const codeAt = (secret, offset) => totp.hotp(secret, totp.currentStep() + offset);
+
+describe('TOTP', () => {
+  test('coincide con los vectores del RFC 6238 y acepta un periodo de desfase', () => {
+    // Secreto "12345678901234567890" en base32
+    const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+    assert.strictEqual(totp.hotp(secret, 1), '287082');
+    assert.strictEqual(totp.verify(secret, '287082', { now: 59 * 1000 }), 1);
+    assert.strictEqual(totp.verify(secret, '287082', { now: 89 * 1000 }), 1);
+    assert.strictEqual(totp.verify(secret, '287082', { now: 119 * 1000 }), null);
+    assert.strictEqual(totp.verify(secret, '287082', { now: 59 * 1000, afterStep: 1 }), null);
+    assert.strictEqual(totp.verify(secret, 'abc', { now: 59 * 1000 }), null);
+  });
+});
+
+describe('verificacion en dos pasos', () => {
+  let admin;
+
+  before(async () => {
+    admin = await tokenFor(ADMIN);
+  });
+
+  test('activada, el login pide un codigo que no se puede reusar; los de recuperacion sirven una vez', async () => {
+    const user = await createUser(admin);
+    const token = await tokenFor(user);
+
+    const setup = await api('POST', '/api/auth/2fa/setup', { token });
+    const { secret, otpauthUri } = setup.body.data;
+    assert.match(otpauthUri, /^otpauth:\/\/totp\//);
+
+    const enabled = await api('POST', '/api/auth/2fa/enable', { token, body: { code: codeAt(secret, 0) } });
+    assert.strictEqual(enabled.status, 200);
+    const [recoveryCode] = enabled.body.data.recoveryCodes;
+
+    const challenge = async () => {
+      const login = await api('POST', '/api/auth/login', { body: { username: user.username, password: user.password } });
+      assert.strictEqual(login.body.data.twoFactorRequired, true);
+      assert.strictEqual(login.body.data.token, undefined);
+      return login.body.data.challengeToken;
+    };
+    const verify = async (body) => {
+      const res = await api('POST', '/api/auth/login/2fa', { body: { challengeToken: await challenge(), ...body } });
+      if (res.status !== 200) await pause();
+      return res;
+    };
+
+    assert.strictEqual((await verify({ code: '000000' })).status, 401);
+
+    const code = codeAt(secret, 1);
+    const ok = await verify({ code });
+    assert.strictEqual(ok.status, 200);
+    assert.ok(ok.body.data.token);
+    assert.strictEqual((await verify({ code })).status, 401);
+
+    assert.strictEqual((await verify({ recoveryCode })).status, 200);
+    assert.strictEqual((await verify({ recoveryCode })).status, 401);
+  });
+
+  test('un rol que la exige tiene que configurarla para terminar el login', async () => {
+    const supervisor = await createUser(admin, { role: 'supervisor' });
+
+    const login = await api('POST', '/api/auth/login', { body: { username: supervisor.username, password: supervisor.password } });
+    assert.strictEqual(login.body.data.twoFactorSetupRequired, true);
+    const { challengeToken } = login.body.data;
+
+    const setup = await api('POST', '/api/auth/login/2fa/setup', { body: { challengeToken } });
+    const enabled = await api('POST', '/api/auth/login/2fa/enable', {
+      body: { challengeToken, code: codeAt(setup.body.data.secret, 0) }
+    });
+    assert.strictEqual(enabled.status, 200);
+    assert.ok(enabled.body.data.token);
+    assert.strictEqual(enabled.body.data.recoveryCodes.length, 10);
+
+    // Y no la puede desactivar
+    const disable = await api('POST', '/api/auth/2fa/disable', {
+      token: enabled.body.data.token,
+      body: { password: supervisor.password, code: codeAt(setup.body.data.secret, 1) }
+    });
+    assert.strictEqual(disable.status, 403);
+  });
+
+  test('un challenge no sirve como token de acceso', async () => {
+    const user = await createUser(admin);
+    const { token } = await loginAs(user);
+    assert.strictEqual((await api('POST', '/api/auth/login/2fa', { body: { challengeToken: token, code: '123456' } })).status, 401);
+  });
+});
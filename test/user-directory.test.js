@@ -0,0 +1,61 @@
+const { ADMIN, EMPLOYEE, api, tokenFor, createUser } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+
+describe('busqueda y directorio de usuarios', () => {
+  let admin;
+  let employee;
+  let users;
+
+  before(async () => {
+    admin = await tokenFor(ADMIN);
+    employee = await tokenFor(EMPLOYEE);
+    users = [
+      await createUser(admin, { username: 'dir_jose', first_name: 'José', last_name: 'Pérez', email: 'jose@dir.com', job_title: 'Chofer' }),
+      await createUser(admin, { username: 'dir_ana', first_name: 'Ana', last_name: 'Zapata', email: 'ana@dir.com', role: 'supervisor' }),
+      await createUser(admin, { username: 'dir_bea', first_name: 'Bea', last_name: 'Alvarez', email: 'bea@dir.com' })
+    ];
+    await api('POST', `/api/users/${users[2].id}/deactivate`, { token: admin });
+  });
+
+  const list = async (query, token = admin) => (await api('GET', `/api/users?${query}`, { token }));
+  const names = (res) => res.body.data.users.map(u => u.username);
+
+  test('busca sin distinguir mayusculas ni tildes, por cada palabra y tambien por email', async () => {
+    assert.deepStrictEqual(names(await list('q=jose perez')), ['dir_jose']);
+    assert.deepStrictEqual(names(await list('q=ANA%40DIR')), ['dir_ana']);
+    assert.deepStrictEqual(names(await list('q=dir_&role=supervisor')), ['dir_ana']);
+    assert.deepStrictEqual(names(await list('q=dir_&status=deactivated')), ['dir_bea']);
+  });
+
+  test('ordena y pagina con totales', async () => {
+    assert.deepStrictEqual(names(await list('q=dir_&sort=last_name&order=desc')), ['dir_ana', 'dir_jose', 'dir_bea']);
+
+    const page = await list('q=dir_&sort=username&limit=2&offset=1');
+    assert.deepStrictEqual(names(page), ['dir_bea', 'dir_jose']);
+    assert.deepStrictEqual(page.body.data.pagination, { total: 3, limit: 2, offset: 1, hasMore: false });
+    assert.strictEqual(page.body.data.users[0].password, undefined);
+  });
+
+  test('parametros invalidos responden 400', async () => {
+    for (const query of ['limit=0', 'limit=abc', 'offset=-1', 'sort=password', 'department_id=abc']) {
+      assert.strictEqual((await list(query)).status, 400, query);
+    }
+    assert.strictEqual((await api('GET', '/api/users/directory?limit=abc', { token: employee })).status, 400);
+    assert.strictEqual((await api('GET', '/api/users/directory?sort=email', { token: employee })).status, 400);
+  });
+
+  test('cualquier empleado ve el directorio: activos, datos basicos y sin buscar por email', async () => {
+    assert.strictEqual((await list('q=dir_', employee)).status, 403);
+
+    const res = await api('GET', '/api/users/directory?q=dir_', { token: employee });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(names(res), ['dir_ana', 'dir_jose']);
+    assert.deepStrictEqual(Object.keys(res.body.data.users[1]).sort(),
+      ['avatar', 'department', 'department_id', 'first_name', 'id', 'job_title', 'last_name', 'timezone', 'username']);
+    assert.strictEqual(res.body.data.users[1].job_title, 'Chofer');
+
+    const byEmail = await api('GET', '/api/users/directory?q=jose%40dir.com', { token: employee });
+    assert.strictEqual(byEmail.body.data.users.length, 0);
+  });
+});
@@ -0,0 +1,98 @@
+const { ADMIN, EMPLOYEE, api, mails, loginAs, tokenFor } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, toCsv } = require('../lib/csv');
+
+describe('csv', () => {
+  test('lee comillas, saltos de linea y el separador ; de Excel', () => {
+    assert.deepStrictEqual(parseCsv('﻿a;b\r\n"x;1";"dice ""hola""\nadios"\r\n\r\n'), [
+      ['a', 'b'],
+      ['x;1', 'dice "hola"\nadios']
+    ]);
+  });
+
+  test('escapa formulas y separadores', () => {
+    assert.strictEqual(toCsv([['=SUMA(A1)', 'a,b', null]]), '\'=SUMA(A1),"a,b",\r\n');
+  });
+});
+
+describe('importar y exportar usuarios', () => {
+  let admin;
+
+  before(async () => {
+    admin = await tokenFor(ADMIN);
+    await api('POST', '/api/departments', { token: admin, body: { name: 'Almacen' } });
+  });
+
+  const importCsv = (csv, query = '') => api('POST', `/api/users/import${query}`, { token: admin, body: csv });
+
+  test('dry_run valida sin crear y un error en una fila no importa ninguna', async () => {
+    const csv = 'username,email,role\nuno_dry,uno@dry.com,employee\ndos_dry,dos@dry.com,inexistente\n';
+
+    const dry = await importCsv(csv, '?dry_run=true');
+    assert.strictEqual(dry.status, 200);
+    assert.deepStrictEqual(dry.body.data.summary, { total: 2, valid: 1, invalid: 1 });
+    assert.deepStrictEqual(dry.body.data.rows[1].errors, ['Rol invalido: inexistente']);
+
+    assert.strictEqual((await importCsv(csv)).status, 400);
+    const users = await api('GET', '/api/users?q=_dry', { token: admin });
+    assert.strictEqual(users.body.data.users.length, 0);
+  });
+
+  test('crea las cuentas con responsables del mismo archivo y contrasenas temporales', async () => {
+    const csv = [
+      'username;email;first_name;department;role;manager',
+      'jefa_imp;jefa@imp.com;Ana;Almacen;supervisor;',
+      'mozo_imp;mozo@imp.com;Luis;Almacen;;jefa_imp'
+    ].join('\n');
+
+    const res = await importCsv(csv);
+    assert.strictEqual(res.status, 201);
+    const [boss, worker] = res.body.data.rows;
+    assert.strictEqual(worker.manager, 'jefa_imp');
+    assert.strictEqual(worker.role, 'employee');
+
+    const session = await loginAs({ username: 'mozo_imp', password: worker.temporary_password });
+    const me = await api('GET', '/api/auth/me', { token: session.token });
+    assert.strictEqual(me.body.data.user.manager_id, boss.user_id);
+    assert.strictEqual(me.body.data.user.department, 'Almacen');
+
+    // Repetir el archivo choca con los usuarios ya creados
+    const again = await importCsv(csv, '?dry_run=true');
+    assert.ok(again.body.data.rows.every(row => row.errors.includes('El usuario ya existe')));
+
+    // Un ciclo de responsables dentro del archivo se rechaza
+    const cycle = await importCsv('username,manager\nciclo_a,ciclo_b\nciclo_b,ciclo_a\n', '?dry_run=true');
+    assert.strictEqual(cycle.body.data.summary.invalid, 2);
+  });
+
+  test('en modo invite manda una invitacion por fila', async () => {
+    const sent = mails.length;
+    const res = await api('POST', '/api/users/import', {
+      token: admin,
+      body: { mode: 'invite', csv: 'email,role\ninvitado1@imp.com,employee\ninvitado2@imp.com,supervisor\n' }
+    });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.data.rows.length, 2);
+    assert.deepStrictEqual(mails.slice(sent).map(m => m.to), ['invitado1@imp.com', 'invitado2@imp.com']);
+
+    const missing = await api('POST', '/api/users/import', { token: admin, body: { mode: 'invite', csv: 'username\nx\n' } });
+    assert.strictEqual(missing.status, 400);
+  });
+
+  test('la exportacion tiene las columnas de la importacion', async () => {
+    const res = await api('GET', '/api/users/export', { token: admin });
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/csv/);
+
+    const [header, ...rows] = parseCsv(res.body);
+    assert.deepStrictEqual(header, ['id', 'username', 'email', 'first_name', 'last_name', 'department', 'role', 'manager', 'status', 'created_at']);
+    const worker = rows.find(row => row[1] === 'mozo_imp');
+    assert.strictEqual(worker[7], 'jefa_imp');
+    assert.strictEqual(worker[8], 'active');
+
+    const employee = await tokenFor(EMPLOYEE);
+    assert.strictEqual((await api('GET', '/api/users/export', { token: employee })).status, 403);
+    assert.strictEqual((await api('POST', '/api/users/import', { token: employee, body: 'username\nx\n' })).status, 403);
+  });
+});
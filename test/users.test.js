@@ -0,0 +1,72 @@
+const { ADMIN, api, tokenFor, createUser } = require('./helpers');
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+
+describe('usuarios', () => {
+  let admin;
+  let user;
+
+  before(async () => {
+    admin = await tokenFor(ADMIN);
+    user = await createUser(admin);
+  });
+
+  test('un id de usuario invalido en la ruta es un 400', async () => {
+    const requests = [
+      ['GET', '/api/users/5abc'],
+      ['PUT', '/api/users/5abc', { first_name: 'X' }],
+      ['POST', '/api/users/5abc/deactivate'],
+      ['POST', '/api/users/5abc/reactivate'],
+      ['POST', '/api/users/5abc/offboard'],
+      ['DELETE', '/api/users/5abc'],
+      ['DELETE', '/api/users/5abc/two-factor'],
+      ['GET', '/api/users/0']
+    ];
+
+    for (const [method, url, body] of requests) {
+      const res = await api(method, url, { token: admin, body });
+      assert.strictEqual(res.status, 400, `${method} ${url}`);
+      assert.strictEqual(res.body.errors[0].field, 'id', `${method} ${url}`);
+    }
+
+    assert.strictEqual((await api('GET', '/api/users/999', { token: admin })).status, 404);
+    assert.strictEqual((await api('GET', `/api/users/${user.id}`, { token: admin })).status, 200);
+  });
+
+  test('los datos se validan y convierten en la capa de datos', async () => {
+    const res = await api('PUT', `/api/users/${user.id}`, {
+      token: admin,
+      body: { hire_date: 'ayer', first_name: 'x'.repeat(101) }
+    });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body.errors.map(e => e.field).sort(), ['first_name', 'hire_date']);
+
+    // Un id enviado como texto se guarda como numero
+    const manager = await createUser(admin);
+    const updated = await api('PUT', `/api/users/${user.id}`, {
+      token: admin,
+      body: { manager_id: String(manager.id) }
+    });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.data.user.manager_id, manager.id);
+  });
+
+  test('sin users:manage, enviar campos protegidos es un 403 y no se guarda nada', async () => {
+    const token = await tokenFor(user);
+
+    for (const body of [{ role: 'admin' }, { manager_id: null }, { job_title: 'Jefe' }, { hire_date: '2020-01-01' }, { department_id: null }]) {
+      const res = await api('PUT', `/api/users/${user.id}`, { token, body: { first_name: 'Nuevo', ...body } });
+      assert.strictEqual(res.status, 403, JSON.stringify(body));
+      assert.match(res.body.message, new RegExp(Object.keys(body)[0]));
+    }
+
+    const me = await api('GET', `/api/users/${user.id}`, { token });
+    assert.notStrictEqual(me.body.data.user.first_name, 'Nuevo');
+    assert.strictEqual(me.body.data.user.role, 'employee');
+
+    // Los campos propios del perfil si los cambia
+    const own = await api('PUT', `/api/users/${user.id}`, { token, body: { first_name: 'Nuevo', timezone: 'America/Lima' } });
+    assert.strictEqual(own.status, 200);
+    assert.strictEqual(own.body.data.user.timezone, 'America/Lima');
+  });
+});